@@ -0,0 +1,14 @@
+-- One-time OAuth state nonces for the Reddit connect flow
+-- Migration: 003_oauth_states
+
+CREATE TABLE oauth_states (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    state_hash VARCHAR(64) UNIQUE NOT NULL, -- sha256 of the nonce sent to Reddit
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL DEFAULT 'reddit',
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_oauth_states_expires ON oauth_states(expires_at);
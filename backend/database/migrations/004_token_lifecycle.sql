@@ -0,0 +1,8 @@
+-- Reddit token lifecycle tracking
+-- Migration: 004_token_lifecycle
+
+ALTER TABLE reddit_accounts ADD COLUMN needs_reauth BOOLEAN DEFAULT FALSE;
+ALTER TABLE reddit_accounts ADD COLUMN reauth_reason TEXT;
+ALTER TABLE reddit_accounts ADD COLUMN token_refreshed_at TIMESTAMP;
+
+CREATE INDEX idx_reddit_accounts_token_expiry ON reddit_accounts(token_expires_at) WHERE needs_reauth = FALSE;
@@ -0,0 +1,8 @@
+-- Retry tracking for scheduled post publishing
+-- Migration: 005_publish_retries
+
+ALTER TABLE scheduled_posts ADD COLUMN failure_code VARCHAR(100);
+ALTER TABLE scheduled_posts ADD COLUMN last_attempt_at TIMESTAMP;
+ALTER TABLE scheduled_posts ADD COLUMN next_retry_at TIMESTAMP;
+
+CREATE INDEX idx_scheduled_posts_failed ON scheduled_posts(user_id, updated_at) WHERE status = 'failed';
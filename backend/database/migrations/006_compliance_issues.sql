@@ -0,0 +1,7 @@
+-- Structured compliance check results
+-- Migration: 006_compliance_issues
+
+-- [{ rule, severity: 'error' | 'warning', message }]
+ALTER TABLE scheduled_posts ADD COLUMN compliance_issues JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE scheduled_posts ADD COLUMN compliance_checked_at TIMESTAMP;
+ALTER TABLE scheduled_posts ADD COLUMN compliance_overridden BOOLEAN DEFAULT FALSE;
@@ -0,0 +1,9 @@
+-- Auto-delete follow-up checks
+-- Migration: 007_auto_delete
+
+-- Set once a post's auto-delete check has run, whether or not it was deleted
+ALTER TABLE posted_content ADD COLUMN auto_delete_checked_at TIMESTAMP;
+
+CREATE INDEX idx_posted_content_auto_delete_pending
+    ON posted_content(scheduled_post_id)
+    WHERE auto_delete_checked_at IS NULL AND is_deleted = FALSE;
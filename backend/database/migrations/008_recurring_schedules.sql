@@ -0,0 +1,45 @@
+-- Recurring schedules
+-- Migration: 008_recurring_schedules
+
+CREATE TABLE recurring_schedules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    reddit_account_id UUID REFERENCES reddit_accounts(id) ON DELETE CASCADE,
+    subreddit_id UUID REFERENCES subreddits(id) ON DELETE CASCADE,
+
+    -- Post Content
+    title TEXT NOT NULL,
+    body TEXT,
+    post_type VARCHAR(50),
+    content_item_id UUID REFERENCES content_items(id), -- always post this item, or...
+    content_tag VARCHAR(100), -- ...the least recently posted item with this tag
+    flair_id VARCHAR(100),
+    flair_text VARCHAR(255),
+    auto_comment TEXT,
+    auto_delete_hours INTEGER,
+    auto_delete_if_below_upvotes INTEGER,
+
+    -- Recurrence
+    rrule TEXT NOT NULL, -- RFC 5545 RRULE, e.g. FREQ=WEEKLY;BYDAY=TU,FR;BYHOUR=20
+    starts_at TIMESTAMP NOT NULL, -- first occurrence (UTC); its local time is the default time of day
+    ends_at TIMESTAMP, -- no occurrences at or after this (set when the series is split)
+    timezone VARCHAR(50) NOT NULL,
+    window_days INTEGER DEFAULT 14, -- how far ahead posts are generated
+
+    -- Status
+    status VARCHAR(50) DEFAULT 'active', -- active, paused, ended
+    last_generated_at TIMESTAMP,
+    generation_errors JSONB DEFAULT '[]'::jsonb, -- occurrences that couldn't be created last run
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_recurring_schedules_user ON recurring_schedules(user_id);
+CREATE INDEX idx_recurring_schedules_active ON recurring_schedules(status) WHERE status = 'active';
+
+ALTER TABLE scheduled_posts ADD COLUMN recurring_schedule_id UUID REFERENCES recurring_schedules(id) ON DELETE SET NULL;
+ALTER TABLE scheduled_posts ADD COLUMN occurrence_at TIMESTAMP; -- the occurrence this post was generated for
+ALTER TABLE scheduled_posts ADD COLUMN is_exception BOOLEAN DEFAULT FALSE; -- edited on its own ("this one")
+
+CREATE UNIQUE INDEX idx_scheduled_posts_occurrence ON scheduled_posts(recurring_schedule_id, occurrence_at);
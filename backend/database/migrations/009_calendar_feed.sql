@@ -0,0 +1,7 @@
+-- Calendar feed tokens
+-- Migration: 009_calendar_feed
+
+-- SHA-256 of the user's secret feed token (the token itself is only shown once)
+ALTER TABLE users ADD COLUMN calendar_feed_token_hash VARCHAR(64);
+
+CREATE UNIQUE INDEX idx_users_calendar_feed_token ON users(calendar_feed_token_hash);
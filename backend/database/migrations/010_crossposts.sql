@@ -0,0 +1,14 @@
+-- Crosspost scheduling
+-- Migration: 010_crossposts
+
+-- NULL = not scraped yet (treated as allowed)
+ALTER TABLE subreddits ADD COLUMN allows_crossposts BOOLEAN;
+
+-- Deleting a parent post (e.g. regenerating a recurring schedule) leaves its
+-- crossposts parentless; the publisher cancels them
+ALTER TABLE scheduled_posts DROP CONSTRAINT scheduled_posts_crosspost_from_id_fkey;
+ALTER TABLE scheduled_posts ADD CONSTRAINT scheduled_posts_crosspost_from_id_fkey
+    FOREIGN KEY (crosspost_from_id) REFERENCES scheduled_posts(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_scheduled_posts_crosspost_from ON scheduled_posts(crosspost_from_id)
+    WHERE crosspost_from_id IS NOT NULL;
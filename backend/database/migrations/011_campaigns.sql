@@ -0,0 +1,26 @@
+-- Campaigns
+-- Migration: 011_campaigns
+
+CREATE TABLE campaigns (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    status VARCHAR(50) DEFAULT 'draft', -- draft, active, done
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_campaigns_user ON campaigns(user_id);
+
+-- Deleting a campaign keeps its posts and content
+ALTER TABLE scheduled_posts ADD COLUMN campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL;
+ALTER TABLE content_items ADD COLUMN campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_scheduled_posts_campaign ON scheduled_posts(campaign_id) WHERE campaign_id IS NOT NULL;
+CREATE INDEX idx_content_items_campaign ON content_items(campaign_id) WHERE campaign_id IS NOT NULL;
+
+-- scheduled_posts.status can now also be 'paused': held back by a campaign
+-- pause, not queued, and put back to 'scheduled' on resume
@@ -0,0 +1,10 @@
+-- Posting pause (per account) and kill switch (per user)
+-- Migration: 012_posting_pause
+
+-- While either is set the publisher holds the posts instead of publishing
+-- them; they stay 'scheduled' and go out (re-spread) on resume
+ALTER TABLE reddit_accounts ADD COLUMN posting_paused_at TIMESTAMP;
+ALTER TABLE reddit_accounts ADD COLUMN pause_reason TEXT;
+
+ALTER TABLE users ADD COLUMN posting_paused_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN pause_reason TEXT;
@@ -0,0 +1,28 @@
+-- Draft posts and review workflow
+-- Migration: 013_post_reviews
+
+-- scheduled_posts.status can now also be 'draft' (not submitted, or sent back
+-- by a reviewer) or 'in_review' (waiting for reviewer_id). Neither is queued;
+-- approving a post moves it to 'scheduled'.
+ALTER TABLE scheduled_posts ADD COLUMN reviewer_id UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE scheduled_posts ADD COLUMN approved_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE scheduled_posts ADD COLUMN approved_at TIMESTAMP;
+
+CREATE INDEX idx_scheduled_posts_reviewer ON scheduled_posts(reviewer_id, status) WHERE reviewer_id IS NOT NULL;
+
+-- Every step of the workflow, with who took it
+CREATE TABLE post_review_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    scheduled_post_id UUID REFERENCES scheduled_posts(id) ON DELETE CASCADE,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    action VARCHAR(50) NOT NULL, -- drafted, submitted, reassigned, approved, rejected, reopened, cancelled
+    from_status VARCHAR(50),
+    to_status VARCHAR(50),
+    comment TEXT,
+
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_post_review_events_post ON post_review_events(scheduled_post_id, created_at);
+CREATE INDEX idx_post_review_events_actor ON post_review_events(actor_id, created_at);
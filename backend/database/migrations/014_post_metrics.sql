@@ -0,0 +1,36 @@
+-- Post performance polling
+-- Migration: 014_post_metrics
+
+-- When the poller next refreshes a post's numbers; NULL once it's done
+-- (old enough, deleted or removed)
+ALTER TABLE posted_content ADD COLUMN metrics_next_poll_at TIMESTAMP;
+ALTER TABLE posted_content ADD COLUMN metrics_poll_count INTEGER DEFAULT 0;
+
+CREATE INDEX idx_posted_content_metrics_due
+    ON posted_content(metrics_next_poll_at)
+    WHERE metrics_next_poll_at IS NOT NULL;
+
+-- One row per poll: a post's numbers over time
+CREATE TABLE post_metrics_snapshots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    posted_content_id UUID REFERENCES posted_content(id) ON DELETE CASCADE,
+    subreddit_id UUID REFERENCES subreddits(id) ON DELETE CASCADE,
+
+    age_minutes INTEGER NOT NULL, -- since posted_at
+    score INTEGER,
+    upvotes INTEGER,
+    upvote_ratio FLOAT,
+    comments_count INTEGER,
+    is_removed BOOLEAN DEFAULT FALSE,
+    is_deleted BOOLEAN DEFAULT FALSE,
+
+    captured_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_post_metrics_snapshots_post ON post_metrics_snapshots(posted_content_id, captured_at);
+CREATE INDEX idx_post_metrics_snapshots_subreddit ON post_metrics_snapshots(subreddit_id, age_minutes);
+
+-- Start polling posts from the last week
+UPDATE posted_content
+SET metrics_next_poll_at = NOW()
+WHERE is_deleted = FALSE AND is_removed = FALSE AND posted_at > NOW() - INTERVAL '7 days';
@@ -0,0 +1,37 @@
+-- Removal and visibility detection, and notifications
+-- Migration: 015_removal_detection
+
+-- live, removed_by_mods, removed_by_spam_filter, deleted_by_author.
+-- removed_at is when a removal was first noticed (Reddit doesn't say when it
+-- happened); is_visible is whether logged-out visitors could see the post at
+-- visibility_checked_at.
+ALTER TABLE posted_content ADD COLUMN removal_status VARCHAR(50) DEFAULT 'live';
+ALTER TABLE posted_content ADD COLUMN removed_at TIMESTAMP;
+
+UPDATE posted_content SET removal_status = 'deleted_by_author' WHERE is_deleted = TRUE;
+UPDATE posted_content SET removal_status = 'removed_by_mods' WHERE is_removed = TRUE AND is_deleted = FALSE;
+
+-- Removed posts are polled now too (mods may approve them again)
+UPDATE posted_content
+SET metrics_next_poll_at = NOW()
+WHERE removal_status = 'removed_by_mods'
+  AND metrics_next_poll_at IS NULL
+  AND posted_at > NOW() - INTERVAL '7 days';
+
+CREATE TABLE notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+
+    type VARCHAR(50) NOT NULL, -- post_removed
+    title VARCHAR(255) NOT NULL,
+    message TEXT,
+    link TEXT, -- where to act on it (e.g. message the subreddit's mods)
+    data JSONB DEFAULT '{}'::jsonb,
+    posted_content_id UUID REFERENCES posted_content(id) ON DELETE CASCADE,
+
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_notifications_user ON notifications(user_id, created_at DESC);
+CREATE INDEX idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
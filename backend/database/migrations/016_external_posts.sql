@@ -0,0 +1,15 @@
+-- Post history: titles and posts made outside the tool
+-- Migration: 016_external_posts
+
+-- The post's title, kept with the post so posts recorded by hand (which have
+-- no scheduled post) show one too
+ALTER TABLE posted_content ADD COLUMN title TEXT;
+-- 'scheduled' (published by the worker) or 'external' (recorded by hand)
+ALTER TABLE posted_content ADD COLUMN source VARCHAR(20) DEFAULT 'scheduled';
+
+UPDATE posted_content pc
+SET title = sp.title
+FROM scheduled_posts sp
+WHERE pc.scheduled_post_id = sp.id;
+
+CREATE INDEX idx_posted_content_user_posted ON posted_content(user_id, posted_at DESC);
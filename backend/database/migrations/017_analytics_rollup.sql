@@ -0,0 +1,6 @@
+-- Daily analytics rollup
+-- Migration: 017_analytics_rollup
+
+-- When the row was last computed. A day rolled up before it ended is
+-- recomputed the next time it's read.
+ALTER TABLE analytics_daily ADD COLUMN updated_at TIMESTAMP DEFAULT NOW();
@@ -0,0 +1,7 @@
+-- Auto-delete check failures
+-- Migration: 018_auto_delete_failures
+
+-- Why a post's auto-delete check gave up (retries used up, or an error not
+-- worth retrying). Set together with auto_delete_checked_at so the worker's
+-- re-sync doesn't queue the check again.
+ALTER TABLE posted_content ADD COLUMN auto_delete_error TEXT;
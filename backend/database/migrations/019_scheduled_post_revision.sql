@@ -0,0 +1,5 @@
+-- Scheduled post revisions
+-- Migration: 019_scheduled_post_revision
+
+-- Bumped by every UPDATE of the row; the calendar feed's SEQUENCE
+ALTER TABLE scheduled_posts ADD COLUMN revision INTEGER NOT NULL DEFAULT 0;
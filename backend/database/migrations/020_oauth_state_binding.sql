@@ -0,0 +1,6 @@
+-- Bind OAuth states to the browser that started the flow
+-- Migration: 020_oauth_state_binding
+
+-- sha256 of a second nonce kept in an HttpOnly cookie on the browser that
+-- started the connect flow; the callback has to come back with it
+ALTER TABLE oauth_states ADD COLUMN binding_hash VARCHAR(64);
@@ -0,0 +1,11 @@
+-- Recovering posts left in 'posting'
+-- Migration: 021_publish_recovery
+
+-- What Reddit returned for the submission, saved as soon as it went out, so a
+-- post whose bookkeeping failed (or whose worker died) can still be recorded
+-- as posted instead of staying in 'posting'.
+ALTER TABLE scheduled_posts ADD COLUMN reddit_post_id VARCHAR(50);
+ALTER TABLE scheduled_posts ADD COLUMN reddit_url TEXT;
+ALTER TABLE scheduled_posts ADD COLUMN permalink TEXT;
+
+CREATE INDEX idx_scheduled_posts_posting ON scheduled_posts(last_attempt_at) WHERE status = 'posting';
@@ -0,0 +1,61 @@
+require('dotenv').config();
+const db = require('../src/config/database');
+const { needsReencryption, reencrypt } = require('../src/services/encryption');
+
+// Encrypt plaintext tokens and re-wrap tokens encrypted with an old key.
+// Run after enabling encryption or after changing TOKEN_ENCRYPTION_KEY_ID;
+// keep the old key in TOKEN_ENCRYPTION_KEYS until this has completed.
+const TABLES = [
+  { name: 'reddit_accounts', columns: ['access_token', 'refresh_token'] },
+  { name: 'cloud_connections', columns: ['access_token', 'refresh_token'] }
+];
+
+async function reencryptTable(client, { name, columns }) {
+  const result = await client.query(
+    `SELECT id, ${columns.join(', ')} FROM ${name} FOR UPDATE`
+  );
+
+  let updated = 0;
+
+  for (const row of result.rows) {
+    if (!columns.some(col => needsReencryption(row[col]))) {
+      continue;
+    }
+
+    const values = columns.map(col => reencrypt(row[col]));
+    const assignments = columns.map((col, i) => `${col} = $${i + 2}`).join(', ');
+
+    await client.query(
+      `UPDATE ${name} SET ${assignments} WHERE id = $1`,
+      [row.id, ...values]
+    );
+    updated++;
+  }
+
+  console.log(`✓ ${name}: ${updated} of ${result.rows.length} rows re-encrypted`);
+}
+
+async function run() {
+  const client = await db.pool.connect();
+
+  try {
+    console.log('Re-encrypting stored tokens...');
+    await client.query('BEGIN');
+
+    for (const table of TABLES) {
+      await reencryptTable(client, table);
+    }
+
+    await client.query('COMMIT');
+    console.log('All tokens encrypted with the current key!');
+    process.exit(0);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Re-encryption failed:', error);
+    process.exit(1);
+  } finally {
+    client.release();
+  }
+}
+
+run();
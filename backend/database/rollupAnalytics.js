@@ -0,0 +1,35 @@
+require('dotenv').config();
+const { rollupAll, MAX_RANGE_DAYS } = require('../src/services/analyticsRollup');
+
+// Recompute analytics_daily for every user, e.g. to backfill past days:
+//   npm run rollup-analytics -- 2026-01-01 2026-03-31
+// Without dates it rolls up yesterday and today, like the worker does.
+// Safe to run again over days that are already rolled up.
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+async function run() {
+  const [from, to = from] = process.argv.slice(2);
+
+  if (from && (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to) || from > to)) {
+    console.error('Usage: npm run rollup-analytics -- [from YYYY-MM-DD] [to YYYY-MM-DD]');
+    process.exit(1);
+  }
+
+  const days = from ? Math.round((Date.parse(to) - Date.parse(from)) / 86400000) + 1 : 2;
+  if (days > MAX_RANGE_DAYS) {
+    console.error(`Roll up at most ${MAX_RANGE_DAYS} days at a time`);
+    process.exit(1);
+  }
+
+  try {
+    console.log(from ? `Rolling up analytics from ${from} to ${to}...` : 'Rolling up analytics for yesterday and today...');
+    const result = await rollupAll({ from, to: from ? to : null });
+    console.log(`✓ ${result.days} days rolled up for ${result.users} users`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Analytics rollup failed:', error);
+    process.exit(1);
+  }
+}
+
+run();
@@ -1,6 +1,13 @@
-const { Pool } = require('pg');
+const { Pool, types, defaults } = require('pg');
 require('dotenv').config();
 
+// All timestamps are UTC. Columns are TIMESTAMP (no time zone), so the session
+// runs in UTC (NOW() is UTC), Dates are sent as UTC and read back as UTC
+// instead of in whatever zone the server happens to be in.
+const TIMESTAMP_OID = 1114;
+defaults.parseInputDatesAsUTC = true;
+types.setTypeParser(TIMESTAMP_OID, value => new Date(`${value.replace(' ', 'T')}Z`));
+
 const pool = new Pool({
   host: process.env.DB_HOST || 'localhost',
   port: process.env.DB_PORT || 5432,
@@ -10,6 +17,7 @@ const pool = new Pool({
   max: 20,
   idleTimeoutMillis: 30000,
   connectionTimeoutMillis: 2000,
+  options: '-c TimeZone=UTC',
 });
 
 pool.on('error', (err) => {
@@ -17,7 +25,24 @@ pool.on('error', (err) => {
   process.exit(-1);
 });
 
+// Run work(client) inside BEGIN/COMMIT, rolling back if it throws
+async function transaction(work) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 module.exports = {
   query: (text, params) => pool.query(text, params),
+  transaction,
   pool,
 };
@@ -10,7 +10,8 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:8080',
   credentials: true
 }));
-app.use(express.json());
+// Large enough for a bulk schedule import (up to 500 rows)
+app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging
@@ -30,12 +31,24 @@ const accountRoutes = require('./routes/accounts');
 const subredditRoutes = require('./routes/subreddits');
 const contentRoutes = require('./routes/content');
 const scheduleRoutes = require('./routes/schedule');
+const recurringRoutes = require('./routes/recurring');
+const campaignRoutes = require('./routes/campaigns');
+const reviewRoutes = require('./routes/reviews');
+const notificationRoutes = require('./routes/notifications');
+const postRoutes = require('./routes/posts');
+const analyticsRoutes = require('./routes/analytics');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/accounts', accountRoutes);
 app.use('/api/subreddits', subredditRoutes);
 app.use('/api/content', contentRoutes);
 app.use('/api/schedule', scheduleRoutes);
+app.use('/api/recurring', recurringRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/posts', postRoutes);
+app.use('/api/analytics', analyticsRoutes);
 
 // Error handling
 app.use((err, req, res, next) => {
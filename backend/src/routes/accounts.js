@@ -1,28 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
-const snoowrap = require('snoowrap');
+const { requireAuth } = require('../middleware/auth');
+const accountStore = require('../services/accountStore');
+const tokenService = require('../services/tokenService');
+const postingPause = require('../services/postingPause');
+const { sendError } = require('../utils/httpError');
+
+// All routes below require a signed-in user
+router.use(requireAuth);
 
 // Get all Reddit accounts for user
 router.get('/', async (req, res) => {
-  const userId = req.headers['x-user-id'];
-
-  if (!userId) {
-    return res.status(401).json({ error: 'Not authenticated' });
-  }
+  const userId = req.user.id;
 
   try {
-    const result = await db.query(
-      'SELECT * FROM reddit_accounts WHERE user_id = $1 ORDER BY is_primary DESC, created_at ASC',
-      [userId]
-    );
-
-    // Don't send tokens to client
-    const accounts = result.rows.map(acc => ({
-      ...acc,
-      access_token: undefined,
-      refresh_token: undefined
-    }));
+    const accounts = await accountStore.getAccounts(userId);
 
     res.json(accounts);
   } catch (error) {
@@ -31,25 +24,37 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Kill switch: hold every scheduled post of every account (body: { reason })
+router.post('/pause-all', async (req, res) => {
+  try {
+    res.json(await postingPause.pauseAll(req.user.id, { reason: req.body.reason }));
+  } catch (error) {
+    sendError(res, error, 'Pause posting');
+  }
+});
+
+// Turn the kill switch off; held posts that are overdue are re-spread
+router.post('/resume-all', async (req, res) => {
+  try {
+    res.json(await postingPause.resumeAll(req.user.id));
+  } catch (error) {
+    console.error('Resume all posting error:', error);
+    res.status(500).json({ error: 'Failed to resume posting' });
+  }
+});
+
 // Get single account
 router.get('/:id', async (req, res) => {
-  const userId = req.headers['x-user-id'];
+  const userId = req.user.id;
   const { id } = req.params;
 
   try {
-    const result = await db.query(
-      'SELECT * FROM reddit_accounts WHERE id = $1 AND user_id = $2',
-      [id, userId]
-    );
+    const account = await accountStore.getAccount(userId, id);
 
-    if (result.rows.length === 0) {
+    if (!account) {
       return res.status(404).json({ error: 'Account not found' });
     }
 
-    const account = result.rows[0];
-    delete account.access_token;
-    delete account.refresh_token;
-
     res.json(account);
   } catch (error) {
     console.error('Get account error:', error);
@@ -59,12 +64,12 @@ router.get('/:id', async (req, res) => {
 
 // Delete account
 router.delete('/:id', async (req, res) => {
-  const userId = req.headers['x-user-id'];
+  const userId = req.user.id;
   const { id } = req.params;
 
   try {
     const result = await db.query(
-      'DELETE FROM reddit_accounts WHERE id = $1 AND user_id = $2 RETURNING *',
+      'DELETE FROM reddit_accounts WHERE id = $1 AND user_id = $2 RETURNING id',
       [id, userId]
     );
 
@@ -79,33 +84,50 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Hold this account's scheduled posts without cancelling them (body: { reason })
+router.post('/:id/pause', async (req, res) => {
+  try {
+    const account = await postingPause.pauseAccount(req.user.id, req.params.id, { reason: req.body.reason });
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json(account);
+  } catch (error) {
+    sendError(res, error, 'Pause account');
+  }
+});
+
+// Resume posting for this account; held posts that are overdue are re-spread
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const account = await postingPause.resumeAccount(req.user.id, req.params.id);
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json(account);
+  } catch (error) {
+    console.error('Resume account error:', error);
+    res.status(500).json({ error: 'Failed to resume account' });
+  }
+});
+
 // Check account health (shadowban, karma)
 router.post('/:id/check-health', async (req, res) => {
-  const userId = req.headers['x-user-id'];
+  const userId = req.user.id;
   const { id } = req.params;
 
   try {
-    // Get account with tokens
-    const result = await db.query(
-      'SELECT * FROM reddit_accounts WHERE id = $1 AND user_id = $2',
-      [id, userId]
-    );
+    // Create Reddit client (refreshes the access token if it's about to expire)
+    const reddit = await tokenService.getRedditClient(userId, id);
 
-    if (result.rows.length === 0) {
+    if (!reddit) {
       return res.status(404).json({ error: 'Account not found' });
     }
 
-    const account = result.rows[0];
-
-    // Create Reddit client
-    const reddit = new snoowrap({
-      userAgent: process.env.REDDIT_USER_AGENT,
-      clientId: process.env.REDDIT_CLIENT_ID,
-      clientSecret: process.env.REDDIT_CLIENT_SECRET,
-      accessToken: account.access_token,
-      refreshToken: account.refresh_token
-    });
-
     // Get updated account info
     const me = await reddit.getMe();
 
@@ -142,6 +164,9 @@ router.post('/:id/check-health', async (req, res) => {
       checked_at: new Date()
     });
   } catch (error) {
+    if (error.code === 'needs_reauth') {
+      return res.status(409).json({ error: error.message, needs_reauth: true });
+    }
     console.error('Health check error:', error);
     res.status(500).json({ error: 'Failed to check account health' });
   }
@@ -149,17 +174,14 @@ router.post('/:id/check-health', async (req, res) => {
 
 // Get account stats
 router.get('/:id/stats', async (req, res) => {
-  const userId = req.headers['x-user-id'];
+  const userId = req.user.id;
   const { id } = req.params;
 
   try {
     // Get account
-    const accountResult = await db.query(
-      'SELECT * FROM reddit_accounts WHERE id = $1 AND user_id = $2',
-      [id, userId]
-    );
+    const account = await accountStore.getAccount(userId, id);
 
-    if (accountResult.rows.length === 0) {
+    if (!account) {
       return res.status(404).json({ error: 'Account not found' });
     }
 
@@ -186,11 +208,7 @@ router.get('/:id/stats', async (req, res) => {
     `, [id]);
 
     res.json({
-      account: {
-        ...accountResult.rows[0],
-        access_token: undefined,
-        refresh_token: undefined
-      },
+      account,
       stats: statsResult.rows[0],
       recent_activity: recentResult.rows
     });
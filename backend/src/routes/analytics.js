@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const analyticsRollup = require('../services/analyticsRollup');
+const performanceAnalytics = require('../services/performanceAnalytics');
+const { sendError } = require('../utils/httpError');
+
+// All routes below require a signed-in user
+router.use(requireAuth);
+
+// Daily totals from analytics_daily, one row per day in the user's time zone:
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: the last 30 days, at most 366)
+router.get('/daily', async (req, res) => {
+  try {
+    res.json(await analyticsRollup.getDaily(req.user.id, req.query));
+  } catch (error) {
+    sendError(res, error, 'Get daily analytics');
+  }
+});
+
+// Subreddits ranked by how your posts did there.
+// ?sort=median_score|avg_score|comments_per_post|removal_rate|posts
+// &account_id=&from=&to=&min_posts=&limit= (default: the last 90 days)
+router.get('/subreddits', async (req, res) => {
+  try {
+    res.json(await performanceAnalytics.rankSubreddits(req.user.id, req.query));
+  } catch (error) {
+    sendError(res, error, 'Get subreddit analytics');
+  }
+});
+
+// Content items ranked by how they did across subreddits. Same filters as /subreddits
+router.get('/content', async (req, res) => {
+  try {
+    res.json(await performanceAnalytics.rankContent(req.user.id, req.query));
+  } catch (error) {
+    sendError(res, error, 'Get content analytics');
+  }
+});
+
+// Performance by hour of day and weekday in your time zone.
+// ?account_id=&subreddit_id=&content_item_id=&from=&to=
+router.get('/timing', async (req, res) => {
+  try {
+    res.json(await performanceAnalytics.getTimingBreakdown(req.user.id, req.query));
+  } catch (error) {
+    sendError(res, error, 'Get timing analytics');
+  }
+});
+
+module.exports = router;
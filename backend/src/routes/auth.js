@@ -1,46 +1,193 @@
 const express = require('express');
 const router = express.Router();
 const snoowrap = require('snoowrap');
+const bcrypt = require('bcrypt');
 const db = require('../config/database');
+const { requireAuth } = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const oauthStateService = require('../services/oauthStateService');
+const accountStore = require('../services/accountStore');
+const { isValidTimezone } = require('../services/timezone');
 
-// Reddit OAuth: Start flow
-router.get('/reddit/connect', (req, res) => {
-  const { userId } = req.query;
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
 
-  if (!userId) {
-    return res.status(400).json({ error: 'userId required' });
+// Never send the password hash to the client
+function publicUser(user) {
+  const safe = { ...user };
+  delete safe.password_hash;
+  return safe;
+}
+
+// Sign up with email + password
+router.post('/register', async (req, res) => {
+  const email = (req.body.email || '').trim().toLowerCase();
+  const { password } = req.body;
+
+  if (!email || !password) {
+    return res.status(400).json({ error: 'Email and password required' });
+  }
+
+  if (!/^[^@\s]+@[^@\s]+$/.test(email)) {
+    return res.status(400).json({ error: 'Invalid email' });
   }
 
-  // Store userId in session/state for callback
-  const state = Buffer.from(JSON.stringify({ userId })).toString('base64');
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
 
-  const authUrl = snoowrap.getAuthUrl({
-    clientId: process.env.REDDIT_CLIENT_ID,
-    scope: ['identity', 'edit', 'read', 'submit', 'subscribe', 'vote', 'mysubreddits', 'history'],
-    redirectUri: process.env.REDDIT_REDIRECT_URI,
-    permanent: true,
-    state
-  });
+  try {
+    const existing = await db.query('SELECT id FROM users WHERE email = $1', [email]);
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'Email already registered' });
+    }
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const result = await db.query(
+      'INSERT INTO users (email, password_hash, last_login_at) VALUES ($1, $2, NOW()) RETURNING *',
+      [email, passwordHash]
+    );
+
+    const user = result.rows[0];
+    const tokens = await sessionService.createSession(user, req.headers['user-agent']);
+
+    res.status(201).json({ user: publicUser(user), ...tokens });
+  } catch (error) {
+    console.error('Register error:', error);
+    res.status(500).json({ error: 'Failed to register' });
+  }
+});
+
+// Log in with email + password
+router.post('/login', async (req, res) => {
+  const email = (req.body.email || '').trim().toLowerCase();
+  const { password } = req.body;
+
+  if (!email || !password) {
+    return res.status(400).json({ error: 'Email and password required' });
+  }
+
+  try {
+    const result = await db.query('SELECT * FROM users WHERE email = $1', [email]);
+    const user = result.rows[0];
+
+    const valid = user && user.password_hash && await bcrypt.compare(password, user.password_hash);
+    if (!valid) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    await db.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+    const tokens = await sessionService.createSession(user, req.headers['user-agent']);
+
+    res.json({ user: publicUser(user), ...tokens });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh pair
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'refreshToken required' });
+  }
+
+  try {
+    const session = await sessionService.refreshSession(refreshToken, req.headers['user-agent']);
+    res.json({
+      accessToken: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresAt: session.expiresAt
+    });
+  } catch (error) {
+    res.status(401).json({ error: 'Invalid or expired refresh token' });
+  }
+});
+
+// Log out (revoke the refresh token)
+router.post('/logout', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    if (refreshToken) {
+      await sessionService.revokeSession(refreshToken);
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Holds the OAuth state's binding nonce on the browser that started the flow.
+// SameSite=Lax still sends it on Reddit's top-level redirect to the callback.
+const OAUTH_BINDING_COOKIE = 'reddit_oauth_binding';
+const OAUTH_BINDING_COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth/reddit/callback'
+};
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
 
-  res.json({ authUrl });
+// Reddit OAuth: Start flow. Call with credentials so the binding cookie is kept.
+router.get('/reddit/connect', requireAuth, async (req, res) => {
+  try {
+    // Single-use nonce tied to this user and this browser, checked on callback
+    const { state, binding } = await oauthStateService.createState(req.user.id);
+
+    res.cookie(OAUTH_BINDING_COOKIE, binding, {
+      ...OAUTH_BINDING_COOKIE_OPTIONS,
+      maxAge: oauthStateService.STATE_TTL_MINUTES * 60 * 1000
+    });
+
+    const authUrl = snoowrap.getAuthUrl({
+      clientId: process.env.REDDIT_CLIENT_ID,
+      scope: ['identity', 'edit', 'read', 'submit', 'subscribe', 'vote', 'mysubreddits', 'history'],
+      redirectUri: process.env.REDDIT_REDIRECT_URI,
+      permanent: true,
+      state
+    });
+
+    res.json({ authUrl });
+  } catch (error) {
+    console.error('Reddit connect error:', error);
+    res.status(500).json({ error: 'Failed to start Reddit authorization' });
+  }
 });
 
 // Reddit OAuth: Callback
 router.get('/reddit/callback', async (req, res) => {
   const { code, state, error } = req.query;
+  const binding = readCookie(req, OAUTH_BINDING_COOKIE);
+  res.clearCookie(OAUTH_BINDING_COOKIE, OAUTH_BINDING_COOKIE_OPTIONS);
 
   if (error) {
-    return res.redirect(`${process.env.FRONTEND_URL}?error=${error}`);
+    return res.redirect(`${process.env.FRONTEND_URL}?error=${encodeURIComponent(error)}`);
   }
 
   if (!code || !state) {
     return res.redirect(`${process.env.FRONTEND_URL}?error=missing_code`);
   }
 
+  let userId;
   try {
-    // Decode state to get userId
-    const { userId } = JSON.parse(Buffer.from(state, 'base64').toString());
+    userId = await oauthStateService.consumeState(state, binding);
+  } catch (stateError) {
+    console.warn('Reddit OAuth state rejected:', stateError.message);
+    return res.redirect(`${process.env.FRONTEND_URL}?error=${stateError.code || 'invalid_state'}`);
+  }
 
+  try {
     // Exchange code for tokens
     const reddit = await snoowrap.fromAuthCode({
       code,
@@ -52,59 +199,12 @@ router.get('/reddit/callback', async (req, res) => {
 
     // Get account info
     const me = await reddit.getMe();
-    const accountAge = Math.floor((Date.now() - me.created_utc * 1000) / (1000 * 60 * 60 * 24));
-
-    // Check if account already exists
-    const existing = await db.query(
-      'SELECT * FROM reddit_accounts WHERE user_id = $1 AND reddit_id = $2',
-      [userId, me.id]
-    );
 
-    if (existing.rows.length > 0) {
-      // Update existing account
-      await db.query(`
-        UPDATE reddit_accounts
-        SET access_token = $1,
-            refresh_token = $2,
-            post_karma = $3,
-            comment_karma = $4,
-            account_age_days = $5,
-            updated_at = NOW()
-        WHERE id = $6
-      `, [
-        reddit.accessToken,
-        reddit.refreshToken,
-        me.link_karma,
-        me.comment_karma,
-        accountAge,
-        existing.rows[0].id
-      ]);
-    } else {
-      // Check if this is the first account for user
-      const accountCount = await db.query(
-        'SELECT COUNT(*) FROM reddit_accounts WHERE user_id = $1',
-        [userId]
-      );
-      const isPrimary = accountCount.rows[0].count === '0';
-
-      // Create new account
-      await db.query(`
-        INSERT INTO reddit_accounts (
-          user_id, reddit_username, reddit_id, access_token, refresh_token,
-          post_karma, comment_karma, account_age_days, is_primary
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-      `, [
-        userId,
-        me.name,
-        me.id,
-        reddit.accessToken,
-        reddit.refreshToken,
-        me.link_karma,
-        me.comment_karma,
-        accountAge,
-        isPrimary
-      ]);
-    }
+    await accountStore.saveOAuthAccount(userId, me, {
+      accessToken: reddit.accessToken,
+      refreshToken: reddit.refreshToken,
+      expiresAt: new Date(reddit.tokenExpiration)
+    });
 
     res.redirect(`${process.env.FRONTEND_URL}?reddit_connected=true`);
   } catch (error) {
@@ -113,42 +213,72 @@ router.get('/reddit/callback', async (req, res) => {
   }
 });
 
-// Get current user (mock for now - implement proper JWT later)
-router.get('/me', async (req, res) => {
-  // TODO: Implement proper JWT authentication
-  const userId = req.headers['x-user-id'];
-
-  if (!userId) {
-    return res.status(401).json({ error: 'Not authenticated' });
-  }
-
+// Get current user
+router.get('/me', requireAuth, async (req, res) => {
   try {
-    const user = await db.query('SELECT * FROM users WHERE id = $1', [userId]);
+    const user = await db.query('SELECT * FROM users WHERE id = $1', [req.user.id]);
 
     if (user.rows.length === 0) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json(user.rows[0]);
+    res.json(publicUser(user.rows[0]));
   } catch (error) {
     console.error('Get user error:', error);
     res.status(500).json({ error: 'Failed to get user' });
   }
 });
 
-// Create test user (for development)
-router.post('/create-test-user', async (req, res) => {
+// Update user preferences (currently just the timezone used for schedule input and display)
+router.patch('/me', requireAuth, async (req, res) => {
+  const { timezone } = req.body;
+
+  if (!isValidTimezone(timezone)) {
+    return res.status(400).json({ error: 'A valid IANA timezone is required (e.g. America/New_York)' });
+  }
+
   try {
-    const result = await db.query(
-      'INSERT INTO users (email) VALUES ($1) RETURNING *',
-      ['test@example.com']
-    );
+    const user = await db.query(`
+      UPDATE users
+      SET settings = COALESCE(settings, '{}'::jsonb) || jsonb_build_object('timezone', $2::text),
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [req.user.id, timezone]);
 
-    res.json(result.rows[0]);
+    if (user.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(publicUser(user.rows[0]));
   } catch (error) {
-    console.error('Create user error:', error);
-    res.status(500).json({ error: 'Failed to create user' });
+    console.error('Update user error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
   }
 });
 
+// Create test user (development only)
+if (process.env.NODE_ENV === 'development') {
+  router.post('/create-test-user', async (req, res) => {
+    try {
+      const email = `test-${Date.now()}@example.com`;
+      const password = 'password123';
+      const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+      const result = await db.query(
+        'INSERT INTO users (email, password_hash) VALUES ($1, $2) RETURNING *',
+        [email, passwordHash]
+      );
+
+      const user = result.rows[0];
+      const tokens = await sessionService.createSession(user, req.headers['user-agent']);
+
+      res.json({ user: publicUser(user), password, ...tokens });
+    } catch (error) {
+      console.error('Create user error:', error);
+      res.status(500).json({ error: 'Failed to create user' });
+    }
+  });
+}
+
 module.exports = router;
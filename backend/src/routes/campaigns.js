@@ -0,0 +1,200 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { requireAuth } = require('../middleware/auth');
+const campaigns = require('../services/campaigns');
+const { listScheduledPosts } = require('../services/scheduledPosts');
+const { sendError } = require('../utils/httpError');
+
+// All routes below require a signed-in user
+router.use(requireAuth);
+
+// Get campaigns with post counts by status
+router.get('/', async (req, res) => {
+  try {
+    res.json(await campaigns.listCampaigns(req.user.id));
+  } catch (error) {
+    sendError(res, error, 'Get campaigns');
+  }
+});
+
+// Create a campaign: { name, description, status }
+router.post('/', async (req, res) => {
+  try {
+    res.json(await campaigns.createCampaign(req.user.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'Create campaign');
+  }
+});
+
+// Get a campaign with its scheduled posts and content items
+router.get('/:id', async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  try {
+    const campaign = await campaigns.getCampaign(userId, id);
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const [posts, content] = await Promise.all([
+      listScheduledPosts(userId, { campaign_id: id }),
+      db.query(
+        'SELECT * FROM content_items WHERE campaign_id = $1 AND user_id = $2 ORDER BY created_at DESC',
+        [id, userId]
+      )
+    ]);
+
+    res.json({ ...campaign, posts, content: content.rows });
+  } catch (error) {
+    sendError(res, error, 'Get campaign');
+  }
+});
+
+// Update a campaign's name, description or status (draft, active, done)
+router.patch('/:id', async (req, res) => {
+  try {
+    const campaign = await campaigns.updateCampaign(req.user.id, req.params.id, req.body);
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json(campaign);
+  } catch (error) {
+    sendError(res, error, 'Update campaign');
+  }
+});
+
+// Delete a campaign (its posts and content stay, unassigned)
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await campaigns.deleteCampaign(req.user.id, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Delete campaign');
+  }
+});
+
+// Add scheduled posts to a campaign: { post_ids: [...] }
+router.post('/:id/posts', async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  try {
+    const campaign = await campaigns.getCampaign(userId, id);
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const added = await campaigns.addToCampaign(userId, id, 'scheduled_posts', req.body.post_ids);
+
+    res.json({ added });
+  } catch (error) {
+    sendError(res, error, 'Add posts to campaign');
+  }
+});
+
+// Add content items to a campaign: { content_item_ids: [...] }
+router.post('/:id/content', async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  try {
+    const campaign = await campaigns.getCampaign(userId, id);
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const added = await campaigns.addToCampaign(userId, id, 'content_items', req.body.content_item_ids);
+
+    res.json({ added });
+  } catch (error) {
+    sendError(res, error, 'Add content to campaign');
+  }
+});
+
+// Hold back all of the campaign's upcoming posts
+router.post('/:id/pause', async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  try {
+    const campaign = await campaigns.getCampaign(userId, id);
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json({ paused: await campaigns.pauseCampaign(id) });
+  } catch (error) {
+    sendError(res, error, 'Pause campaign');
+  }
+});
+
+// Re-queue the campaign's paused posts (overdue ones are re-spread)
+router.post('/:id/resume', async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  try {
+    const campaign = await campaigns.getCampaign(userId, id);
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json(await campaigns.resumeCampaign(userId, id));
+  } catch (error) {
+    sendError(res, error, 'Resume campaign');
+  }
+});
+
+// Cancel all of the campaign's posts that haven't gone out yet, drafts and
+// posts in review included
+router.post('/:id/cancel', async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  try {
+    const campaign = await campaigns.getCampaign(userId, id);
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json(await campaigns.cancelCampaign(id, { actorId: userId }));
+  } catch (error) {
+    sendError(res, error, 'Cancel campaign');
+  }
+});
+
+// Campaign report: upvotes, comments and removals of its posts, in total and
+// by subreddit, account and content item
+router.get('/:id/report', async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  try {
+    const campaign = await campaigns.getCampaign(userId, id);
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json({ campaign, ...(await campaigns.getReport(id)) });
+  } catch (error) {
+    sendError(res, error, 'Get campaign report');
+  }
+});
+
+module.exports = router;
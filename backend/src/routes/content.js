@@ -1,16 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
+const { requireAuth } = require('../middleware/auth');
+const campaigns = require('../services/campaigns');
+
+// All routes below require a signed-in user
+router.use(requireAuth);
 
 // Get all content items for user
 router.get('/', async (req, res) => {
-  const userId = req.headers['x-user-id'];
+  const userId = req.user.id;
   const { status, niche, limit = 50, offset = 0 } = req.query;
 
-  if (!userId) {
-    return res.status(401).json({ error: 'Not authenticated' });
-  }
-
   try {
     let query = 'SELECT * FROM content_items WHERE user_id = $1';
     const params = [userId];
@@ -47,7 +48,7 @@ router.get('/', async (req, res) => {
 
 // Get single content item
 router.get('/:id', async (req, res) => {
-  const userId = req.headers['x-user-id'];
+  const userId = req.user.id;
   const { id } = req.params;
 
   try {
@@ -69,9 +70,9 @@ router.get('/:id', async (req, res) => {
 
 // Update content metadata
 router.patch('/:id', async (req, res) => {
-  const userId = req.headers['x-user-id'];
+  const userId = req.user.id;
   const { id } = req.params;
-  const { niche_tags, content_tags, custom_tags, notes, status, max_uses } = req.body;
+  const { niche_tags, content_tags, custom_tags, notes, status, max_uses, campaign_id } = req.body;
 
   try {
     const updates = [];
@@ -114,6 +115,16 @@ router.patch('/:id', async (req, res) => {
       paramIndex++;
     }
 
+    // null takes the item out of its campaign
+    if (campaign_id !== undefined) {
+      if (campaign_id && !await campaigns.getCampaign(userId, campaign_id)) {
+        return res.status(400).json({ error: 'Campaign not found' });
+      }
+      updates.push(`campaign_id = $${paramIndex}`);
+      params.push(campaign_id);
+      paramIndex++;
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
     }
@@ -142,7 +153,7 @@ router.patch('/:id', async (req, res) => {
 
 // Get content posting history
 router.get('/:id/history', async (req, res) => {
-  const userId = req.headers['x-user-id'];
+  const userId = req.user.id;
   const { id } = req.params;
 
   try {
@@ -163,7 +174,7 @@ router.get('/:id/history', async (req, res) => {
 
 // Delete content
 router.delete('/:id', async (req, res) => {
-  const userId = req.headers['x-user-id'];
+  const userId = req.user.id;
   const { id } = req.params;
 
   try {
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const notifications = require('../services/notifications');
+
+// All routes below require a signed-in user
+router.use(requireAuth);
+
+// The user's notifications, newest first, with the unread count.
+// Filters: unread=true, limit
+router.get('/', async (req, res) => {
+  try {
+    const [items, unreadCount] = await Promise.all([
+      notifications.listNotifications(req.user.id, req.query),
+      notifications.countUnread(req.user.id)
+    ]);
+    res.json({ notifications: items, unread_count: unreadCount });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to get notifications' });
+  }
+});
+
+// Mark every notification read
+router.post('/read-all', async (req, res) => {
+  try {
+    const marked = await notifications.markAllRead(req.user.id);
+    res.json({ marked });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications read' });
+  }
+});
+
+// Mark one notification read
+router.post('/:id/read', async (req, res) => {
+  try {
+    const notification = await notifications.markRead(req.user.id, req.params.id);
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json(notification);
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Failed to mark notification read' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const postHistory = require('../services/postHistory');
+const { sendError } = require('../utils/httpError');
+
+// History of posts that went out (posted_content), including posts made
+// outside the tool and recorded here by hand.
+
+// All routes below require a signed-in user
+router.use(requireAuth);
+
+// Posted content, newest first: { posts, total, limit, offset }.
+// Filters: account_id, subreddit_id, subreddit_name, content_item_id,
+// start_date, end_date, status (live, removed, deleted), source, limit, offset
+router.get('/', async (req, res) => {
+  try {
+    res.json(await postHistory.listPostedContent(req.user.id, req.query));
+  } catch (error) {
+    sendError(res, error, 'Get posts');
+  }
+});
+
+// Record a post made outside the tool:
+// { url, reddit_account_id, title, content_item_id, posted_at }
+router.post('/', async (req, res) => {
+  try {
+    res.status(201).json(await postHistory.recordExternalPost(req.user.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'Record post');
+  }
+});
+
+// One post with its metrics history
+router.get('/:id', async (req, res) => {
+  try {
+    const post = await postHistory.getPostedContent(req.user.id, req.params.id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    res.json(post);
+  } catch (error) {
+    sendError(res, error, 'Get post');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,175 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { requireAuth } = require('../middleware/auth');
+const recurringSchedules = require('../services/recurringSchedules');
+const recurrence = require('../services/recurrence');
+const { isValidTimezone, parseScheduleTime, formatInZone, getUserTimezone } = require('../services/timezone');
+const { sendError } = require('../utils/httpError');
+
+// All routes below require a signed-in user
+router.use(requireAuth);
+
+// Get recurring schedules
+router.get('/', async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const result = await db.query(`
+      SELECT rs.*, s.name AS subreddit_name, ra.reddit_username,
+             (SELECT COUNT(*) FROM scheduled_posts sp
+              WHERE sp.recurring_schedule_id = rs.id AND sp.status = 'scheduled')::int AS upcoming_count
+      FROM recurring_schedules rs
+      LEFT JOIN subreddits s ON rs.subreddit_id = s.id
+      LEFT JOIN reddit_accounts ra ON rs.reddit_account_id = ra.id
+      WHERE rs.user_id = $1
+      ORDER BY rs.created_at DESC
+    `, [userId]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get recurring schedules error:', error);
+    res.status(500).json({ error: 'Failed to get recurring schedules' });
+  }
+});
+
+// Preview the next occurrences of a rule without saving anything
+router.post('/preview', async (req, res) => {
+  const userId = req.user.id;
+  const { rrule, starts_at, count = 10 } = req.body;
+
+  try {
+    const timeZone = req.body.timezone || await getUserTimezone(userId);
+    if (!isValidTimezone(timeZone)) {
+      return res.status(400).json({ error: `Unknown timezone "${timeZone}"` });
+    }
+
+    const start = starts_at ? parseScheduleTime(starts_at, timeZone) : new Date();
+    const occurrences = recurrence.expand(rrule, {
+      start,
+      timeZone,
+      until: new Date(start.getTime() + 366 * 24 * 60 * 60 * 1000),
+      limit: Math.min(parseInt(count) || 10, 100)
+    });
+
+    res.json(occurrences.map(at => ({ at, local: formatInZone(at, timeZone) })));
+  } catch (error) {
+    if (error.code === 'invalid_rrule' || error.code === 'invalid_time') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Preview recurrence error:', error);
+    res.status(500).json({ error: 'Failed to preview recurrence' });
+  }
+});
+
+// Get a recurring schedule with its upcoming posts
+router.get('/:id', async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  try {
+    const schedule = await recurringSchedules.getSchedule(userId, id);
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Recurring schedule not found' });
+    }
+
+    const posts = await db.query(`
+      SELECT * FROM scheduled_posts
+      WHERE recurring_schedule_id = $1 AND status IN ('scheduled', 'posting')
+      ORDER BY scheduled_for ASC
+    `, [id]);
+
+    res.json({ ...schedule, upcoming_posts: posts.rows });
+  } catch (error) {
+    console.error('Get recurring schedule error:', error);
+    res.status(500).json({ error: 'Failed to get recurring schedule' });
+  }
+});
+
+// Create a recurring schedule and generate its first posts
+// e.g. { rrule: 'FREQ=WEEKLY;BYDAY=TU,FR;BYHOUR=20;BYMINUTE=0', starts_at: '2026-11-03T20:00',
+//        timezone: 'America/New_York', content_tag: 'beach', ... }
+router.post('/', async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const result = await recurringSchedules.createSchedule(userId, req.body);
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Create recurring schedule');
+  }
+});
+
+// Edit a series: { scope: 'all' | 'following', post_id (for 'following'), ...changes }.
+// To change a single occurrence, edit its post with PATCH /api/schedule/:id.
+router.patch('/:id', async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+  const { scope = 'all', post_id } = req.body;
+
+  try {
+    const result = await recurringSchedules.updateSchedule(userId, id, req.body, { scope, postId: post_id });
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Update recurring schedule');
+  }
+});
+
+// Pause generating posts (posts already generated still go out)
+router.post('/:id/pause', async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  try {
+    const schedule = await recurringSchedules.setStatus(userId, id, 'paused');
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Recurring schedule not found' });
+    }
+
+    res.json(schedule);
+  } catch (error) {
+    sendError(res, error, 'Pause recurring schedule');
+  }
+});
+
+// Resume generating posts
+router.post('/:id/resume', async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  try {
+    const schedule = await recurringSchedules.setStatus(userId, id, 'active');
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Recurring schedule not found' });
+    }
+
+    res.json(schedule);
+  } catch (error) {
+    sendError(res, error, 'Resume recurring schedule');
+  }
+});
+
+// End a recurring schedule and cancel its upcoming posts
+router.delete('/:id', async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  try {
+    const result = await recurringSchedules.endSchedule(userId, id);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Recurring schedule not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'End recurring schedule');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const postReviews = require('../services/postReviews');
+const { sendError } = require('../utils/httpError');
+
+// Review workflow for scheduled posts: drafts are created with
+// POST /api/schedule { draft: true }, then submitted, approved or rejected here.
+
+// All routes below require a signed-in user
+router.use(requireAuth);
+
+// Posts waiting for this user's review
+router.get('/', async (req, res) => {
+  try {
+    res.json(await postReviews.listReviewQueue(req.user.id));
+  } catch (error) {
+    sendError(res, error, 'Get review queue');
+  }
+});
+
+// Who did what: workflow history of the user's posts and the posts they review.
+// Filters: scheduled_post_id, action, actor_id, limit
+router.get('/events', async (req, res) => {
+  try {
+    res.json(await postReviews.listEvents(req.user.id, req.query));
+  } catch (error) {
+    sendError(res, error, 'Get review events');
+  }
+});
+
+// Submit a draft for review (or reassign a post in review):
+// { reviewer_email, comment }. Without reviewer_email the owner reviews it.
+router.post('/:id/submit', async (req, res) => {
+  try {
+    res.json(await postReviews.submitForReview(req.user.id, req.params.id, {
+      reviewerEmail: req.body.reviewer_email,
+      comment: req.body.comment
+    }));
+  } catch (error) {
+    sendError(res, error, 'Submit post for review');
+  }
+});
+
+// Approve a post in review and queue it: { comment, ignore_compliance }
+router.post('/:id/approve', async (req, res) => {
+  try {
+    res.json(await postReviews.approve(req.user.id, req.params.id, {
+      comment: req.body.comment,
+      ignoreCompliance: req.body.ignore_compliance
+    }));
+  } catch (error) {
+    sendError(res, error, 'Approve post');
+  }
+});
+
+// Send a post in review back to draft: { comment } (required)
+router.post('/:id/reject', async (req, res) => {
+  try {
+    res.json(await postReviews.reject(req.user.id, req.params.id, { comment: req.body.comment }));
+  } catch (error) {
+    sendError(res, error, 'Reject post');
+  }
+});
+
+// Take a post in review, or an approved one not sent yet, back to draft: { comment }
+router.post('/:id/reopen', async (req, res) => {
+  try {
+    res.json(await postReviews.reopen(req.user.id, req.params.id, { comment: req.body.comment }));
+  } catch (error) {
+    sendError(res, error, 'Reopen post');
+  }
+});
+
+module.exports = router;
@@ -1,104 +1,359 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
+const { requireAuth } = require('../middleware/auth');
+const publishQueue = require('../services/publishQueue');
+const { retryFailedPost } = require('../services/postPublisher');
+const complianceChecker = require('../services/complianceChecker');
+const { previewAutoDeletes } = require('../services/autoDeleter');
+const { previewImport, importScheduledPosts } = require('../services/scheduleImport');
+const RedditTransport = require('../services/redditTransport');
+const { isValidTimezone, formatInZone, getUserTimezone } = require('../services/timezone');
+const {
+  checkCompliance,
+  parseScheduleInput,
+  validateAutoDelete,
+  createScheduledPost,
+  listScheduledPosts
+} = require('../services/scheduledPosts');
+const calendarFeed = require('../services/calendarFeed');
+const crossposts = require('../services/crossposts');
+const campaigns = require('../services/campaigns');
+const postReviews = require('../services/postReviews');
+const { suggestSlots } = require('../services/slotSuggester');
+const { simulate } = require('../services/scheduleSimulator');
+const { httpError, sendError, optionalUuid } = require('../utils/httpError');
+
+// Posts that haven't gone out yet; anything else is history and can't be edited
+const EDITABLE_STATUSES = ['scheduled', 'paused', 'draft', 'in_review'];
+
+// What a reviewer approved; changing any of these (or the time) sends an
+// approved post back to draft
+const REVIEWED_FIELDS = ['title', 'flair_id', 'auto_comment', 'auto_delete_hours', 'auto_delete_if_below_upvotes'];
+
+function reviewedFieldsChanged(before, after) {
+  return REVIEWED_FIELDS.some(field => (before[field] === undefined ? null : before[field]) !== (after[field] === undefined ? null : after[field]));
+}
+
+const FEED_DEFAULT_DAYS_BACK = 30;
+const FEED_STATUSES = ['draft', 'in_review', 'scheduled', 'paused', 'posting', 'posted', 'failed', 'cancelled'];
+
+// The filters GET / and the feed take from their query string. Anything else
+// is dropped and each value has to be a single one of the right kind (a
+// repeated param arrives as an array).
+function listFilters(query) {
+  const filters = {
+    reddit_account_id: optionalUuid(query.reddit_account_id, 'reddit_account_id'),
+    campaign_id: optionalUuid(query.campaign_id, 'campaign_id')
+  };
+
+  if (query.status !== undefined && query.status !== '') {
+    if (!FEED_STATUSES.includes(query.status)) {
+      throw httpError(`status must be one of: ${FEED_STATUSES.join(', ')}`, 400);
+    }
+    filters.status = query.status;
+  }
+
+  for (const field of ['start_date', 'end_date']) {
+    if (query[field] === undefined || query[field] === '') continue;
+    const date = typeof query[field] === 'string' ? new Date(query[field]) : new Date(NaN);
+    if (Number.isNaN(date.getTime())) {
+      throw httpError(`${field} must be a date`, 400);
+    }
+    filters[field] = date;
+  }
+
+  return filters;
+}
+
+// iCalendar feed for calendar apps: /api/schedule/feed.ics?token=<feed token>.
+// Takes the same filters as GET /; without start_date it starts 30 days back.
+// Registered before requireAuth - the token in the URL is the authentication.
+router.get('/feed.ics', async (req, res) => {
+  try {
+    const userId = await calendarFeed.findUserByFeedToken(req.query.token);
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Invalid calendar feed token' });
+    }
+
+    const filters = listFilters(req.query);
+    if (!filters.start_date) {
+      filters.start_date = new Date(Date.now() - FEED_DEFAULT_DAYS_BACK * 24 * 60 * 60 * 1000);
+    }
+
+    const posts = await listScheduledPosts(userId, filters);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="scheduled-posts.ics"');
+    res.set('Cache-Control', 'private, no-cache');
+    res.send(calendarFeed.buildCalendar(posts));
+  } catch (error) {
+    sendError(res, error, 'Build calendar feed');
+  }
+});
+
+// All routes below require a signed-in user
+router.use(requireAuth);
 
 // Get scheduled posts
+// Filters: status, reddit_account_id, campaign_id, start_date, end_date
 router.get('/', async (req, res) => {
-  const userId = req.headers['x-user-id'];
-  const { status, start_date, end_date } = req.query;
+  const userId = req.user.id;
 
-  if (!userId) {
-    return res.status(401).json({ error: 'Not authenticated' });
+  try {
+    const posts = await listScheduledPosts(userId, listFilters(req.query));
+
+    res.json(posts.map(post => ({
+      ...post,
+      scheduled_for_local: isValidTimezone(post.timezone) ? formatInZone(post.scheduled_for, post.timezone) : null
+    })));
+  } catch (error) {
+    sendError(res, error, 'Get scheduled posts');
   }
+});
+
+// Create (or replace) the calendar feed token and return the feed URL.
+// The token is only shown here; creating a new one stops the old URL working.
+router.post('/feed/token', async (req, res) => {
+  const userId = req.user.id;
 
   try {
-    let query = `
-      SELECT sp.*, s.name as subreddit_name, s.display_name as subreddit_display_name,
-             ra.reddit_username, ci.filename
-      FROM scheduled_posts sp
-      LEFT JOIN subreddits s ON sp.subreddit_id = s.id
-      LEFT JOIN reddit_accounts ra ON sp.reddit_account_id = ra.id
-      LEFT JOIN content_items ci ON sp.content_item_id = ci.id
-      WHERE sp.user_id = $1
-    `;
-    const params = [userId];
-    let paramIndex = 2;
+    const token = await calendarFeed.createFeedToken(userId);
 
-    if (status) {
-      query += ` AND sp.status = $${paramIndex}`;
-      params.push(status);
-      paramIndex++;
-    }
+    res.json({
+      token,
+      url: `${req.protocol}://${req.get('host')}${req.baseUrl}/feed.ics?token=${token}`
+    });
+  } catch (error) {
+    console.error('Create calendar feed token error:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed token' });
+  }
+});
 
-    if (start_date) {
-      query += ` AND sp.scheduled_for >= $${paramIndex}`;
-      params.push(start_date);
-      paramIndex++;
-    }
+// Turn the calendar feed off
+router.delete('/feed/token', async (req, res) => {
+  const userId = req.user.id;
 
-    if (end_date) {
-      query += ` AND sp.scheduled_for <= $${paramIndex}`;
-      params.push(end_date);
-      paramIndex++;
+  try {
+    await calendarFeed.revokeFeedToken(userId);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke calendar feed token error:', error);
+    res.status(500).json({ error: 'Failed to revoke calendar feed token' });
+  }
+});
+
+// Dry run of auto-delete: posted content waiting for its check, with the
+// current score and whether it would be deleted
+router.get('/auto-delete/preview', async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const preview = await previewAutoDeletes(userId, { transport: new RedditTransport() });
+
+    res.json(preview);
+  } catch (error) {
+    console.error('Auto-delete preview error:', error);
+    res.status(500).json({ error: 'Failed to preview auto-deletes' });
+  }
+});
+
+// Suggest open posting slots for an account in a subreddit, best first.
+// Query: subreddit_id, account_id, count (default 5, max 20), days ahead
+// (default 7, max 30), timezone for scheduled_for_local (default: the user's)
+router.get('/suggest', async (req, res) => {
+  const userId = req.user.id;
+  const { timezone } = req.query;
+
+  if (!req.query.subreddit_id || !req.query.account_id) {
+    return res.status(400).json({ error: 'subreddit_id and account_id are required' });
+  }
+
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({ error: `Unknown timezone "${timezone}"` });
+  }
+
+  try {
+    const subreddit_id = optionalUuid(req.query.subreddit_id, 'subreddit_id');
+    const account_id = optionalUuid(req.query.account_id, 'account_id');
+
+    const suggestions = await suggestSlots(userId, {
+      subredditId: subreddit_id,
+      accountId: account_id,
+      count: Math.min(Math.max(parseInt(req.query.count) || 5, 1), 20),
+      days: Math.min(Math.max(parseInt(req.query.days) || 7, 1), 30),
+      timeZone: timezone || await getUserTimezone(userId)
+    });
+
+    res.json(suggestions);
+  } catch (error) {
+    sendError(res, error, 'Suggest posting times');
+  }
+});
+
+// Dry run of the publisher: play the next `days` (default 7, max 30) through on
+// a virtual clock with a fake Reddit transport. Nothing is saved or posted.
+// Optional account_id limits it to one account.
+router.get('/simulate', async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const account_id = optionalUuid(req.query.account_id, 'account_id');
+    if (account_id) {
+      const account = await db.query(
+        'SELECT id FROM reddit_accounts WHERE id = $1 AND user_id = $2',
+        [account_id, userId]
+      );
+      if (account.rows.length === 0) {
+        return res.status(404).json({ error: 'Reddit account not found' });
+      }
     }
 
-    query += ' ORDER BY sp.scheduled_for ASC';
+    const report = await simulate(userId, {
+      days: Math.min(Math.max(parseInt(req.query.days) || 7, 1), 30),
+      accountId: account_id || null
+    });
+
+    res.json(report);
+  } catch (error) {
+    sendError(res, error, 'Simulate schedule');
+  }
+});
+
+// Check a post against the subreddit's rules without saving it.
+// Pass scheduled_post_id when checking an edit to an existing post.
+router.post('/validate', async (req, res) => {
+  const userId = req.user.id;
+  const { reddit_account_id, subreddit_id, title, scheduled_post_id } = req.body;
+
+  if (!reddit_account_id || !subreddit_id || !title) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  try {
+    let scheduledFor = new Date();
+    if (req.body.scheduled_for) {
+      const schedule = parseScheduleInput(req.body.scheduled_for, req.body.timezone || await getUserTimezone(userId));
+      if (schedule.error) {
+        return res.status(400).json({ error: schedule.error });
+      }
+      scheduledFor = schedule.scheduledFor;
+    }
 
-    const result = await db.query(query, params);
+    const compliance = await complianceChecker.checkPost(userId, {
+      ...req.body,
+      scheduled_for: scheduledFor
+    }, { excludePostId: scheduled_post_id || null });
 
-    res.json(result.rows);
+    res.json(compliance);
   } catch (error) {
-    console.error('Get scheduled posts error:', error);
-    res.status(500).json({ error: 'Failed to get scheduled posts' });
+    console.error('Validate scheduled post error:', error);
+    res.status(500).json({ error: 'Failed to validate scheduled post' });
   }
 });
 
 // Create scheduled post
+// scheduled_for can be wall-clock time in `timezone` (default: the user's timezone).
+// Posts with blocking compliance errors are refused unless ignore_compliance is set;
+// shift_if_needed moves a post that breaks the posting frequency limit instead.
+// draft: true saves it as a draft for review (not queued, compliance errors allowed)
 router.post('/', async (req, res) => {
-  const userId = req.headers['x-user-id'];
-  const {
-    reddit_account_id,
-    subreddit_id,
-    content_item_id,
-    title,
-    scheduled_for,
-    flair_id,
-    auto_comment
-  } = req.body;
+  const userId = req.user.id;
+  const { ignore_compliance, shift_if_needed, draft } = req.body;
 
-  if (!userId) {
-    return res.status(401).json({ error: 'Not authenticated' });
+  try {
+    const post = draft
+      ? await postReviews.createDraft(userId, req.body, { shiftIfNeeded: shift_if_needed })
+      : await createScheduledPost(userId, req.body, {
+        ignoreCompliance: ignore_compliance,
+        shiftIfNeeded: shift_if_needed
+      });
+
+    res.json(post);
+  } catch (error) {
+    sendError(res, error, 'Create scheduled post');
   }
+});
 
-  if (!reddit_account_id || !subreddit_id || !title || !scheduled_for) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
+// Preview a bulk import without saving anything.
+// Body: { format: 'csv' | 'json', data, timezone, ignore_compliance }. data is
+// CSV text (with a header row), JSON text or an array of rows with account,
+// subreddit, content (filename or id), title, time (local), flair and comment.
+router.post('/import/preview', async (req, res) => {
+  const userId = req.user.id;
+  const { timezone, ignore_compliance } = req.body;
 
   try {
-    const result = await db.query(`
-      INSERT INTO scheduled_posts (
-        user_id, reddit_account_id, subreddit_id, content_item_id,
-        title, scheduled_for, flair_id, auto_comment
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING *
-    `, [userId, reddit_account_id, subreddit_id, content_item_id, title, scheduled_for, flair_id, auto_comment]);
+    const preview = await previewImport(userId, req.body, {
+      timezone,
+      ignoreCompliance: ignore_compliance
+    });
 
-    // TODO: Add to Bull queue
+    res.json(preview);
+  } catch (error) {
+    sendError(res, error, 'Preview import');
+  }
+});
 
-    res.json(result.rows[0]);
+// Bulk import: same body as the preview. All rows are created in one
+// transaction; if any row has errors nothing is created and the response
+// lists every row's errors.
+router.post('/import', async (req, res) => {
+  const userId = req.user.id;
+  const { timezone, ignore_compliance } = req.body;
+
+  try {
+    const result = await importScheduledPosts(userId, req.body, {
+      timezone,
+      ignoreCompliance: ignore_compliance
+    });
+
+    res.json(result);
   } catch (error) {
-    console.error('Create scheduled post error:', error);
-    res.status(500).json({ error: 'Failed to create scheduled post' });
+    sendError(res, error, 'Import scheduled posts');
   }
 });
 
-// Update scheduled post
+// Update scheduled post (409 once it's posting, posted, failed or cancelled)
+// The edited post is re-checked for compliance, same as on create (drafts and
+// posts in review are saved regardless; approval checks them). Editing a post
+// in review, or the content or time of an approved one, sends it back to draft
+// to be submitted again. A wall-clock
+// scheduled_for is read in `timezone`, or the post's current timezone.
+// Editing a post generated by a recurring schedule detaches it from the series
+// ("this occurrence only"), so later edits to the whole series leave it alone.
 router.patch('/:id', async (req, res) => {
-  const userId = req.headers['x-user-id'];
+  const userId = req.user.id;
   const { id } = req.params;
-  const { title, scheduled_for, flair_id, auto_comment } = req.body;
+  const {
+    title,
+    scheduled_for,
+    timezone,
+    flair_id,
+    auto_comment,
+    auto_delete_hours,
+    auto_delete_if_below_upvotes,
+    campaign_id,
+    ignore_compliance,
+    shift_if_needed
+  } = req.body;
 
   try {
+    const existing = await db.query(
+      'SELECT * FROM scheduled_posts WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Scheduled post not found' });
+    }
+
+    if (!EDITABLE_STATUSES.includes(existing.rows[0].status)) {
+      return res.status(409).json({ error: `Only posts that haven't gone out can be edited (this post is ${existing.rows[0].status})` });
+    }
+
     const updates = [];
     const params = [id, userId];
     let paramIndex = 3;
@@ -109,12 +364,6 @@ router.patch('/:id', async (req, res) => {
       paramIndex++;
     }
 
-    if (scheduled_for) {
-      updates.push(`scheduled_for = $${paramIndex}`);
-      params.push(scheduled_for);
-      paramIndex++;
-    }
-
     if (flair_id !== undefined) {
       updates.push(`flair_id = $${paramIndex}`);
       params.push(flair_id);
@@ -127,56 +376,205 @@ router.patch('/:id', async (req, res) => {
       paramIndex++;
     }
 
-    if (updates.length === 0) {
+    // Both settings are sent together (null to turn auto-delete off)
+    if (auto_delete_hours !== undefined || auto_delete_if_below_upvotes !== undefined) {
+      const autoDeleteError = validateAutoDelete(req.body);
+      if (autoDeleteError) {
+        return res.status(400).json({ error: autoDeleteError });
+      }
+
+      updates.push(`auto_delete_hours = $${paramIndex}`, `auto_delete_if_below_upvotes = $${paramIndex + 1}`);
+      params.push(auto_delete_hours, auto_delete_if_below_upvotes);
+      paramIndex += 2;
+    }
+
+    // null takes the post out of its campaign
+    if (campaign_id !== undefined) {
+      if (campaign_id && !await campaigns.getCampaign(userId, campaign_id)) {
+        return res.status(400).json({ error: 'Campaign not found' });
+      }
+      updates.push(`campaign_id = $${paramIndex}`);
+      params.push(campaign_id);
+      paramIndex++;
+    }
+
+    if (timezone) {
+      if (!isValidTimezone(timezone)) {
+        return res.status(400).json({ error: `Unknown timezone "${timezone}"` });
+      }
+      updates.push(`timezone = $${paramIndex}`);
+      params.push(timezone);
+      paramIndex++;
+    }
+
+    if (updates.length === 0 && !scheduled_for) {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
-    updates.push('updated_at = NOW()');
+    const edited = { ...existing.rows[0] };
+    if (title) edited.title = title;
+    if (scheduled_for) {
+      const schedule = parseScheduleInput(scheduled_for, timezone || existing.rows[0].timezone || await getUserTimezone(userId));
+      if (schedule.error) {
+        return res.status(400).json({ error: schedule.error });
+      }
+      edited.scheduled_for = schedule.scheduledFor;
+    }
+    if (flair_id !== undefined) edited.flair_id = flair_id;
+    if (auto_comment !== undefined) edited.auto_comment = auto_comment;
+    if (auto_delete_hours !== undefined || auto_delete_if_below_upvotes !== undefined) {
+      edited.auto_delete_hours = auto_delete_hours;
+      edited.auto_delete_if_below_upvotes = auto_delete_if_below_upvotes;
+    }
+
+    const { compliance, scheduledFor } = await checkCompliance(userId, edited, {
+      shift: shift_if_needed,
+      excludePostId: edited.id
+    });
+
+    const current = existing.rows[0];
+    const moved = new Date(scheduledFor).getTime() !== new Date(current.scheduled_for).getTime();
+
+    // The reviewer would be approving something other than what they saw: a
+    // post in review, or an approved one whose content or time changes, goes
+    // back to draft (and out of the queue) to be submitted again
+    const backToDraft = current.status === 'in_review'
+      || (Boolean(current.approved_by) && (moved || reviewedFieldsChanged(current, edited)));
+
+    const unapproved = postReviews.UNAPPROVED_STATUSES.includes(current.status) || backToDraft;
+    if (!compliance.ok && !ignore_compliance && !unapproved) {
+      return res.status(422).json({ error: 'Post breaks subreddit rules', compliance });
+    }
+
+    // A pending retry (or a crosspost's wait for its original) is dropped, so
+    // the post runs at the new time rather than the old retry time
+    if (moved) {
+      updates.push(`scheduled_for = $${paramIndex}`, 'next_retry_at = NULL');
+      params.push(scheduledFor);
+      paramIndex++;
+    }
+
+    const issues = [...compliance.errors, ...compliance.warnings];
+    updates.push(`compliance_warnings = $${paramIndex}`, `compliance_issues = $${paramIndex + 1}`, `compliance_overridden = $${paramIndex + 2}`);
+    params.push(issues.map(i => i.message), JSON.stringify(issues), !compliance.ok);
 
+    updates.push('compliance_checked = TRUE', 'compliance_checked_at = NOW()');
+    if (existing.rows[0].recurring_schedule_id) {
+      updates.push('is_exception = TRUE');
+    }
+    if (backToDraft) {
+      updates.push("status = 'draft'", 'approved_by = NULL', 'approved_at = NULL');
+    }
+    updates.push('revision = revision + 1', 'updated_at = NOW()');
+
+    // Only if the post is still as it was read (a reviewer may have approved it since)
     const query = `
       UPDATE scheduled_posts
       SET ${updates.join(', ')}
-      WHERE id = $1 AND user_id = $2
+      WHERE id = $1 AND user_id = $2 AND status = $${paramIndex + 3}
       RETURNING *
     `;
 
-    const result = await db.query(query, params);
+    const post = await db.transaction(async (client) => {
+      const result = await client.query(query, [...params, current.status]);
+      const updated = result.rows[0];
+
+      if (updated && backToDraft) {
+        await postReviews.recordEvent(client, {
+          postId: id,
+          actorId: userId,
+          action: 'edited',
+          fromStatus: current.status,
+          toStatus: 'draft'
+        });
+      }
+      return updated;
+    });
+
+    if (!post) {
+      return res.status(409).json({ error: 'The post changed while editing it; reload and try again' });
+    }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Scheduled post not found' });
+    if (backToDraft && current.status !== 'in_review') {
+      publishQueue.removePost(current).catch(err => {
+        console.error('Failed to remove queued post:', err.message);
+      });
     }
 
-    res.json(result.rows[0]);
+    if (moved && post.status === 'scheduled') {
+      publishQueue.schedulePost(post).catch(err => {
+        console.error('Failed to reschedule post:', err.message);
+      });
+    }
+
+    res.json(post);
   } catch (error) {
     console.error('Update scheduled post error:', error);
     res.status(500).json({ error: 'Failed to update scheduled post' });
   }
 });
 
-// Cancel scheduled post
+// Cancel scheduled post (and any crossposts waiting on it). Drafts and posts
+// in review can be cancelled too; that's recorded in their review history.
 router.delete('/:id', async (req, res) => {
-  const userId = req.headers['x-user-id'];
+  const userId = req.user.id;
   const { id } = req.params;
 
   try {
     const result = await db.query(`
-      UPDATE scheduled_posts
-      SET status = 'cancelled', updated_at = NOW()
-      WHERE id = $1 AND user_id = $2 AND status = 'scheduled'
-      RETURNING *
+      UPDATE scheduled_posts sp
+      SET status = 'cancelled', revision = revision + 1, updated_at = NOW()
+      FROM (SELECT id, status FROM scheduled_posts WHERE id = $1 FOR UPDATE) previous
+      WHERE sp.id = previous.id AND sp.user_id = $2
+        AND sp.status IN ('scheduled', 'paused', 'draft', 'in_review')
+      RETURNING sp.*, previous.status AS previous_status
     `, [id, userId]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Scheduled post not found or already processed' });
     }
 
-    // TODO: Remove from Bull queue
+    const { previous_status } = result.rows[0];
+    if (postReviews.UNAPPROVED_STATUSES.includes(previous_status)) {
+      await postReviews.recordEvent(db, {
+        postId: id,
+        actorId: userId,
+        action: 'cancelled',
+        fromStatus: previous_status,
+        toStatus: 'cancelled'
+      });
+    }
 
-    res.json({ success: true });
+    publishQueue.removePost(result.rows[0]).catch(err => {
+      console.error('Failed to remove queued post:', err.message);
+    });
+
+    const cancelledCrossposts = await crossposts.cancelCrossposts([id], 'the original post was cancelled');
+
+    res.json({ success: true, cancelled_crossposts: cancelledCrossposts.length });
   } catch (error) {
     console.error('Cancel scheduled post error:', error);
     res.status(500).json({ error: 'Failed to cancel scheduled post' });
   }
 });
 
+// Retry a failed post
+router.post('/:id/retry', async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  try {
+    const post = await retryFailedPost(userId, id);
+
+    if (!post) {
+      return res.status(404).json({ error: 'Failed post not found' });
+    }
+
+    res.json(post);
+  } catch (error) {
+    console.error('Retry scheduled post error:', error);
+    res.status(500).json({ error: 'Failed to retry scheduled post' });
+  }
+});
+
 module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
+const { requireAuth } = require('../middleware/auth');
+const postingFrequency = require('../services/postingFrequency');
+const { getSubredditCurve, CURVE_HOURS } = require('../services/postMetrics');
+const { isValidTimezone, localizeBestPostingTimes, getUserTimezone } = require('../services/timezone');
 
 // Get all subreddits with optional filters
 router.get('/', async (req, res) => {
@@ -91,24 +95,6 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get single subreddit
-router.get('/:id', async (req, res) => {
-  const { id } = req.params;
-
-  try {
-    const result = await db.query('SELECT * FROM subreddits WHERE id = $1', [id]);
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Subreddit not found' });
-    }
-
-    res.json(result.rows[0]);
-  } catch (error) {
-    console.error('Get subreddit error:', error);
-    res.status(500).json({ error: 'Failed to get subreddit' });
-  }
-});
-
 // Search subreddits
 router.get('/search', async (req, res) => {
   const { q, limit = 20 } = req.query;
@@ -132,6 +118,87 @@ router.get('/search', async (req, res) => {
   }
 });
 
+// Get tracked subreddits for user, with the next time each account may post
+// there under the subreddit's posting frequency limit (null if it has none)
+// and best posting times in the user's timezone (or ?timezone=)
+router.get('/tracked', requireAuth, async (req, res) => {
+  const userId = req.user.id;
+  const { timezone } = req.query;
+
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({ error: `Unknown timezone "${timezone}"` });
+  }
+
+  try {
+    const timeZone = timezone || await getUserTimezone(userId);
+
+    const result = await db.query(`
+      SELECT s.*, us.reddit_account_id, us.is_verified, us.notes, us.priority
+      FROM user_subreddits us
+      JOIN subreddits s ON us.subreddit_id = s.id
+      WHERE us.user_id = $1
+      ORDER BY us.priority DESC, s.engagement_score DESC NULLS LAST
+    `, [userId]);
+
+    const nextAllowed = await postingFrequency.getNextAllowedTimes(userId, result.rows);
+
+    res.json(result.rows.map(row => ({
+      ...row,
+      next_allowed_at: nextAllowed[`${row.reddit_account_id}:${row.id}`] || null,
+      best_posting_times_local: localizeBestPostingTimes(row.best_posting_times, timeZone),
+      timezone: timeZone
+    })));
+  } catch (error) {
+    console.error('Get tracked error:', error);
+    res.status(500).json({ error: 'Failed to get tracked subreddits' });
+  }
+});
+
+// Get single subreddit
+// best_posting_times is in UTC; pass ?timezone= to also get best_posting_times_local
+router.get('/:id', async (req, res) => {
+  const { id } = req.params;
+  const { timezone } = req.query;
+
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({ error: `Unknown timezone "${timezone}"` });
+  }
+
+  try {
+    const result = await db.query('SELECT * FROM subreddits WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Subreddit not found' });
+    }
+
+    const subreddit = result.rows[0];
+    if (timezone) {
+      subreddit.best_posting_times_local = localizeBestPostingTimes(subreddit.best_posting_times, timezone);
+    }
+
+    res.json(subreddit);
+  } catch (error) {
+    console.error('Get subreddit error:', error);
+    res.status(500).json({ error: 'Failed to get subreddit' });
+  }
+});
+
+// How the user's posts here typically grow: average and median score and
+// comments at 1h, 2h, 6h, ... 7 days old, from the metrics poller's snapshots.
+// Optional account_id limits it to one account.
+router.get('/:id/score-curve', requireAuth, async (req, res) => {
+  try {
+    const curve = await getSubredditCurve(req.user.id, req.params.id, {
+      accountId: req.query.account_id || null
+    });
+
+    res.json({ subreddit_id: req.params.id, hours: CURVE_HOURS, curve });
+  } catch (error) {
+    console.error('Get score curve error:', error);
+    res.status(500).json({ error: 'Failed to get score curve' });
+  }
+});
+
 // Find similar subreddits
 router.get('/:id/similar', async (req, res) => {
   const { id } = req.params;
@@ -173,15 +240,11 @@ router.get('/:id/similar', async (req, res) => {
 });
 
 // Track subreddit (add to user's list)
-router.post('/:id/track', async (req, res) => {
-  const userId = req.headers['x-user-id'];
+router.post('/:id/track', requireAuth, async (req, res) => {
+  const userId = req.user.id;
   const { id } = req.params;
   const { reddit_account_id, notes } = req.body;
 
-  if (!userId) {
-    return res.status(401).json({ error: 'Not authenticated' });
-  }
-
   try {
     const result = await db.query(`
       INSERT INTO user_subreddits (user_id, subreddit_id, reddit_account_id, notes)
@@ -199,8 +262,8 @@ router.post('/:id/track', async (req, res) => {
 });
 
 // Untrack subreddit
-router.delete('/:id/track', async (req, res) => {
-  const userId = req.headers['x-user-id'];
+router.delete('/:id/track', requireAuth, async (req, res) => {
+  const userId = req.user.id;
   const { id } = req.params;
   const { reddit_account_id } = req.query;
 
@@ -217,28 +280,4 @@ router.delete('/:id/track', async (req, res) => {
   }
 });
 
-// Get tracked subreddits for user
-router.get('/tracked', async (req, res) => {
-  const userId = req.headers['x-user-id'];
-
-  if (!userId) {
-    return res.status(401).json({ error: 'Not authenticated' });
-  }
-
-  try {
-    const result = await db.query(`
-      SELECT s.*, us.is_verified, us.notes, us.priority
-      FROM user_subreddits us
-      JOIN subreddits s ON us.subreddit_id = s.id
-      WHERE us.user_id = $1
-      ORDER BY us.priority DESC, s.engagement_score DESC NULLS LAST
-    `, [userId]);
-
-    res.json(result.rows);
-  } catch (error) {
-    console.error('Get tracked error:', error);
-    res.status(500).json({ error: 'Failed to get tracked subreddits' });
-  }
-});
-
 module.exports = router;
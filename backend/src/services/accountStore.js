@@ -0,0 +1,179 @@
+const snoowrap = require('snoowrap');
+const db = require('../config/database');
+const { encrypt, decrypt } = require('./encryption');
+
+// Data access for stored credentials (reddit_accounts, cloud_connections).
+// Tokens are encrypted on write and only decrypted inside this module, right
+// before they're handed to an API client. Everything else gets rows without them.
+
+const ACCOUNT_COLUMNS = `
+  id, user_id, reddit_username, reddit_id, token_expires_at,
+  post_karma, comment_karma, account_age_days,
+  is_shadowbanned, shadowban_checked_at, is_primary, status,
+  needs_reauth, reauth_reason, token_refreshed_at,
+  posting_paused_at, pause_reason,
+  created_at, updated_at
+`;
+
+async function getAccounts(userId) {
+  const result = await db.query(
+    `SELECT ${ACCOUNT_COLUMNS} FROM reddit_accounts WHERE user_id = $1 ORDER BY is_primary DESC, created_at ASC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+async function getAccount(userId, accountId) {
+  const result = await db.query(
+    `SELECT ${ACCOUNT_COLUMNS} FROM reddit_accounts WHERE id = $1 AND user_id = $2`,
+    [accountId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Create or update an account after a successful OAuth exchange
+async function saveOAuthAccount(userId, me, { accessToken, refreshToken, expiresAt }) {
+  const accountAge = Math.floor((Date.now() - me.created_utc * 1000) / (1000 * 60 * 60 * 24));
+
+  const existing = await db.query(
+    'SELECT id FROM reddit_accounts WHERE user_id = $1 AND reddit_id = $2',
+    [userId, me.id]
+  );
+
+  if (existing.rows.length > 0) {
+    const result = await db.query(`
+      UPDATE reddit_accounts
+      SET access_token = $1,
+          refresh_token = $2,
+          token_expires_at = $3,
+          post_karma = $4,
+          comment_karma = $5,
+          account_age_days = $6,
+          needs_reauth = FALSE,
+          reauth_reason = NULL,
+          token_refreshed_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $7
+      RETURNING ${ACCOUNT_COLUMNS}
+    `, [
+      encrypt(accessToken),
+      encrypt(refreshToken),
+      expiresAt,
+      me.link_karma,
+      me.comment_karma,
+      accountAge,
+      existing.rows[0].id
+    ]);
+    return result.rows[0];
+  }
+
+  // First account for the user becomes primary
+  const accountCount = await db.query(
+    'SELECT COUNT(*) FROM reddit_accounts WHERE user_id = $1',
+    [userId]
+  );
+  const isPrimary = accountCount.rows[0].count === '0';
+
+  const result = await db.query(`
+    INSERT INTO reddit_accounts (
+      user_id, reddit_username, reddit_id, access_token, refresh_token, token_expires_at,
+      token_refreshed_at, post_karma, comment_karma, account_age_days, is_primary
+    ) VALUES ($1, $2, $3, $4, $5, $6, NOW(), $7, $8, $9, $10)
+    RETURNING ${ACCOUNT_COLUMNS}
+  `, [
+    userId,
+    me.name,
+    me.id,
+    encrypt(accessToken),
+    encrypt(refreshToken),
+    expiresAt,
+    me.link_karma,
+    me.comment_karma,
+    accountAge,
+    isPrimary
+  ]);
+  return result.rows[0];
+}
+
+// Snoowrap client for an account, with its token expiry loaded.
+// Returns { account, reddit } or null if not found. Callers should go
+// through tokenService.getRedditClient, which refreshes expiring tokens.
+async function getRedditClient(userId, accountId) {
+  const result = await db.query(
+    `SELECT ${ACCOUNT_COLUMNS}, access_token, refresh_token
+     FROM reddit_accounts WHERE id = $1 AND user_id = $2`,
+    [accountId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const { access_token, refresh_token, ...account } = result.rows[0];
+
+  const reddit = new snoowrap({
+    userAgent: process.env.REDDIT_USER_AGENT,
+    clientId: process.env.REDDIT_CLIENT_ID,
+    clientSecret: process.env.REDDIT_CLIENT_SECRET,
+    accessToken: decrypt(access_token),
+    refreshToken: decrypt(refresh_token)
+  });
+  reddit.tokenExpiration = account.token_expires_at ? new Date(account.token_expires_at).getTime() : null;
+
+  return { account, reddit };
+}
+
+async function saveAccessToken(accountId, accessToken, expiresAt) {
+  await db.query(`
+    UPDATE reddit_accounts
+    SET access_token = $1, token_expires_at = $2, token_refreshed_at = NOW(), updated_at = NOW()
+    WHERE id = $3
+  `, [encrypt(accessToken), expiresAt, accountId]);
+}
+
+async function markNeedsReauth(accountId, reason) {
+  await db.query(`
+    UPDATE reddit_accounts
+    SET needs_reauth = TRUE, reauth_reason = $1, updated_at = NOW()
+    WHERE id = $2
+  `, [reason, accountId]);
+}
+
+// Cloud storage connections (Google Drive, Dropbox)
+async function saveCloudTokens(connectionId, { accessToken, refreshToken, expiresAt }) {
+  await db.query(`
+    UPDATE cloud_connections
+    SET access_token = $1, refresh_token = $2, token_expires_at = $3
+    WHERE id = $4
+  `, [encrypt(accessToken), encrypt(refreshToken), expiresAt, connectionId]);
+}
+
+async function getCloudTokens(userId, connectionId) {
+  const result = await db.query(
+    'SELECT access_token, refresh_token, token_expires_at FROM cloud_connections WHERE id = $1 AND user_id = $2',
+    [connectionId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  return {
+    accessToken: decrypt(row.access_token),
+    refreshToken: decrypt(row.refresh_token),
+    expiresAt: row.token_expires_at
+  };
+}
+
+module.exports = {
+  ACCOUNT_COLUMNS,
+  getAccounts,
+  getAccount,
+  saveOAuthAccount,
+  getRedditClient,
+  saveAccessToken,
+  markNeedsReauth,
+  saveCloudTokens,
+  getCloudTokens
+};
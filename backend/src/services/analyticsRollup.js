@@ -0,0 +1,257 @@
+const db = require('../config/database');
+const { getUserTimezone, getZonedParts, zonedTimeToUtc } = require('./timezone');
+const { httpError } = require('../utils/httpError');
+
+// Rolls posted_content, content_items and post_metrics_snapshots up into one
+// analytics_daily row per user per day, so the dashboard reads a few rows
+// instead of scanning the raw tables. Days are the user's local days
+// (users.settings.timezone).
+//
+// A rollup recomputes its days from scratch and overwrites them, so running
+// it again - or over a range that's already rolled up - is safe. The worker
+// rolls up yesterday and today every hour; older days can be backfilled with
+// `npm run rollup-analytics`, and GET /api/analytics/daily rolls up any day
+// it finds missing or computed before the day was over.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 30;
+
+// Snapshots stop 7 days after posting; a day's upvote gains only need posts
+// younger than that (plus a day of slack)
+const GAIN_WINDOW_DAYS = 8;
+
+// 'YYYY-MM-DD' of an instant in a zone
+function localDate(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const pad = n => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+function addDays(dateString, days) {
+  return new Date(Date.parse(`${dateString}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS) + 1;
+}
+
+function parseDay(value, field) {
+  if (!DATE_PATTERN.test(String(value)) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    throw httpError(`${field} must be a date (YYYY-MM-DD)`, 400);
+  }
+  return String(value);
+}
+
+// { from, to } as 'YYYY-MM-DD', checked and defaulted to the last
+// defaultDays days (ending today in the user's zone)
+function parseRange({ from, to } = {}, timeZone, { defaultDays = DEFAULT_RANGE_DAYS } = {}) {
+  const end = to ? parseDay(to, 'to') : localDate(new Date(), timeZone);
+  const start = from ? parseDay(from, 'from') : addDays(end, 1 - defaultDays);
+
+  if (start > end) {
+    throw httpError('from must be on or before to', 400);
+  }
+  if (daysBetween(start, end) > MAX_RANGE_DAYS) {
+    throw httpError(`The range can be at most ${MAX_RANGE_DAYS} days`, 400);
+  }
+
+  return { from: start, to: end };
+}
+
+// Each local day in [from, to] with the UTC instants it starts and ends at
+function buildDays(from, to, timeZone) {
+  const days = [];
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const [year, month, day] = date.split('-').map(Number);
+    const next = addDays(date, 1).split('-').map(Number);
+
+    days.push({
+      date,
+      startsAt: zonedTimeToUtc({ year, month, day, hour: 0 }, timeZone),
+      endsAt: zonedTimeToUtc({ year: next[0], month: next[1], day: next[2], hour: 0 }, timeZone)
+    });
+  }
+
+  return days;
+}
+
+// The UTC instants a range of local days starts and ends at: { startsAt, endsAt }
+function rangeBounds(from, to, timeZone) {
+  const [first] = buildDays(from, from, timeZone);
+  const [last] = buildDays(to, to, timeZone);
+  return { startsAt: first.startsAt, endsAt: last.endsAt };
+}
+
+// Recompute one user's rows for [from, to]. Per day:
+// - reddit_posts: posts that went out that day
+// - reddit_total_upvotes / reddit_total_comments: what the user's posts gained
+//   that day, from the metrics snapshots (a post's last snapshot by the end of
+//   the day minus its last one before it). Posts never polled count their
+//   current numbers on the day they went out.
+// - content_items_added: items added to the vault that day
+// - content_items_posted: distinct items posted that day
+// Profile clicks and followers aren't tracked and stay 0.
+// Returns the number of days written.
+async function rollupUser(userId, { from, to, timeZone = null }) {
+  const zone = timeZone || await getUserTimezone(userId);
+  const days = buildDays(from, to, zone);
+
+  await db.query(`
+    WITH days AS (
+      SELECT * FROM unnest($2::date[], $3::timestamp[], $4::timestamp[]) AS d(date, starts_at, ends_at)
+    ),
+    posts AS (
+      SELECT d.date, COUNT(pc.id)::int AS posts, COUNT(DISTINCT pc.content_item_id)::int AS items
+      FROM days d
+      JOIN posted_content pc
+        ON pc.user_id = $1 AND pc.posted_at >= d.starts_at AND pc.posted_at < d.ends_at
+      GROUP BY d.date
+    ),
+    gains AS (
+      SELECT d.date,
+             SUM(last_snap.upvotes - COALESCE(prev_snap.upvotes, 0))::int AS upvotes,
+             SUM(last_snap.comments_count - COALESCE(prev_snap.comments_count, 0))::int AS comments
+      FROM days d
+      JOIN posted_content pc
+        ON pc.user_id = $1
+        AND pc.posted_at < d.ends_at
+        AND pc.posted_at >= d.starts_at - ($5 || ' days')::interval
+      JOIN LATERAL (
+        SELECT COALESCE(upvotes, score) AS upvotes, comments_count FROM post_metrics_snapshots
+        WHERE posted_content_id = pc.id AND captured_at < d.ends_at
+        ORDER BY captured_at DESC
+        LIMIT 1
+      ) last_snap ON TRUE
+      LEFT JOIN LATERAL (
+        SELECT COALESCE(upvotes, score) AS upvotes, comments_count FROM post_metrics_snapshots
+        WHERE posted_content_id = pc.id AND captured_at < d.starts_at
+        ORDER BY captured_at DESC
+        LIMIT 1
+      ) prev_snap ON TRUE
+      GROUP BY d.date
+    ),
+    unpolled AS (
+      SELECT d.date,
+             SUM(COALESCE(pc.upvotes, pc.score, 0))::int AS upvotes,
+             SUM(COALESCE(pc.comments_count, 0))::int AS comments
+      FROM days d
+      JOIN posted_content pc
+        ON pc.user_id = $1 AND pc.posted_at >= d.starts_at AND pc.posted_at < d.ends_at
+      WHERE NOT EXISTS (SELECT 1 FROM post_metrics_snapshots WHERE posted_content_id = pc.id)
+      GROUP BY d.date
+    ),
+    added AS (
+      SELECT d.date, COUNT(ci.id)::int AS items
+      FROM days d
+      JOIN content_items ci
+        ON ci.user_id = $1 AND ci.created_at >= d.starts_at AND ci.created_at < d.ends_at
+      GROUP BY d.date
+    )
+    INSERT INTO analytics_daily (
+      user_id, date, reddit_posts, reddit_total_upvotes, reddit_total_comments,
+      content_items_added, content_items_posted, updated_at
+    )
+    SELECT $1, d.date,
+           COALESCE(posts.posts, 0),
+           COALESCE(gains.upvotes, 0) + COALESCE(unpolled.upvotes, 0),
+           COALESCE(gains.comments, 0) + COALESCE(unpolled.comments, 0),
+           COALESCE(added.items, 0),
+           COALESCE(posts.items, 0),
+           NOW()
+    FROM days d
+    LEFT JOIN posts ON posts.date = d.date
+    LEFT JOIN gains ON gains.date = d.date
+    LEFT JOIN unpolled ON unpolled.date = d.date
+    LEFT JOIN added ON added.date = d.date
+    ON CONFLICT (user_id, date) DO UPDATE SET
+      reddit_posts = EXCLUDED.reddit_posts,
+      reddit_total_upvotes = EXCLUDED.reddit_total_upvotes,
+      reddit_total_comments = EXCLUDED.reddit_total_comments,
+      content_items_added = EXCLUDED.content_items_added,
+      content_items_posted = EXCLUDED.content_items_posted,
+      updated_at = NOW()
+  `, [
+    userId,
+    days.map(d => d.date),
+    days.map(d => d.startsAt),
+    days.map(d => d.endsAt),
+    GAIN_WINDOW_DAYS
+  ]);
+
+  return days.length;
+}
+
+// Roll up every user. Without from/to: yesterday and today in each user's
+// zone (the worker's hourly run). Returns { users, days }.
+async function rollupAll({ from = null, to = null } = {}) {
+  const users = await db.query('SELECT id FROM users ORDER BY created_at ASC');
+  let days = 0;
+
+  for (const { id } of users.rows) {
+    try {
+      const timeZone = await getUserTimezone(id);
+      const today = localDate(new Date(), timeZone);
+      days += await rollupUser(id, {
+        from: from || addDays(today, -1),
+        to: to || today,
+        timeZone
+      });
+    } catch (error) {
+      console.error(`Analytics rollup for user ${id} failed:`, error.message);
+    }
+  }
+
+  return { users: users.rows.length, days };
+}
+
+// The user's analytics_daily rows for [from, to] (default: the last 30
+// days), oldest first. Days that were never rolled up, or were rolled up
+// before they ended, are rolled up first; days that haven't started yet are
+// left out.
+async function getDaily(userId, query = {}) {
+  const timeZone = await getUserTimezone(userId);
+  const { from, to } = parseRange(query, timeZone);
+
+  const read = () => db.query(`
+    SELECT TO_CHAR(date, 'YYYY-MM-DD') AS date, reddit_posts, reddit_total_upvotes,
+           reddit_total_comments, reddit_profile_clicks, reddit_new_followers,
+           content_items_added, content_items_posted, updated_at
+    FROM analytics_daily
+    WHERE user_id = $1 AND date BETWEEN $2 AND $3
+    ORDER BY date ASC
+  `, [userId, from, to]);
+
+  let result = await read();
+
+  const now = new Date();
+  const rolledUp = new Map(result.rows.map(row => [row.date, row]));
+  const stale = buildDays(from, to, timeZone)
+    .filter(d => d.startsAt <= now)
+    .filter(d => !rolledUp.has(d.date) || new Date(rolledUp.get(d.date).updated_at) < d.endsAt);
+
+  if (stale.length > 0) {
+    await rollupUser(userId, { from: stale[0].date, to: stale[stale.length - 1].date, timeZone });
+    result = await read();
+  }
+
+  return {
+    from,
+    to,
+    timezone: timeZone,
+    days: result.rows.filter(row => row.date <= localDate(now, timeZone))
+  };
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  localDate,
+  addDays,
+  parseRange,
+  rangeBounds,
+  rollupUser,
+  rollupAll,
+  getDaily
+};
@@ -0,0 +1,83 @@
+const Queue = require('bull');
+const db = require('../config/database');
+
+// Bull queue of delayed "check this post's score" jobs, one per posted_content
+// row whose scheduled post has auto-delete settings. Like the publish queue,
+// the database is the source of truth and the worker re-syncs periodically.
+// Failed jobs are kept so the re-sync doesn't queue them again; once a job's
+// retries are used up the worker records the failure on the row
+// (autoDeleter.recordCheckFailure), which takes it out of the pending set.
+
+const QUEUE_NAME = 'auto-delete';
+
+let queue = null;
+
+function getQueue() {
+  if (!queue) {
+    queue = new Queue(QUEUE_NAME, process.env.REDIS_URL || 'redis://localhost:6379');
+  }
+  return queue;
+}
+
+// Queue the check for a posted_content row to run at due_at
+async function scheduleCheck({ id, due_at }) {
+  const delay = Math.max(0, new Date(due_at).getTime() - Date.now());
+
+  return getQueue().add(
+    { postedContentId: id },
+    {
+      jobId: id,
+      delay,
+      attempts: 3,
+      backoff: { type: 'exponential', delay: 60 * 1000 },
+      removeOnComplete: true,
+      removeOnFail: false
+    }
+  );
+}
+
+// Queue every pending check that doesn't have a job yet (a failed job still
+// counts). Returns the number added.
+async function syncPendingChecks() {
+  const result = await db.query(`
+    SELECT pc.id, pc.posted_at + (sp.auto_delete_hours || ' hours')::interval AS due_at
+    FROM posted_content pc
+    JOIN scheduled_posts sp ON pc.scheduled_post_id = sp.id
+    WHERE sp.auto_delete_hours IS NOT NULL
+      AND sp.auto_delete_if_below_upvotes IS NOT NULL
+      AND pc.auto_delete_checked_at IS NULL
+      AND pc.is_deleted = FALSE
+  `);
+
+  let added = 0;
+  for (const post of result.rows) {
+    const job = await getQueue().getJob(post.id);
+    if (!job) {
+      await scheduleCheck(post);
+      added++;
+    }
+  }
+
+  return added;
+}
+
+async function close() {
+  if (queue) {
+    await queue.close();
+    queue = null;
+  }
+}
+
+// Whether a failed job has no retries left
+function isFinalAttempt(job) {
+  return job.attemptsMade >= (job.opts.attempts || 1);
+}
+
+module.exports = {
+  QUEUE_NAME,
+  getQueue,
+  scheduleCheck,
+  syncPendingChecks,
+  isFinalAttempt,
+  close
+};
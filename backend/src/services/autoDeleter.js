@@ -0,0 +1,185 @@
+const db = require('../config/database');
+const { classifyPublishError } = require('./publishErrors');
+const crossposts = require('./crossposts');
+const notifications = require('./notifications');
+
+// Deletes posts that are still under their scheduled post's
+// auto_delete_if_below_upvotes score once auto_delete_hours have passed.
+// Every pending post is checked once; posts that clear the bar are kept.
+
+const CANDIDATE_QUERY = `
+  SELECT pc.*, sp.title, sp.auto_delete_hours, sp.auto_delete_if_below_upvotes,
+         s.name AS subreddit_name,
+         pc.posted_at + (sp.auto_delete_hours || ' hours')::interval AS auto_delete_due_at
+  FROM posted_content pc
+  JOIN scheduled_posts sp ON pc.scheduled_post_id = sp.id
+  JOIN subreddits s ON pc.subreddit_id = s.id
+  WHERE sp.auto_delete_hours IS NOT NULL
+    AND sp.auto_delete_if_below_upvotes IS NOT NULL
+    AND pc.auto_delete_checked_at IS NULL
+    AND pc.is_deleted = FALSE
+`;
+
+function isBelowThreshold(score, post) {
+  return score < post.auto_delete_if_below_upvotes;
+}
+
+async function fetchPost(post, transport) {
+  return transport.getPost({
+    userId: post.user_id,
+    accountId: post.reddit_account_id,
+    thingId: post.reddit_post_id
+  });
+}
+
+// Store the latest numbers while we have them. Removals are recorded by the
+// metrics poller (removalChecker).
+async function saveStats(postId, state) {
+  await db.query(`
+    UPDATE posted_content
+    SET score = $2, upvote_ratio = $3, comments_count = $4, last_checked_at = NOW()
+    WHERE id = $1
+  `, [postId, state.score, state.upvoteRatio, state.numComments]);
+}
+
+async function markChecked(postId) {
+  await db.query('UPDATE posted_content SET auto_delete_checked_at = NOW() WHERE id = $1', [postId]);
+}
+
+// Run the auto-delete check for one posted_content row.
+// Returns { status: 'deleted' | 'kept' | 'skipped', ... }. Errors worth
+// retrying are rethrown so the queue tries again.
+async function runAutoDeleteCheck(postedContentId, { transport }) {
+  const result = await db.query(`${CANDIDATE_QUERY} AND pc.id = $1`, [postedContentId]);
+  const post = result.rows[0];
+
+  if (!post) {
+    return { status: 'skipped', reason: 'not_pending' };
+  }
+
+  if (new Date(post.auto_delete_due_at) > new Date()) {
+    return { status: 'skipped', reason: 'not_due' };
+  }
+
+  let state;
+  try {
+    state = await fetchPost(post, transport);
+    await saveStats(post.id, state);
+
+    if (state.deleted || state.removed) {
+      await markChecked(post.id);
+      return { status: 'skipped', reason: state.deleted ? 'already_deleted' : 'removed' };
+    }
+
+    if (!isBelowThreshold(state.score, post)) {
+      await markChecked(post.id);
+      return { status: 'kept', score: state.score };
+    }
+
+    await transport.deletePost({
+      userId: post.user_id,
+      accountId: post.reddit_account_id,
+      thingId: post.reddit_post_id
+    });
+  } catch (error) {
+    const failure = classifyPublishError(error);
+    if (failure.retryable) throw error;
+
+    // Gone, or the account can't act any more - nothing left to do
+    console.error(`Auto-delete check for ${post.reddit_post_id} gave up:`, failure.reason);
+    await db.query(
+      'UPDATE posted_content SET auto_delete_checked_at = NOW(), auto_delete_error = $2 WHERE id = $1',
+      [post.id, failure.reason]
+    );
+    return { status: 'skipped', reason: failure.code };
+  }
+
+  const reason = `Auto-deleted: score ${state.score} below ${post.auto_delete_if_below_upvotes} after ${post.auto_delete_hours}h`;
+  await db.query(`
+    UPDATE posted_content
+    SET is_deleted = TRUE, deleted_at = NOW(), deleted_reason = $2, auto_delete_checked_at = NOW(),
+        removal_status = 'deleted_by_author', metrics_next_poll_at = NULL
+    WHERE id = $1
+  `, [post.id, reason]);
+
+  if (post.scheduled_post_id) {
+    await crossposts.cancelCrossposts([post.scheduled_post_id], 'the original post was auto-deleted');
+  }
+
+  return { status: 'deleted', score: state.score, reason };
+}
+
+// The queue used up its retries on a check: record why, so the re-sync doesn't
+// queue it again, and tell the owner the post was left up. Does nothing if the
+// check already finished.
+async function recordCheckFailure(postedContentId, error) {
+  const reason = classifyPublishError(error).reason;
+
+  await db.transaction(async (client) => {
+    const result = await client.query(`
+      UPDATE posted_content pc
+      SET auto_delete_checked_at = NOW(), auto_delete_error = $2
+      FROM subreddits s
+      WHERE pc.id = $1 AND pc.subreddit_id = s.id AND pc.auto_delete_checked_at IS NULL
+      RETURNING pc.user_id, pc.permalink, s.name AS subreddit_name
+    `, [postedContentId, reason]);
+
+    const post = result.rows[0];
+    if (!post) return;
+
+    await notifications.notify(client, post.user_id, {
+      type: 'auto_delete_failed',
+      title: `Auto-delete check failed: your post in r/${post.subreddit_name}`,
+      message: `The post's score couldn't be checked (${reason}), so it was left up. Delete it on Reddit if it's still under your threshold.`,
+      link: post.permalink ? `https://www.reddit.com${post.permalink}` : null,
+      data: { error: reason, subreddit_name: post.subreddit_name },
+      postedContentId
+    });
+  });
+}
+
+// Dry run: every pending auto-delete for a user with its current score and
+// whether it would be deleted. Nothing is deleted or marked checked.
+async function previewAutoDeletes(userId, { transport }) {
+  const result = await db.query(
+    `${CANDIDATE_QUERY} AND pc.user_id = $1 ORDER BY auto_delete_due_at ASC`,
+    [userId]
+  );
+
+  const now = new Date();
+  const preview = [];
+
+  for (const post of result.rows) {
+    let score = post.score;
+    let error = null;
+
+    try {
+      score = (await fetchPost(post, transport)).score;
+    } catch (err) {
+      // Fall back to the last score we stored
+      error = classifyPublishError(err).reason;
+    }
+
+    preview.push({
+      posted_content_id: post.id,
+      reddit_post_id: post.reddit_post_id,
+      title: post.title,
+      subreddit_name: post.subreddit_name,
+      permalink: post.permalink,
+      score,
+      threshold: post.auto_delete_if_below_upvotes,
+      due_at: post.auto_delete_due_at,
+      is_due: new Date(post.auto_delete_due_at) <= now,
+      would_delete: isBelowThreshold(score, post),
+      error
+    });
+  }
+
+  return preview;
+}
+
+module.exports = {
+  runAutoDeleteCheck,
+  recordCheckFailure,
+  previewAutoDeletes
+};
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+// iCalendar (RFC 5545) export of scheduled posts, for subscribing from
+// Google Calendar, Apple Calendar, Outlook etc. Calendar apps can't send an
+// Authorization header, so the feed URL carries a per-user secret token.
+
+const EVENT_MINUTES = 15;
+const PRODID = '-//Creator Platform//Scheduled Posts//EN';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create (or replace) the user's feed token. Only the hash is stored, so the
+// token is returned once; replacing it breaks existing subscriptions.
+async function createFeedToken(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await db.query(
+    'UPDATE users SET calendar_feed_token_hash = $2, updated_at = NOW() WHERE id = $1',
+    [userId, hashToken(token)]
+  );
+
+  return token;
+}
+
+async function revokeFeedToken(userId) {
+  await db.query(
+    'UPDATE users SET calendar_feed_token_hash = NULL, updated_at = NOW() WHERE id = $1',
+    [userId]
+  );
+}
+
+// User id for a feed token, or null
+async function findUserByFeedToken(token) {
+  if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) {
+    return null;
+  }
+
+  const result = await db.query(
+    'SELECT id FROM users WHERE calendar_feed_token_hash = $1',
+    [hashToken(token)]
+  );
+  return result.rows[0] ? result.rows[0].id : null;
+}
+
+// 20261103T200000Z
+function formatDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting
+// with a space, without splitting a UTF-8 character
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function buildEvent(post, now) {
+  const start = new Date(post.scheduled_for);
+  const end = new Date(start.getTime() + EVENT_MINUTES * 60 * 1000);
+  const subreddit = post.subreddit_name ? `r/${post.subreddit_name}` : 'Reddit';
+
+  const description = [
+    `Account: u/${post.reddit_username || 'unknown'}`,
+    `Subreddit: ${subreddit}`,
+    `Status: ${post.status}`,
+    `Title: ${post.title}`,
+    post.error_message ? `Error: ${post.error_message}` : null,
+    post.reddit_url ? `Post: ${post.reddit_url}` : null
+  ].filter(Boolean).join('\n');
+
+  // Calendar apps replace an event when its SEQUENCE goes up, so it's the
+  // row's revision, which every edit (reschedule, cancel, publish) bumps
+  const updated = new Date(post.updated_at || post.created_at || now);
+  const sequence = post.revision || 0;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${post.id}@scheduled-posts`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `LAST-MODIFIED:${formatDateTime(updated)}`,
+    `SEQUENCE:${sequence}`,
+    `SUMMARY:${escapeText(`[${post.status}] ${subreddit}: ${post.title}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    post.reddit_url ? `URL:${post.reddit_url}` : null,
+    `STATUS:${post.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ].filter(Boolean);
+}
+
+// Scheduled posts (as returned by listScheduledPosts) -> .ics text
+function buildCalendar(posts, { name = 'Scheduled posts', now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Hint for how often subscribers re-fetch
+    'REFRESH-INTERVAL;VALUE=DURATION:PT15M',
+    'X-PUBLISHED-TTL:PT15M',
+    ...posts.flatMap(post => buildEvent(post, now)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  createFeedToken,
+  revokeFeedToken,
+  findUserByFeedToken,
+  buildCalendar
+};
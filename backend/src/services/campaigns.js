@@ -0,0 +1,321 @@
+const db = require('../config/database');
+const publishQueue = require('./publishQueue');
+const crossposts = require('./crossposts');
+const { respreadHeldPosts } = require('./postingPause');
+const { httpError, optionalUuid } = require('../utils/httpError');
+
+// Campaigns group scheduled posts and content items (e.g. one photo set
+// promoted across many subreddits over a week) so they can be paused,
+// cancelled and reported on together. Pausing moves the campaign's upcoming
+// posts to status 'paused' (out of the queue); resuming puts them back.
+
+const STATUSES = ['draft', 'active', 'done'];
+
+function validateFields({ name, status }, { requireName }) {
+  if (requireName || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw httpError('name is required', 400);
+    }
+    if (name.length > 255) {
+      throw httpError('name must be 255 characters or fewer', 400);
+    }
+  }
+
+  if (status !== undefined && !STATUSES.includes(status)) {
+    throw httpError(`status must be one of ${STATUSES.join(', ')}`, 400);
+  }
+}
+
+// Campaigns with post counts by status and the number of content items
+async function listCampaigns(userId) {
+  const result = await db.query(`
+    SELECT c.*,
+           COALESCE(posts.counts, '{}'::jsonb) AS post_counts,
+           (SELECT COUNT(*) FROM content_items ci WHERE ci.campaign_id = c.id)::int AS content_count
+    FROM campaigns c
+    LEFT JOIN LATERAL (
+      SELECT jsonb_object_agg(status, count) AS counts
+      FROM (
+        SELECT status, COUNT(*)::int AS count
+        FROM scheduled_posts
+        WHERE campaign_id = c.id
+        GROUP BY status
+      ) by_status
+    ) posts ON TRUE
+    WHERE c.user_id = $1
+    ORDER BY c.created_at DESC
+  `, [userId]);
+
+  return result.rows;
+}
+
+async function getCampaign(userId, campaignId) {
+  const result = await db.query(
+    'SELECT * FROM campaigns WHERE id = $1 AND user_id = $2',
+    [campaignId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Check a campaign_id given with a post or content item.
+// Throws an error with status 400 if it isn't one of the user's campaigns.
+async function assertCampaign(userId, campaignId) {
+  const campaign = await getCampaign(userId, campaignId);
+  if (!campaign) {
+    throw httpError('Campaign not found', 400);
+  }
+  return campaign;
+}
+
+async function createCampaign(userId, { name, description = null, status = 'draft' }) {
+  validateFields({ name, status }, { requireName: true });
+
+  const result = await db.query(`
+    INSERT INTO campaigns (user_id, name, description, status)
+    VALUES ($1, $2, $3, $4)
+    RETURNING *
+  `, [userId, name.trim(), description, status]);
+
+  return result.rows[0];
+}
+
+// Returns the updated campaign, or null if it doesn't exist
+async function updateCampaign(userId, campaignId, { name, description, status }) {
+  validateFields({ name, status }, { requireName: false });
+
+  const updates = [];
+  const params = [campaignId, userId];
+
+  if (name !== undefined) {
+    params.push(name.trim());
+    updates.push(`name = $${params.length}`);
+  }
+
+  if (description !== undefined) {
+    params.push(description);
+    updates.push(`description = $${params.length}`);
+  }
+
+  if (status !== undefined) {
+    params.push(status);
+    updates.push(`status = $${params.length}`);
+  }
+
+  if (updates.length === 0) {
+    throw httpError('No fields to update', 400);
+  }
+
+  const result = await db.query(`
+    UPDATE campaigns
+    SET ${updates.join(', ')}, updated_at = NOW()
+    WHERE id = $1 AND user_id = $2
+    RETURNING *
+  `, params);
+
+  return result.rows[0] || null;
+}
+
+// Delete a campaign. Its posts and content items stay, just unassigned.
+async function deleteCampaign(userId, campaignId) {
+  const result = await db.query(
+    'DELETE FROM campaigns WHERE id = $1 AND user_id = $2 RETURNING id',
+    [campaignId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+// Add the user's scheduled posts or content items to a campaign.
+// table is 'scheduled_posts' or 'content_items'. Returns how many were added.
+async function addToCampaign(userId, campaignId, table, ids) {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw httpError('Provide a non-empty list of ids', 400);
+  }
+  if (ids.some(value => optionalUuid(value, 'Each id') === null)) {
+    throw httpError('Each id must be a UUID', 400);
+  }
+
+  const result = await db.query(`
+    UPDATE ${table}
+    SET campaign_id = $1, updated_at = NOW()
+    WHERE id = ANY($2) AND user_id = $3
+    RETURNING id
+  `, [campaignId, ids, userId]);
+
+  return result.rows.length;
+}
+
+// Hold back the campaign's upcoming posts. Returns the number paused.
+async function pauseCampaign(campaignId) {
+  const result = await db.query(`
+    UPDATE scheduled_posts
+    SET status = 'paused', revision = revision + 1, updated_at = NOW()
+    WHERE campaign_id = $1 AND status = 'scheduled'
+    RETURNING *
+  `, [campaignId]);
+
+  for (const post of result.rows) {
+    publishQueue.removePost(post).catch(err => {
+      console.error('Failed to remove queued post:', err.message);
+    });
+  }
+
+  return result.rows.length;
+}
+
+// Put paused posts back in the queue. Posts whose time passed while the
+// campaign was paused are re-spread like posts of a resumed account (see
+// postingPause.respreadHeldPosts) instead of all going out at once.
+// Returns { resumed, rescheduled }.
+async function resumeCampaign(userId, campaignId) {
+  const result = await db.query(`
+    UPDATE scheduled_posts
+    SET status = 'scheduled', revision = revision + 1, updated_at = NOW()
+    WHERE campaign_id = $1 AND user_id = $2 AND status = 'paused'
+    RETURNING *
+  `, [campaignId, userId]);
+
+  const rescheduled = await respreadHeldPosts(userId, { campaignId });
+
+  // The overdue ones were re-queued at their new times
+  const now = Date.now();
+  for (const post of result.rows) {
+    if (new Date(post.next_retry_at || post.scheduled_for).getTime() <= now) continue;
+
+    publishQueue.schedulePost(post).catch(err => {
+      console.error('Failed to queue scheduled post:', err.message);
+    });
+  }
+
+  return { resumed: result.rows.length, rescheduled };
+}
+
+// Cancel every post of the campaign that hasn't gone out yet, and any
+// crossposts of them. Drafts and posts in review are cancelled too (so they
+// can't be approved later), which is recorded in their review history as
+// done by actorId. Returns { cancelled, cancelled_crossposts }.
+async function cancelCampaign(campaignId, { actorId = null } = {}) {
+  const result = await db.query(`
+    WITH cancelled AS (
+      UPDATE scheduled_posts sp
+      SET status = 'cancelled', next_retry_at = NULL, revision = revision + 1, updated_at = NOW()
+      FROM (
+        SELECT id, status FROM scheduled_posts
+        WHERE campaign_id = $1 AND status IN ('scheduled', 'paused', 'draft', 'in_review')
+        FOR UPDATE
+      ) previous
+      WHERE sp.id = previous.id
+      RETURNING sp.*, previous.status AS previous_status
+    ), events AS (
+      INSERT INTO post_review_events (scheduled_post_id, actor_id, action, from_status, to_status, comment)
+      SELECT id, $2, 'cancelled', previous_status, 'cancelled', 'Cancelled with its campaign'
+      FROM cancelled
+      WHERE previous_status IN ('draft', 'in_review')
+    )
+    SELECT * FROM cancelled
+  `, [campaignId, actorId]);
+
+  for (const post of result.rows) {
+    publishQueue.removePost(post).catch(err => {
+      console.error('Failed to remove queued post:', err.message);
+    });
+  }
+
+  const cancelledCrossposts = await crossposts.cancelCrossposts(
+    result.rows.map(post => post.id),
+    'the original post was cancelled with its campaign'
+  );
+
+  return { cancelled: result.rows.length, cancelled_crossposts: cancelledCrossposts.length };
+}
+
+// Performance totals over posted_content rows (pc)
+const PERFORMANCE_COLUMNS = `
+  COUNT(pc.id)::int AS posted,
+  COALESCE(SUM(pc.upvotes), 0)::int AS upvotes,
+  COALESCE(SUM(pc.comments_count), 0)::int AS comments,
+  COUNT(pc.id) FILTER (WHERE pc.is_removed)::int AS removed,
+  COUNT(pc.id) FILTER (WHERE pc.is_deleted)::int AS deleted
+`;
+
+// The posted_content rows of a campaign's ($1) scheduled posts, plus any joins
+function campaignPostedContent(joins = '') {
+  return `
+    FROM posted_content pc
+    JOIN scheduled_posts sp ON pc.scheduled_post_id = sp.id
+    ${joins}
+    WHERE sp.campaign_id = $1
+  `;
+}
+
+function withRates(row) {
+  return {
+    ...row,
+    avg_upvotes: row.posted ? Math.round((row.upvotes / row.posted) * 10) / 10 : 0,
+    removal_rate: row.posted ? Math.round((row.removed / row.posted) * 1000) / 1000 : 0
+  };
+}
+
+// Campaign report: post counts by status, performance of what went out
+// (upvotes, comments, removals) in total and by subreddit, account and
+// content item, and the top posts
+async function getReport(campaignId) {
+  const statusResult = await db.query(`
+    SELECT status, COUNT(*)::int AS count
+    FROM scheduled_posts
+    WHERE campaign_id = $1
+    GROUP BY status
+  `, [campaignId]);
+
+  const [totals, bySubreddit, byAccount, byContent, topPosts] = await Promise.all([
+    db.query(`SELECT ${PERFORMANCE_COLUMNS}, MIN(pc.posted_at) AS first_posted_at, MAX(pc.posted_at) AS last_posted_at ${campaignPostedContent()}`, [campaignId]),
+    db.query(`
+      SELECT s.id AS subreddit_id, s.name AS subreddit_name, ${PERFORMANCE_COLUMNS}
+      ${campaignPostedContent('LEFT JOIN subreddits s ON pc.subreddit_id = s.id')}
+      GROUP BY s.id, s.name
+      ORDER BY upvotes DESC
+    `, [campaignId]),
+    db.query(`
+      SELECT ra.id AS reddit_account_id, ra.reddit_username, ${PERFORMANCE_COLUMNS}
+      ${campaignPostedContent('LEFT JOIN reddit_accounts ra ON pc.reddit_account_id = ra.id')}
+      GROUP BY ra.id, ra.reddit_username
+      ORDER BY upvotes DESC
+    `, [campaignId]),
+    db.query(`
+      SELECT ci.id AS content_item_id, ci.filename, ${PERFORMANCE_COLUMNS}
+      ${campaignPostedContent('JOIN content_items ci ON pc.content_item_id = ci.id')}
+      GROUP BY ci.id, ci.filename
+      ORDER BY upvotes DESC
+    `, [campaignId]),
+    db.query(`
+      SELECT pc.id, sp.title, s.name AS subreddit_name, pc.reddit_url, pc.upvotes,
+             pc.comments_count, pc.is_removed, pc.is_deleted, pc.posted_at
+      ${campaignPostedContent('LEFT JOIN subreddits s ON pc.subreddit_id = s.id')}
+      ORDER BY pc.upvotes DESC
+      LIMIT 10
+    `, [campaignId])
+  ]);
+
+  return {
+    posts_by_status: Object.fromEntries(statusResult.rows.map(row => [row.status, row.count])),
+    totals: withRates(totals.rows[0]),
+    by_subreddit: bySubreddit.rows.map(withRates),
+    by_account: byAccount.rows.map(withRates),
+    by_content: byContent.rows.map(withRates),
+    top_posts: topPosts.rows
+  };
+}
+
+module.exports = {
+  STATUSES,
+  listCampaigns,
+  getCampaign,
+  assertCampaign,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign,
+  addToCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  getReport
+};
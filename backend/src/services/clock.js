@@ -0,0 +1,32 @@
+// Time sources for scheduling code. The worker runs on the system clock; the
+// scheduler simulation uses a VirtualClock that it moves forward itself, so
+// days of posting can be played through in one request.
+
+const systemClock = {
+  now: () => new Date()
+};
+
+class VirtualClock {
+  constructor(start = new Date()) {
+    this.time = new Date(start).getTime();
+  }
+
+  now() {
+    return new Date(this.time);
+  }
+
+  // Move to a later time (never backwards)
+  advanceTo(date) {
+    this.time = Math.max(this.time, new Date(date).getTime());
+    return this.now();
+  }
+
+  advanceBy(ms) {
+    return this.advanceTo(this.time + ms);
+  }
+}
+
+module.exports = {
+  systemClock,
+  VirtualClock
+};
@@ -0,0 +1,249 @@
+const db = require('../config/database');
+const accountStore = require('./accountStore');
+const postingFrequency = require('./postingFrequency');
+const { systemClock } = require('./clock');
+
+// Pre-flight check of a scheduled post against what we know about the
+// subreddit's rules (scraped into the subreddits table) and the account.
+//
+// Each issue is { rule, severity, message }. Severity 'error' means the post
+// would almost certainly be removed or rejected; 'warning' means it might be.
+// Posting frequency errors also carry next_allowed_at, the earliest time the
+// post could be moved to.
+
+const MAX_TITLE_LENGTH = 300;
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|io|me|ly|link|bio)\b/i;
+
+function issue(rule, severity, message) {
+  return { rule, severity, message };
+}
+
+function checkAccount(account, subreddit, membership) {
+  const issues = [];
+
+  if (account.is_shadowbanned) {
+    issues.push(issue('shadowbanned', 'error', `u/${account.reddit_username} appears to be shadowbanned`));
+  }
+
+  if (account.needs_reauth) {
+    issues.push(issue('needs_reauth', 'warning', `u/${account.reddit_username} needs to be reconnected before it can post`));
+  }
+
+  if (account.posting_paused_at) {
+    issues.push(issue('account_paused', 'warning', `Posting is paused for u/${account.reddit_username}; the post is held until it's resumed`));
+  }
+
+  if (membership && membership.is_banned) {
+    issues.push(issue('banned', 'error', `u/${account.reddit_username} is banned from r/${subreddit.name}${membership.ban_reason ? ` (${membership.ban_reason})` : ''}`));
+  }
+
+  // Approved posters skip the karma/age gates
+  if (membership && membership.is_approved_poster) {
+    return issues;
+  }
+
+  const postKarma = account.post_karma || 0;
+  const commentKarma = account.comment_karma || 0;
+
+  if (subreddit.min_karma && postKarma + commentKarma < subreddit.min_karma) {
+    issues.push(issue('min_karma', 'error', `r/${subreddit.name} requires ${subreddit.min_karma} karma, account has ${postKarma + commentKarma}`));
+  }
+
+  if (subreddit.min_post_karma && postKarma < subreddit.min_post_karma) {
+    issues.push(issue('min_post_karma', 'error', `r/${subreddit.name} requires ${subreddit.min_post_karma} post karma, account has ${postKarma}`));
+  }
+
+  if (subreddit.min_comment_karma && commentKarma < subreddit.min_comment_karma) {
+    issues.push(issue('min_comment_karma', 'error', `r/${subreddit.name} requires ${subreddit.min_comment_karma} comment karma, account has ${commentKarma}`));
+  }
+
+  if (subreddit.min_account_age_days && account.account_age_days !== null && account.account_age_days < subreddit.min_account_age_days) {
+    issues.push(issue('min_account_age_days', 'error', `r/${subreddit.name} requires accounts ${subreddit.min_account_age_days}+ days old, account is ${account.account_age_days} days old`));
+  }
+
+  if (subreddit.requires_verification && !(membership && membership.is_verified)) {
+    issues.push(issue('requires_verification', 'warning', `r/${subreddit.name} may require verification${subreddit.verification_instructions ? `: ${subreddit.verification_instructions}` : ''}`));
+  }
+
+  return issues;
+}
+
+function checkTitle(post, subreddit) {
+  const issues = [];
+  const title = post.title || '';
+
+  if (title.length > MAX_TITLE_LENGTH) {
+    issues.push(issue('title_length', 'error', `Title is ${title.length} characters (Reddit allows ${MAX_TITLE_LENGTH})`));
+  }
+
+  const lowerTitle = title.toLowerCase();
+  const bannedWords = (subreddit.banned_words || []).filter(word => word && lowerTitle.includes(word.toLowerCase()));
+  if (bannedWords.length > 0) {
+    issues.push(issue('banned_words', 'error', `Title contains words banned in r/${subreddit.name}: ${bannedWords.join(', ')}`));
+  }
+
+  if (subreddit.allows_links_in_post === false && (LINK_PATTERN.test(title) || LINK_PATTERN.test(post.body || ''))) {
+    issues.push(issue('links_in_post', 'error', `r/${subreddit.name} doesn't allow links in posts`));
+  }
+
+  if (subreddit.allows_links_in_comments === false && LINK_PATTERN.test(post.auto_comment || '')) {
+    issues.push(issue('links_in_comments', 'warning', `r/${subreddit.name} doesn't allow links in comments; the auto-comment contains one`));
+  }
+
+  return issues;
+}
+
+function checkFlair(post, subreddit) {
+  const flairs = subreddit.required_flairs || [];
+  if (flairs.length === 0) return [];
+
+  if (!post.flair_id && !post.flair_text) {
+    return [issue('required_flairs', 'warning', `r/${subreddit.name} uses post flair; posts without one may be removed`)];
+  }
+
+  if (post.flair_text && !flairs.some(f => f.toLowerCase() === post.flair_text.toLowerCase())) {
+    return [issue('required_flairs', 'warning', `Flair "${post.flair_text}" isn't one of r/${subreddit.name}'s flairs (${flairs.join(', ')})`)];
+  }
+
+  return [];
+}
+
+function checkContentType(post, subreddit, contentItem) {
+  const allowed = subreddit.content_types_allowed || [];
+  if (allowed.length === 0) return [];
+
+  const type = contentItem ? contentItem.file_type : (post.post_type === 'text' || (!post.media_upload_id && post.body) ? 'text' : null);
+
+  if (type && !allowed.includes(type)) {
+    return [issue('content_types_allowed', 'error', `r/${subreddit.name} doesn't allow ${type} posts (allowed: ${allowed.join(', ')})`)];
+  }
+
+  return [];
+}
+
+// Crossposts only go to subreddits that accept them (unknown counts as yes)
+function checkCrosspost(post, subreddit) {
+  if (post.post_type !== 'crosspost' || subreddit.allows_crossposts !== false) return [];
+
+  return [issue('allows_crossposts', 'error', `r/${subreddit.name} doesn't allow crossposts`)];
+}
+
+function checkFrequency(post, subreddit, postTimes) {
+  const hours = subreddit.posting_frequency_hours;
+  if (!hours || postTimes.length === 0) return [];
+
+  const conflict = postingFrequency.findConflict(postTimes, post.scheduled_for, hours);
+  if (!conflict) return [];
+
+  const nextAllowedAt = postingFrequency.findNextAllowedTime(postTimes, post.scheduled_for, hours);
+  return [{
+    ...issue('posting_frequency_hours', 'error', `r/${subreddit.name} allows 1 post per ${hours} hours; this account already has a post there at ${conflict.toISOString()}. Next allowed time is ${nextAllowedAt.toISOString()}`),
+    next_allowed_at: nextAllowedAt
+  }];
+}
+
+// Pure rule evaluation. Returns { errors, warnings }.
+function evaluate({ post, account, subreddit, contentItem = null, membership = null, postTimes = [] }) {
+  const issues = [
+    ...checkAccount(account, subreddit, membership),
+    ...checkTitle(post, subreddit),
+    ...checkFlair(post, subreddit),
+    ...checkContentType(post, subreddit, contentItem),
+    ...checkCrosspost(post, subreddit),
+    ...checkFrequency(post, subreddit, postTimes)
+  ];
+
+  return {
+    errors: issues.filter(i => i.severity === 'error'),
+    warnings: issues.filter(i => i.severity === 'warning')
+  };
+}
+
+async function loadContext(userId, post, { excludePostId, extraPostTimes, postTimes: knownPostTimes, clock }) {
+  const account = post.reddit_account_id ? await accountStore.getAccount(userId, post.reddit_account_id) : null;
+
+  const subredditResult = await db.query('SELECT * FROM subreddits WHERE id = $1', [post.subreddit_id]);
+  const subreddit = subredditResult.rows[0] || null;
+
+  // A crosspost shares the original's content, so that's what the
+  // subreddit's content types are checked against
+  let contentItemId = post.content_item_id;
+  if (!contentItemId && post.post_type === 'crosspost' && post.crosspost_from_id) {
+    const parentResult = await db.query(
+      'SELECT content_item_id FROM scheduled_posts WHERE id = $1 AND user_id = $2',
+      [post.crosspost_from_id, userId]
+    );
+    contentItemId = parentResult.rows[0] ? parentResult.rows[0].content_item_id : null;
+  }
+
+  let contentItem = null;
+  if (contentItemId) {
+    const contentResult = await db.query(
+      'SELECT id, file_type, mime_type FROM content_items WHERE id = $1 AND user_id = $2',
+      [contentItemId, userId]
+    );
+    contentItem = contentResult.rows[0] || null;
+  }
+
+  let membership = null;
+  let postTimes = [];
+  if (account && subreddit) {
+    const membershipResult = await db.query(`
+      SELECT is_verified, is_approved_poster, is_banned, ban_reason
+      FROM user_subreddits
+      WHERE user_id = $1 AND subreddit_id = $2 AND reddit_account_id = $3
+    `, [userId, subreddit.id, account.id]);
+    membership = membershipResult.rows[0] || null;
+
+    if (knownPostTimes) {
+      postTimes = [...knownPostTimes, ...extraPostTimes];
+    } else if (subreddit.posting_frequency_hours) {
+      postTimes = [
+        ...await postingFrequency.getPostTimes(account.id, subreddit.id, subreddit.posting_frequency_hours, { excludePostId, clock }),
+        ...extraPostTimes
+      ];
+    }
+  }
+
+  return { account, subreddit, contentItem, membership, postTimes };
+}
+
+// Load everything a post touches and evaluate it. Pass excludePostId when
+// re-checking an existing scheduled post so it doesn't conflict with itself.
+// extraPostTimes are times the same account posts to the same subreddit that
+// aren't saved yet (earlier rows of an import). postTimes replaces the saved
+// post times altogether (the scheduler simulation keeps its own). clock is
+// what "now" is (see clock.js).
+// Returns { ok, errors, warnings, next_allowed_at, checked_at }.
+async function checkPost(userId, post, { excludePostId = null, extraPostTimes = [], postTimes = null, clock = systemClock } = {}) {
+  const context = await loadContext(userId, post, { excludePostId, extraPostTimes, postTimes, clock });
+  let result;
+
+  if (!context.account || !context.subreddit) {
+    result = {
+      errors: [
+        ...(!context.account ? [issue('account', 'error', 'Reddit account not found')] : []),
+        ...(!context.subreddit ? [issue('subreddit', 'error', 'Subreddit not found')] : [])
+      ],
+      warnings: []
+    };
+  } else if (post.content_item_id && !context.contentItem) {
+    result = { errors: [issue('content_item', 'error', 'Content item not found')], warnings: [] };
+  } else {
+    result = evaluate({ post, ...context });
+  }
+
+  const frequencyError = result.errors.find(i => i.rule === 'posting_frequency_hours');
+
+  return {
+    ok: result.errors.length === 0,
+    ...result,
+    next_allowed_at: frequencyError ? frequencyError.next_allowed_at : null,
+    checked_at: clock.now()
+  };
+}
+
+module.exports = {
+  evaluate,
+  checkPost
+};
@@ -0,0 +1,181 @@
+const db = require('../config/database');
+const publishQueue = require('./publishQueue');
+const { systemClock } = require('./clock');
+const { httpError } = require('../utils/httpError');
+
+// Crossposts are scheduled posts with post_type 'crosspost' and
+// crosspost_from_id pointing at the (scheduled) post they share. They wait
+// for the parent to go live, then go out with the parent's Reddit fullname.
+// If the parent fails, is cancelled, or is deleted or removed on Reddit,
+// its crossposts are cancelled.
+
+// How long a due crosspost waits before checking its parent again. Parents
+// re-queue their crossposts as soon as they're posted, so this is a fallback.
+const WAIT_MS = 10 * 60 * 1000;
+
+// Check a new crosspost against its parent. Returns the parent row.
+// Throws errors with status 400.
+async function resolveParent(userId, { crosspost_from_id, subreddit_id }) {
+  if (!crosspost_from_id) {
+    throw httpError('crosspost_from_id is required for crossposts', 400);
+  }
+
+  const result = await db.query(
+    'SELECT * FROM scheduled_posts WHERE id = $1 AND user_id = $2',
+    [crosspost_from_id, userId]
+  );
+  const parent = result.rows[0];
+
+  if (!parent) {
+    throw httpError('The post to crosspost was not found', 400);
+  }
+
+  if (['failed', 'cancelled'].includes(parent.status)) {
+    throw httpError(`The post to crosspost is ${parent.status}`, 400);
+  }
+
+  if (parent.subreddit_id === subreddit_id) {
+    throw httpError("A crosspost can't go to the same subreddit as the original", 400);
+  }
+
+  return parent;
+}
+
+// A crosspost's parent: { status, reddit_post_id, permalink, is_deleted, is_removed }, or null
+async function loadParent(parentId) {
+  const result = await db.query(`
+    SELECT sp.status, pc.reddit_post_id, pc.permalink, pc.is_deleted, pc.is_removed
+    FROM scheduled_posts sp
+    LEFT JOIN LATERAL (
+      SELECT reddit_post_id, permalink, is_deleted, is_removed FROM posted_content
+      WHERE scheduled_post_id = sp.id
+      ORDER BY posted_at DESC
+      LIMIT 1
+    ) pc ON TRUE
+    WHERE sp.id = $1
+  `, [parentId]);
+
+  return result.rows[0] || null;
+}
+
+// What a due crosspost should do now:
+// { action: 'submit', fullname } | { action: 'wait' } | { action: 'cancel', reason }
+// getParent is loadParent unless the caller tracks parents itself (the
+// scheduler simulation).
+async function checkParent(post, { transport, getParent = loadParent }) {
+  if (!post.crosspost_from_id) {
+    return { action: 'cancel', reason: 'the original post was deleted' };
+  }
+
+  const parent = await getParent(post.crosspost_from_id);
+
+  if (!parent) {
+    return { action: 'cancel', reason: 'the original post was deleted' };
+  }
+
+  // Drafts and posts in review wait for approval
+  if (['scheduled', 'paused', 'posting', 'draft', 'in_review'].includes(parent.status)) {
+    return { action: 'wait' };
+  }
+
+  if (parent.status === 'failed') {
+    return { action: 'cancel', reason: 'the original post failed' };
+  }
+
+  if (parent.status !== 'posted' || !parent.reddit_post_id) {
+    return { action: 'cancel', reason: `the original post was ${parent.status === 'posted' ? 'never recorded' : parent.status}` };
+  }
+
+  if (parent.is_deleted || parent.is_removed) {
+    return { action: 'cancel', reason: `the original post was ${parent.is_removed ? 'removed' : 'deleted'}` };
+  }
+
+  // Catch removals nothing has recorded yet
+  const live = await transport.getPost({
+    userId: post.user_id,
+    accountId: post.reddit_account_id,
+    thingId: parent.reddit_post_id
+  });
+
+  if (live.removed || live.deleted) {
+    return { action: 'cancel', reason: `the original post was ${live.removed ? 'removed' : 'deleted'} on Reddit` };
+  }
+
+  return { action: 'submit', fullname: parent.reddit_post_id };
+}
+
+// Put a claimed crosspost back to wait for its parent (doesn't use up a retry).
+// Its job is still running, so it isn't re-queued here: the parent re-queues it
+// when it goes live, and the worker's sync picks it up for next_retry_at.
+// The wait is measured on the publisher's clock (see clock.js).
+async function waitForParent(post, { clock = systemClock } = {}) {
+  await db.query(`
+    UPDATE scheduled_posts
+    SET status = 'scheduled',
+        next_retry_at = $2,
+        error_message = 'Waiting for the original post to go out',
+        revision = revision + 1, updated_at = NOW()
+    WHERE id = $1
+  `, [post.id, new Date(clock.now().getTime() + WAIT_MS)]);
+}
+
+// Cancel a claimed crosspost whose parent can't be crossposted
+async function cancelCrosspost(post, reason) {
+  await db.query(`
+    UPDATE scheduled_posts
+    SET status = 'cancelled', error_message = $2, next_retry_at = NULL, revision = revision + 1, updated_at = NOW()
+    WHERE id = $1
+  `, [post.id, `Cancelled: ${reason}`]);
+}
+
+// Cancel the crossposts (scheduled or paused) still waiting on any of these parents.
+// Pass a transaction client to cancel as part of a larger change.
+// Returns the cancelled posts.
+async function cancelCrossposts(parentIds, reason, client = db) {
+  if (parentIds.length === 0) return [];
+
+  const result = await client.query(`
+    UPDATE scheduled_posts
+    SET status = 'cancelled', error_message = $2, next_retry_at = NULL, revision = revision + 1, updated_at = NOW()
+    WHERE crosspost_from_id = ANY($1) AND status IN ('scheduled', 'paused')
+    RETURNING *
+  `, [parentIds, `Cancelled: ${reason}`]);
+
+  for (const post of result.rows) {
+    publishQueue.removePost(post).catch(err => {
+      console.error('Failed to remove queued crosspost:', err.message);
+    });
+  }
+
+  return result.rows;
+}
+
+// A parent just went live: send its crossposts that are already due now
+// instead of waiting for their next check
+async function releaseCrossposts(parentId) {
+  const result = await db.query(`
+    UPDATE scheduled_posts
+    SET next_retry_at = NULL, error_message = NULL, revision = revision + 1, updated_at = NOW()
+    WHERE crosspost_from_id = $1 AND status = 'scheduled'
+    RETURNING *
+  `, [parentId]);
+
+  for (const post of result.rows) {
+    publishQueue.schedulePost(post).catch(err => {
+      console.error('Failed to queue crosspost:', err.message);
+    });
+  }
+
+  return result.rows;
+}
+
+module.exports = {
+  WAIT_MS,
+  resolveParent,
+  loadParent,
+  checkParent,
+  waitForParent,
+  cancelCrosspost,
+  cancelCrossposts,
+  releaseCrossposts
+};
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+
+// Envelope encryption for stored credentials.
+//
+// Each value gets its own random data key (DEK). The value is encrypted with
+// the DEK and the DEK is wrapped with a key-encryption key (KEK) from the
+// environment. Rotating KEKs only re-wraps DEKs; the KEK id is stored with the
+// value so old rows stay readable until they're re-encrypted.
+//
+// Env:
+//   TOKEN_ENCRYPTION_KEYS   - comma separated `id:base64key` pairs (32-byte keys)
+//   TOKEN_ENCRYPTION_KEY_ID - id of the key used for new values (defaults to the first)
+//
+// Stored format: enc:v1:<keyId>:<wrapIv>.<wrapTag>.<wrappedDek>:<iv>.<tag>.<ciphertext>
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+
+let keyring = null;
+
+function loadKeyring() {
+  if (keyring) return keyring;
+
+  const raw = process.env.TOKEN_ENCRYPTION_KEYS;
+  if (!raw) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not configured');
+  }
+
+  const keys = new Map();
+  for (const entry of raw.split(',').map(e => e.trim()).filter(Boolean)) {
+    const [id, encoded] = entry.split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+    if (!id || key.length !== 32) {
+      throw new Error(`Invalid encryption key entry "${id}" (expected id:base64 32-byte key)`);
+    }
+    keys.set(id, key);
+  }
+
+  const currentKeyId = process.env.TOKEN_ENCRYPTION_KEY_ID || keys.keys().next().value;
+  if (!keys.has(currentKeyId)) {
+    throw new Error(`TOKEN_ENCRYPTION_KEY_ID "${currentKeyId}" is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  keyring = { keys, currentKeyId };
+  return keyring;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(b => b.toString('base64')).join('.');
+}
+
+function open(key, sealed) {
+  const [iv, tag, ciphertext] = sealed.split('.').map(p => Buffer.from(p, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+// Id of the KEK a stored value was wrapped with (null for plaintext)
+function getKeyId(value) {
+  return isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+}
+
+function encrypt(plaintext) {
+  if (plaintext === null || plaintext === undefined) return plaintext;
+
+  const { keys, currentKeyId } = loadKeyring();
+  const dek = crypto.randomBytes(32);
+
+  const wrappedDek = seal(keys.get(currentKeyId), dek);
+  const payload = seal(dek, Buffer.from(String(plaintext), 'utf8'));
+
+  return `${PREFIX}${currentKeyId}:${wrappedDek}:${payload}`;
+}
+
+function decrypt(value) {
+  if (value === null || value === undefined) return value;
+
+  // Rows written before encryption was enabled
+  if (!isEncrypted(value)) return value;
+
+  const { keys } = loadKeyring();
+  const [keyId, wrappedDek, payload] = value.slice(PREFIX.length).split(':');
+
+  const kek = keys.get(keyId);
+  if (!kek) {
+    throw new Error(`Unknown encryption key id "${keyId}"`);
+  }
+
+  const dek = open(kek, wrappedDek);
+  return open(dek, payload).toString('utf8');
+}
+
+// True if a stored value should be rewritten with the current key
+function needsReencryption(value) {
+  if (value === null || value === undefined) return false;
+  return getKeyId(value) !== loadKeyring().currentKeyId;
+}
+
+// Re-wrap a stored value's DEK with the current key (encrypts plaintext values)
+function reencrypt(value) {
+  if (!needsReencryption(value)) return value;
+  if (!isEncrypted(value)) return encrypt(value);
+
+  const { keys, currentKeyId } = loadKeyring();
+  const [keyId, wrappedDek, payload] = value.slice(PREFIX.length).split(':');
+
+  const kek = keys.get(keyId);
+  if (!kek) {
+    throw new Error(`Unknown encryption key id "${keyId}"`);
+  }
+
+  const dek = open(kek, wrappedDek);
+  return `${PREFIX}${currentKeyId}:${seal(keys.get(currentKeyId), dek)}:${payload}`;
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  getKeyId,
+  needsReencryption,
+  reencrypt
+};
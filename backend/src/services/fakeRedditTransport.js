@@ -0,0 +1,144 @@
+// In-memory stand-in for RedditTransport.
+// Records every call instead of talking to Reddit; queue errors with failNext()
+// to exercise failure handling. Submitted posts start with a score of 1; use
+// setScore() to simulate how they do, removePost() for a moderator removal and
+// spamFilterPost() for one only logged-out visitors notice.
+class FakeRedditTransport {
+  constructor() {
+    this.submissions = [];
+    this.comments = [];
+    this.deleted = [];
+    this.removed = [];
+    this.spamFiltered = [];
+    this.failures = [];
+    this.nextId = 1;
+  }
+
+  // Make the next call throw this error
+  failNext(error) {
+    this.failures.push(typeof error === 'string' ? new Error(error) : error);
+    return this;
+  }
+
+  throwIfFailing() {
+    if (this.failures.length > 0) {
+      throw this.failures.shift();
+    }
+  }
+
+  async submitPost(post) {
+    this.throwIfFailing();
+
+    const id = `fake${(this.nextId++).toString(36)}`;
+    const permalink = `https://www.reddit.com/r/${post.subredditName}/comments/${id}/`;
+    // Crossposts link to the original
+    const url = post.kind === 'crosspost'
+      ? this.findSubmission(post.crosspostFullname).result.permalink
+      : post.kind === 'self' ? permalink : post.url;
+
+    const result = { id, name: `t3_${id}`, url, permalink };
+
+    this.submissions.push({ ...post, result, score: 1 });
+    return result;
+  }
+
+  findSubmission(thingId) {
+    const submission = this.submissions.find(s => s.result.name === thingId);
+    if (!submission) {
+      const error = new Error('Not Found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return submission;
+  }
+
+  // Pretend a post already exists on Reddit (e.g. an original posted before a
+  // simulation started), so crossposts of it and lookups work
+  addExistingPost({ name, subredditName, permalink = null, url = null }) {
+    if (this.submissions.some(s => s.result.name === name)) return this;
+
+    const id = name.replace(/^t3_/, '');
+    const link = permalink || `https://www.reddit.com/r/${subredditName}/comments/${id}/`;
+
+    this.submissions.push({ subredditName, existing: true, result: { id, name, url: url || link, permalink: link }, score: 1 });
+    return this;
+  }
+
+  setScore(thingId, score) {
+    this.findSubmission(thingId).score = score;
+    return this;
+  }
+
+  // Simulate a moderator removing a post
+  removePost(thingId) {
+    this.findSubmission(thingId);
+    this.removed.push(thingId);
+    return this;
+  }
+
+  // Simulate the spam filter: the author still sees the post, visitors don't
+  spamFilterPost(thingId) {
+    this.findSubmission(thingId);
+    this.spamFiltered.push(thingId);
+    return this;
+  }
+
+  async comment({ userId, accountId, thingId, text }) {
+    this.throwIfFailing();
+
+    const id = `fakec${(this.nextId++).toString(36)}`;
+    const result = { id, name: `t1_${id}` };
+
+    this.comments.push({ userId, accountId, thingId, text, result });
+    return result;
+  }
+
+  async getPost({ thingId }) {
+    this.throwIfFailing();
+
+    const submission = this.findSubmission(thingId);
+    return {
+      name: thingId,
+      score: submission.score,
+      upvotes: submission.score,
+      upvoteRatio: 1,
+      numComments: this.comments.filter(c => c.thingId === thingId).length,
+      removedByCategory: this.deleted.includes(thingId) ? 'deleted' : this.removed.includes(thingId) ? 'moderator' : null,
+      removed: this.removed.includes(thingId),
+      deleted: this.deleted.includes(thingId)
+    };
+  }
+
+  async getPublicPost(thingId) {
+    this.throwIfFailing();
+
+    this.findSubmission(thingId);
+    const filtered = this.spamFiltered.includes(thingId);
+
+    return {
+      found: !filtered,
+      removedByCategory: this.deleted.includes(thingId) ? 'deleted' : this.removed.includes(thingId) ? 'moderator' : null,
+      removed: filtered || this.removed.includes(thingId),
+      deleted: this.deleted.includes(thingId)
+    };
+  }
+
+  async deletePost({ thingId }) {
+    this.throwIfFailing();
+
+    this.findSubmission(thingId);
+    this.deleted.push(thingId);
+    return { name: thingId };
+  }
+
+  reset() {
+    this.submissions = [];
+    this.comments = [];
+    this.deleted = [];
+    this.removed = [];
+    this.spamFiltered = [];
+    this.failures = [];
+  }
+}
+
+module.exports = FakeRedditTransport;
@@ -0,0 +1,64 @@
+const db = require('../config/database');
+
+// In-app notifications: things that happened while the user wasn't looking
+// and that they should act on (e.g. a post removed by a subreddit's mods).
+
+// Pass a transaction client to notify as part of a larger change
+async function notify(client, userId, { type, title, message = null, link = null, data = {}, postedContentId = null }) {
+  const result = await client.query(`
+    INSERT INTO notifications (user_id, type, title, message, link, data, posted_content_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [userId, type, title, message, link, JSON.stringify(data), postedContentId]);
+
+  return result.rows[0];
+}
+
+// Newest first. Filters: unread ('true' for unread only), limit (default 50, max 200)
+async function listNotifications(userId, { unread, limit } = {}) {
+  const result = await db.query(`
+    SELECT * FROM notifications
+    WHERE user_id = $1 AND ($2::boolean IS NOT TRUE OR read_at IS NULL)
+    ORDER BY created_at DESC
+    LIMIT $3
+  `, [userId, unread === true || unread === 'true', Math.min(Math.max(parseInt(limit) || 50, 1), 200)]);
+
+  return result.rows;
+}
+
+async function countUnread(userId) {
+  const result = await db.query(
+    'SELECT COUNT(*)::int AS count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+    [userId]
+  );
+  return result.rows[0].count;
+}
+
+// Returns the notification, or null if it isn't the user's
+async function markRead(userId, notificationId) {
+  const result = await db.query(`
+    UPDATE notifications
+    SET read_at = COALESCE(read_at, NOW())
+    WHERE id = $1 AND user_id = $2
+    RETURNING *
+  `, [notificationId, userId]);
+
+  return result.rows[0] || null;
+}
+
+// Returns the number marked
+async function markAllRead(userId) {
+  const result = await db.query(
+    'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+    [userId]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  notify,
+  listNotifications,
+  countUnread,
+  markRead,
+  markAllRead
+};
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+const STATE_TTL_MINUTES = 10;
+const NONCE_PATTERN = /^[0-9a-f]{64}$/;
+
+function hashState(state) {
+  return crypto.createHash('sha256').update(state).digest('hex');
+}
+
+function stateError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Create a random, single-use state nonce bound to the signed-in user, and a
+// second nonce (binding) for the caller to keep in a cookie on the browser
+// that started the flow, so a callback opened anywhere else is refused.
+// Only the hashes are stored, so a database leak can't be replayed.
+// Returns { state, binding }.
+async function createState(userId, provider = 'reddit') {
+  const state = crypto.randomBytes(32).toString('hex');
+  const binding = crypto.randomBytes(32).toString('hex');
+
+  await db.query(`
+    INSERT INTO oauth_states (state_hash, binding_hash, user_id, provider, expires_at)
+    VALUES ($1, $2, $3, $4, NOW() + ($5 || ' minutes')::interval)
+  `, [hashState(state), hashState(binding), userId, provider, STATE_TTL_MINUTES]);
+
+  // Opportunistic cleanup of stale rows
+  await db.query("DELETE FROM oauth_states WHERE expires_at < NOW() - INTERVAL '1 day'");
+
+  return { state, binding };
+}
+
+// Mark a state as used and return its user id. binding is the nonce from the
+// browser's cookie; a state is only used up when it matches.
+// Throws an error with code invalid_state, state_mismatch, state_used or
+// state_expired.
+async function consumeState(state, binding, provider = 'reddit') {
+  if (typeof state !== 'string' || !NONCE_PATTERN.test(state)) {
+    throw stateError('invalid_state', 'Malformed OAuth state');
+  }
+
+  const stateHash = hashState(state);
+  const bindingHash = typeof binding === 'string' && NONCE_PATTERN.test(binding) ? hashState(binding) : null;
+
+  const result = await db.query(`
+    UPDATE oauth_states
+    SET used_at = NOW()
+    WHERE state_hash = $1 AND provider = $2 AND used_at IS NULL AND binding_hash = $3
+    RETURNING user_id, expires_at < NOW() AS expired
+  `, [stateHash, provider, bindingHash]);
+
+  if (result.rows.length === 0) {
+    const existing = await db.query(
+      'SELECT used_at FROM oauth_states WHERE state_hash = $1 AND provider = $2',
+      [stateHash, provider]
+    );
+
+    if (existing.rows.length === 0) {
+      throw stateError('invalid_state', 'Unknown OAuth state');
+    }
+    if (existing.rows[0].used_at) {
+      throw stateError('state_used', 'OAuth state already used');
+    }
+    throw stateError('state_mismatch', 'OAuth state was started in another browser');
+  }
+
+  const row = result.rows[0];
+  if (row.expired) {
+    throw stateError('state_expired', 'OAuth state expired');
+  }
+
+  return row.user_id;
+}
+
+module.exports = {
+  STATE_TTL_MINUTES,
+  createState,
+  consumeState
+};
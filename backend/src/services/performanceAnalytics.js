@@ -0,0 +1,200 @@
+const db = require('../config/database');
+const { getUserTimezone, DAYS } = require('./timezone');
+const { parseRange, rangeBounds } = require('./analyticsRollup');
+const { httpError, optionalUuid } = require('../utils/httpError');
+
+// How the user's posts did, from posted_content: subreddits and content items
+// ranked against each other, and the hours and weekdays that work best.
+// Scores are each post's latest (see postMetrics); a post counts as removed
+// when removalChecker found it removed by mods or the spam filter.
+//
+// Every query takes the same filters: account_id, from/to (YYYY-MM-DD in the
+// user's time zone, on posted_at; default the last 90 days).
+
+const DEFAULT_RANGE_DAYS = 90;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Shared per-group columns over posted_content pc
+const PERFORMANCE_COLUMNS = `
+  COUNT(*)::int AS posts,
+  PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY pc.score) AS median_score,
+  ROUND(AVG(pc.score)::numeric, 1)::float AS avg_score,
+  MAX(pc.score) AS best_score,
+  ROUND(AVG(pc.comments_count)::numeric, 1)::float AS comments_per_post,
+  COUNT(*) FILTER (WHERE pc.removal_status IN ('removed_by_mods', 'removed_by_spam_filter'))::int AS removed,
+  ROUND(AVG(CASE WHEN pc.removal_status IN ('removed_by_mods', 'removed_by_spam_filter') THEN 1 ELSE 0 END)::numeric, 3)::float AS removal_rate
+`;
+
+// sort option -> ORDER BY. Removal rate ranks the most-removed first, as a
+// list of subreddits to fix or drop.
+const SORTS = {
+  median_score: 'median_score DESC NULLS LAST, posts DESC',
+  avg_score: 'avg_score DESC NULLS LAST, posts DESC',
+  comments_per_post: 'comments_per_post DESC NULLS LAST, posts DESC',
+  removal_rate: 'removal_rate DESC, posts DESC',
+  posts: 'posts DESC, median_score DESC NULLS LAST'
+};
+
+function parseSort(sort) {
+  if (sort === undefined || sort === null || sort === '') return 'median_score';
+  if (!SORTS[sort]) {
+    throw httpError(`sort must be one of: ${Object.keys(SORTS).join(', ')}`, 400);
+  }
+  return sort;
+}
+
+// The filters every query shares, resolved for the user. Throws 400 for ids
+// that aren't UUIDs and 404 for an account that isn't theirs.
+async function resolveFilters(userId, query) {
+  const timeZone = await getUserTimezone(userId);
+  const { from, to } = parseRange(query, timeZone, { defaultDays: DEFAULT_RANGE_DAYS });
+  const { startsAt, endsAt } = rangeBounds(from, to, timeZone);
+
+  const accountId = optionalUuid(query.account_id, 'account_id');
+  if (accountId) {
+    const account = await db.query(
+      'SELECT id FROM reddit_accounts WHERE id = $1 AND user_id = $2',
+      [accountId, userId]
+    );
+    if (account.rows.length === 0) {
+      throw httpError('Reddit account not found', 404);
+    }
+  }
+
+  return {
+    timeZone,
+    from,
+    to,
+    accountId,
+    subredditId: optionalUuid(query.subreddit_id, 'subreddit_id'),
+    contentItemId: optionalUuid(query.content_item_id, 'content_item_id'),
+    minPosts: Math.max(parseInt(query.min_posts) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT),
+    // $1-$4 in every query
+    params: [userId, accountId, startsAt, endsAt]
+  };
+}
+
+const FILTER_CONDITIONS = `
+  pc.user_id = $1
+  AND ($2::uuid IS NULL OR pc.reddit_account_id = $2)
+  AND pc.posted_at >= $3 AND pc.posted_at < $4
+`;
+
+function withRank(rows) {
+  return rows.map((row, i) => ({ rank: i + 1, ...row }));
+}
+
+// The user's subreddits ranked by sort (median_score, avg_score,
+// comments_per_post, removal_rate or posts). Extra filters: min_posts, limit.
+async function rankSubreddits(userId, query = {}) {
+  const sort = parseSort(query.sort);
+  const filters = await resolveFilters(userId, query);
+
+  const result = await db.query(`
+    SELECT s.id AS subreddit_id, s.name AS subreddit_name, s.subscribers,
+           ${PERFORMANCE_COLUMNS},
+           MAX(pc.posted_at) AS last_posted_at
+    FROM posted_content pc
+    JOIN subreddits s ON pc.subreddit_id = s.id
+    WHERE ${FILTER_CONDITIONS}
+    GROUP BY s.id, s.name, s.subscribers
+    HAVING COUNT(*) >= $5
+    ORDER BY ${SORTS[sort]}
+    LIMIT $6
+  `, [...filters.params, filters.minPosts, filters.limit]);
+
+  return {
+    from: filters.from,
+    to: filters.to,
+    account_id: filters.accountId,
+    sort,
+    subreddits: withRank(result.rows)
+  };
+}
+
+// The user's content items ranked across every subreddit they went to, with
+// the subreddit each did best in. Same sorts and extra filters as subreddits.
+async function rankContent(userId, query = {}) {
+  const sort = parseSort(query.sort);
+  const filters = await resolveFilters(userId, query);
+
+  const result = await db.query(`
+    SELECT ci.id AS content_item_id, ci.filename, ci.file_type, ci.thumbnail_url,
+           ${PERFORMANCE_COLUMNS},
+           COUNT(DISTINCT pc.subreddit_id)::int AS subreddits,
+           SUM(pc.score)::int AS total_score,
+           best.subreddit_name AS best_subreddit,
+           best.score AS best_subreddit_score
+    FROM posted_content pc
+    JOIN content_items ci ON pc.content_item_id = ci.id
+    LEFT JOIN LATERAL (
+      SELECT s.name AS subreddit_name, top.score
+      FROM posted_content top
+      JOIN subreddits s ON top.subreddit_id = s.id
+      WHERE top.content_item_id = ci.id
+        AND top.user_id = $1
+        AND ($2::uuid IS NULL OR top.reddit_account_id = $2)
+        AND top.posted_at >= $3 AND top.posted_at < $4
+      ORDER BY top.score DESC NULLS LAST
+      LIMIT 1
+    ) best ON TRUE
+    WHERE ${FILTER_CONDITIONS}
+    GROUP BY ci.id, ci.filename, ci.file_type, ci.thumbnail_url, best.subreddit_name, best.score
+    HAVING COUNT(*) >= $5
+    ORDER BY ${SORTS[sort]}
+    LIMIT $6
+  `, [...filters.params, filters.minPosts, filters.limit]);
+
+  return {
+    from: filters.from,
+    to: filters.to,
+    account_id: filters.accountId,
+    sort,
+    content: withRank(result.rows)
+  };
+}
+
+// Performance by local hour of day (0-23) and weekday, in the user's time
+// zone. Every hour and weekday is listed, with posts: 0 where nothing went
+// out. Extra filters: subreddit_id, content_item_id.
+async function getTimingBreakdown(userId, query = {}) {
+  const filters = await resolveFilters(userId, query);
+  const params = [...filters.params, filters.timeZone, filters.subredditId, filters.contentItemId];
+
+  const breakdown = (part) => db.query(`
+    SELECT EXTRACT(${part} FROM (pc.posted_at AT TIME ZONE 'UTC') AT TIME ZONE $5)::int AS slot,
+           ${PERFORMANCE_COLUMNS}
+    FROM posted_content pc
+    WHERE ${FILTER_CONDITIONS}
+      AND ($6::uuid IS NULL OR pc.subreddit_id = $6)
+      AND ($7::uuid IS NULL OR pc.content_item_id = $7)
+    GROUP BY slot
+  `, params);
+
+  const [hours, weekdays] = await Promise.all([breakdown('HOUR'), breakdown('DOW')]);
+
+  const empty = { posts: 0, median_score: null, avg_score: null, best_score: null, comments_per_post: null, removed: 0, removal_rate: null };
+  const fill = (rows, slots, label) => slots.map((slot) => {
+    const stats = Object.assign({}, rows.find(r => r.slot === slot) || empty);
+    delete stats.slot;
+    return { [label]: label === 'weekday' ? DAYS[slot] : slot, ...stats };
+  });
+
+  return {
+    from: filters.from,
+    to: filters.to,
+    timezone: filters.timeZone,
+    account_id: filters.accountId,
+    by_hour: fill(hours.rows, [...Array(24).keys()], 'hour'),
+    by_weekday: fill(weekdays.rows, [...Array(7).keys()], 'weekday')
+  };
+}
+
+module.exports = {
+  SORTS,
+  rankSubreddits,
+  rankContent,
+  getTimingBreakdown
+};
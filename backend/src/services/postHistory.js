@@ -0,0 +1,265 @@
+const db = require('../config/database');
+const { nextPollAt, getPostCurve } = require('./postMetrics');
+const { httpError, optionalUuid } = require('../utils/httpError');
+
+// The user's posted_content: what went out, where, and how it did. Posts
+// published by the worker are recorded by postPublisher; posts made outside
+// the tool can be recorded by hand (source 'external') so they're polled for
+// metrics and removals like the rest.
+
+// status filter -> removal_status values (the exact values work too)
+const STATUS_FILTERS = {
+  live: ['live'],
+  removed: ['removed_by_mods', 'removed_by_spam_filter'],
+  deleted: ['deleted_by_author'],
+  removed_by_mods: ['removed_by_mods'],
+  removed_by_spam_filter: ['removed_by_spam_filter'],
+  deleted_by_author: ['deleted_by_author']
+};
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// reddit.com/r/<subreddit>/comments/<id>/... (old., www., no host at all)
+const PERMALINK_PATTERN = /^(?:https?:\/\/(?:[a-z]+\.)?reddit\.com)?(\/r\/([A-Za-z0-9_]+)\/comments\/([a-z0-9]+)(?:\/[^?#]*)?)/i;
+
+const POST_COLUMNS = `
+  pc.*, s.name AS subreddit_name, s.display_name AS subreddit_display_name,
+  ra.reddit_username, ci.filename
+`;
+
+const POST_JOINS = `
+  LEFT JOIN subreddits s ON pc.subreddit_id = s.id
+  LEFT JOIN reddit_accounts ra ON pc.reddit_account_id = ra.id
+  LEFT JOIN content_items ci ON pc.content_item_id = ci.id
+`;
+
+function parseDate(value, field) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(`${field} must be a date`, 400);
+  }
+  return date;
+}
+
+// List the user's posts, newest first.
+// Filters: account_id, subreddit_id, subreddit_name, content_item_id,
+// start_date, end_date (posted_at), status (live, removed, deleted or a
+// removal_status), source, limit (default 50, max 200), offset.
+// Returns { posts, total, limit, offset }.
+async function listPostedContent(userId, filters = {}) {
+  const account_id = optionalUuid(filters.account_id, 'account_id');
+  const subreddit_id = optionalUuid(filters.subreddit_id, 'subreddit_id');
+  const content_item_id = optionalUuid(filters.content_item_id, 'content_item_id');
+  const {
+    subreddit_name,
+    start_date,
+    end_date,
+    status,
+    source
+  } = filters;
+
+  let where = 'WHERE pc.user_id = $1';
+  const params = [userId];
+  let paramIndex = 2;
+
+  if (account_id) {
+    where += ` AND pc.reddit_account_id = $${paramIndex}`;
+    params.push(account_id);
+    paramIndex++;
+  }
+
+  if (subreddit_id) {
+    where += ` AND pc.subreddit_id = $${paramIndex}`;
+    params.push(subreddit_id);
+    paramIndex++;
+  }
+
+  if (subreddit_name) {
+    where += ` AND LOWER(s.name) = LOWER($${paramIndex})`;
+    params.push(String(subreddit_name).replace(/^\/?r\//i, ''));
+    paramIndex++;
+  }
+
+  if (content_item_id) {
+    where += ` AND pc.content_item_id = $${paramIndex}`;
+    params.push(content_item_id);
+    paramIndex++;
+  }
+
+  if (start_date) {
+    where += ` AND pc.posted_at >= $${paramIndex}`;
+    params.push(parseDate(start_date, 'start_date'));
+    paramIndex++;
+  }
+
+  if (end_date) {
+    where += ` AND pc.posted_at <= $${paramIndex}`;
+    params.push(parseDate(end_date, 'end_date'));
+    paramIndex++;
+  }
+
+  if (status) {
+    if (!STATUS_FILTERS[status]) {
+      throw httpError(`status must be one of: ${Object.keys(STATUS_FILTERS).join(', ')}`, 400);
+    }
+    where += ` AND COALESCE(pc.removal_status, 'live') = ANY($${paramIndex})`;
+    params.push(STATUS_FILTERS[status]);
+    paramIndex++;
+  }
+
+  if (source) {
+    where += ` AND pc.source = $${paramIndex}`;
+    params.push(source);
+    paramIndex++;
+  }
+
+  const limit = Math.min(Math.max(parseInt(filters.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+  const [result, count] = await Promise.all([
+    db.query(`
+      SELECT ${POST_COLUMNS}
+      FROM posted_content pc
+      ${POST_JOINS}
+      ${where}
+      ORDER BY pc.posted_at DESC NULLS LAST, pc.created_at DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `, [...params, limit, offset]),
+    db.query(`
+      SELECT COUNT(*)::int AS total
+      FROM posted_content pc
+      LEFT JOIN subreddits s ON pc.subreddit_id = s.id
+      ${where}
+    `, params)
+  ]);
+
+  return { posts: result.rows, total: count.rows[0].total, limit, offset };
+}
+
+// One post with its metrics history (post_metrics_snapshots, oldest first)
+// and the scheduled post it came from, or null if it isn't the user's
+async function getPostedContent(userId, postedContentId) {
+  const result = await db.query(`
+    SELECT ${POST_COLUMNS},
+           sp.status AS scheduled_status, sp.scheduled_for, sp.flair_text, sp.campaign_id
+    FROM posted_content pc
+    ${POST_JOINS}
+    LEFT JOIN scheduled_posts sp ON pc.scheduled_post_id = sp.id
+    WHERE pc.id = $1 AND pc.user_id = $2
+  `, [postedContentId, userId]);
+
+  const post = result.rows[0];
+  if (!post) return null;
+
+  const metrics = await getPostCurve(userId, postedContentId);
+  return { ...post, metrics };
+}
+
+// Pull the permalink, subreddit and fullname out of a Reddit post link
+function parsePostUrl(url) {
+  const match = typeof url === 'string' ? url.trim().match(PERMALINK_PATTERN) : null;
+  if (!match) {
+    throw httpError('url must be a link to a Reddit post (reddit.com/r/<subreddit>/comments/<id>/...)', 400);
+  }
+
+  const permalink = match[1].endsWith('/') ? match[1] : `${match[1]}/`;
+  return {
+    permalink,
+    subredditName: match[2],
+    redditPostId: `t3_${match[3].toLowerCase()}`
+  };
+}
+
+// Record a post made outside the tool:
+// { url, reddit_account_id, title, content_item_id, posted_at }.
+// It's polled for metrics and removals from now on if it's less than a week old.
+async function recordExternalPost(userId, input = {}) {
+  const { permalink, subredditName, redditPostId } = parsePostUrl(input.url);
+
+  if (!input.reddit_account_id) {
+    throw httpError('reddit_account_id is required', 400);
+  }
+  optionalUuid(input.reddit_account_id, 'reddit_account_id');
+  optionalUuid(input.content_item_id, 'content_item_id');
+
+  const postedAt = input.posted_at ? parseDate(input.posted_at, 'posted_at') : new Date();
+  if (postedAt > new Date()) {
+    throw httpError('posted_at cannot be in the future', 400);
+  }
+
+  const title = input.title === undefined || input.title === null ? null : String(input.title).trim() || null;
+
+  const account = await db.query(
+    'SELECT id FROM reddit_accounts WHERE id = $1 AND user_id = $2',
+    [input.reddit_account_id, userId]
+  );
+  if (account.rows.length === 0) {
+    throw httpError('Reddit account not found', 400);
+  }
+
+  const subreddit = await db.query(
+    'SELECT id FROM subreddits WHERE LOWER(name) = LOWER($1)',
+    [subredditName]
+  );
+  if (subreddit.rows.length === 0) {
+    throw httpError(`Unknown subreddit r/${subredditName}`, 400);
+  }
+
+  if (input.content_item_id) {
+    const content = await db.query(
+      'SELECT id FROM content_items WHERE id = $1 AND user_id = $2',
+      [input.content_item_id, userId]
+    );
+    if (content.rows.length === 0) {
+      throw httpError('Content not found', 400);
+    }
+  }
+
+  const existing = await db.query(
+    'SELECT id FROM posted_content WHERE user_id = $1 AND reddit_post_id = $2',
+    [userId, redditPostId]
+  );
+  if (existing.rows.length > 0) {
+    throw httpError('This post is already recorded', 409);
+  }
+
+  const inserted = await db.query(`
+    INSERT INTO posted_content (
+      user_id, reddit_account_id, subreddit_id, content_item_id,
+      reddit_post_id, reddit_url, permalink, title, posted_at, source, metrics_next_poll_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'external', $10)
+    RETURNING *
+  `, [
+    userId,
+    input.reddit_account_id,
+    subreddit.rows[0].id,
+    input.content_item_id || null,
+    redditPostId,
+    `https://www.reddit.com${permalink}`,
+    permalink,
+    title,
+    postedAt,
+    nextPollAt(postedAt) ? new Date() : null
+  ]);
+
+  if (input.content_item_id) {
+    await db.query(`
+      UPDATE content_items
+      SET times_posted = times_posted + 1,
+          last_posted_at = GREATEST(COALESCE(last_posted_at, $2), $2),
+          updated_at = NOW()
+      WHERE id = $1
+    `, [input.content_item_id, postedAt]);
+  }
+
+  return inserted.rows[0];
+}
+
+module.exports = {
+  STATUS_FILTERS,
+  listPostedContent,
+  getPostedContent,
+  parsePostUrl,
+  recordExternalPost
+};
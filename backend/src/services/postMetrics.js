@@ -0,0 +1,202 @@
+const db = require('../config/database');
+const { classifyPublishError } = require('./publishErrors');
+const { checkVisibility, REMOVED_STATUSES } = require('./removalChecker');
+
+// Polls live posts for their score and comments on a decaying cadence
+// (often while a post is new, daily later, then not at all), updates the
+// summary columns on posted_content and appends a row to
+// post_metrics_snapshots on every poll, for score-over-time curves.
+//
+// posted_content.metrics_next_poll_at is the schedule: the worker sweeps for
+// due posts every minute. NULL means polling is over.
+//
+// Every poll also checks whether the post was removed (removalChecker).
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// How often to poll, by the post's age. Polling stops after the last step.
+const CADENCE = [
+  { untilHours: 1, everyMinutes: 10 },
+  { untilHours: 6, everyMinutes: 30 },
+  { untilHours: 24, everyMinutes: 2 * 60 },
+  { untilHours: 7 * 24, everyMinutes: 24 * 60 }
+];
+
+// How long a claimed post is held before another sweep may take it again
+// (a worker that died mid-poll), and the wait after a failed poll
+const LEASE_MINUTES = 15;
+
+// Ages (hours) the per-subreddit curve reports scores at
+const CURVE_HOURS = [1, 2, 6, 12, 24, 48, 72, 168];
+
+// When to poll a post next, or null when it's old enough to stop
+function nextPollAt(postedAt, now = new Date()) {
+  const age = now.getTime() - new Date(postedAt).getTime();
+  const step = CADENCE.find(s => age < s.untilHours * HOUR_MS);
+  if (!step) return null;
+
+  const next = new Date(now.getTime() + step.everyMinutes * MINUTE_MS);
+  const end = new Date(new Date(postedAt).getTime() + CADENCE[CADENCE.length - 1].untilHours * HOUR_MS);
+
+  // One last poll at the end of the cadence
+  return next > end ? (now < end ? end : null) : next;
+}
+
+// Take up to `limit` due posts. Each is leased (its next poll pushed back) so
+// a second worker's sweep skips it.
+async function claimDuePosts(limit) {
+  const result = await db.query(`
+    UPDATE posted_content
+    SET metrics_next_poll_at = NOW() + ($2 || ' minutes')::interval
+    WHERE id IN (
+      SELECT id FROM posted_content
+      WHERE metrics_next_poll_at <= NOW()
+      ORDER BY metrics_next_poll_at ASC
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [limit, LEASE_MINUTES]);
+
+  return result.rows;
+}
+
+async function saveSnapshot(post, state, nextAt) {
+  const ageMinutes = Math.max(0, Math.round((Date.now() - new Date(post.posted_at).getTime()) / MINUTE_MS));
+
+  await db.transaction(async (client) => {
+    await client.query(`
+      UPDATE posted_content
+      SET score = $2, upvotes = $3, upvote_ratio = $4, comments_count = $5,
+          last_checked_at = NOW(),
+          metrics_next_poll_at = $6, metrics_poll_count = metrics_poll_count + 1
+      WHERE id = $1
+    `, [post.id, state.score, state.upvotes, state.upvoteRatio, state.numComments, nextAt]);
+
+    await client.query(`
+      INSERT INTO post_metrics_snapshots (
+        posted_content_id, subreddit_id, age_minutes, score, upvotes, upvote_ratio,
+        comments_count, is_removed, is_deleted
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [post.id, post.subreddit_id, ageMinutes, state.score, state.upvotes, state.upvoteRatio, state.numComments, state.removed, state.deleted]);
+  });
+}
+
+// Poll one claimed post. Returns { status: 'polled' | 'stopped' | 'retrying', ... }.
+// Deleted posts get a last snapshot and aren't polled again. Removed ones
+// stay on the cadence, since mods may approve them again.
+async function pollPost(post, { transport }) {
+  let state;
+  try {
+    state = await transport.getPost({
+      userId: post.user_id,
+      accountId: post.reddit_account_id,
+      thingId: post.reddit_post_id
+    });
+  } catch (error) {
+    const failure = classifyPublishError(error);
+
+    if (failure.retryable) {
+      // The lease from claimDuePosts brings it back
+      return { status: 'retrying', reason: failure.reason };
+    }
+
+    console.error(`Metrics poll for ${post.reddit_post_id} gave up:`, failure.reason);
+    await db.query('UPDATE posted_content SET metrics_next_poll_at = NULL WHERE id = $1', [post.id]);
+    return { status: 'stopped', reason: failure.code };
+  }
+
+  const visibility = await checkVisibility(post, state, { transport });
+  const deleted = visibility.status === 'deleted_by_author';
+  const removed = REMOVED_STATUSES.includes(visibility.status);
+  const nextAt = deleted ? null : nextPollAt(post.posted_at);
+
+  await saveSnapshot(post, { ...state, removed, deleted }, nextAt);
+
+  return nextAt
+    ? { status: 'polled', score: state.score, removal: visibility.status, nextPollAt: nextAt }
+    : { status: 'stopped', reason: deleted ? 'deleted' : 'done', removal: visibility.status, score: state.score };
+}
+
+// Poll every due post, up to limit per sweep. Returns counts by status.
+async function pollDuePosts({ transport, limit = 50 }) {
+  const posts = await claimDuePosts(limit);
+  const counts = { polled: 0, stopped: 0, retrying: 0 };
+
+  for (const post of posts) {
+    try {
+      const result = await pollPost(post, { transport });
+      counts[result.status]++;
+    } catch (error) {
+      console.error(`Metrics poll for ${post.reddit_post_id} failed:`, error.message);
+      counts.retrying++;
+    }
+  }
+
+  return counts;
+}
+
+// A post's snapshots, oldest first, or null if it isn't the user's
+async function getPostCurve(userId, postedContentId) {
+  const post = await db.query(
+    'SELECT id FROM posted_content WHERE id = $1 AND user_id = $2',
+    [postedContentId, userId]
+  );
+  if (post.rows.length === 0) return null;
+
+  const result = await db.query(`
+    SELECT captured_at, age_minutes, score, upvotes, upvote_ratio, comments_count, is_removed, is_deleted
+    FROM post_metrics_snapshots
+    WHERE posted_content_id = $1
+    ORDER BY captured_at ASC
+  `, [postedContentId]);
+
+  return result.rows;
+}
+
+// How the user's posts in a subreddit typically grow: at each age in
+// CURVE_HOURS, the average and median score and comments of posts that old,
+// each taken from its last snapshot at or before that age.
+// Optional accountId limits it to one account.
+async function getSubredditCurve(userId, subredditId, { accountId = null } = {}) {
+  const result = await db.query(`
+    WITH checkpoints AS (
+      SELECT unnest($3::int[]) AS hours
+    ),
+    at_age AS (
+      SELECT c.hours, snap.score, snap.comments_count
+      FROM checkpoints c
+      JOIN posted_content pc
+        ON pc.user_id = $1 AND pc.subreddit_id = $2
+        AND ($4::uuid IS NULL OR pc.reddit_account_id = $4)
+        AND pc.posted_at <= NOW() - (c.hours || ' hours')::interval
+      JOIN LATERAL (
+        SELECT score, comments_count FROM post_metrics_snapshots
+        WHERE posted_content_id = pc.id AND age_minutes <= c.hours * 60
+        ORDER BY age_minutes DESC
+        LIMIT 1
+      ) snap ON TRUE
+    )
+    SELECT hours,
+           COUNT(*)::int AS posts,
+           ROUND(AVG(score)::numeric, 1)::float AS avg_score,
+           PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY score) AS median_score,
+           ROUND(AVG(comments_count)::numeric, 1)::float AS avg_comments
+    FROM at_age
+    GROUP BY hours
+    ORDER BY hours ASC
+  `, [userId, subredditId, CURVE_HOURS, accountId]);
+
+  return result.rows;
+}
+
+module.exports = {
+  CADENCE,
+  CURVE_HOURS,
+  nextPollAt,
+  pollPost,
+  pollDuePosts,
+  getPostCurve,
+  getSubredditCurve
+};
@@ -0,0 +1,377 @@
+const db = require('../config/database');
+const publishQueue = require('./publishQueue');
+const autoDeleteQueue = require('./autoDeleteQueue');
+const crossposts = require('./crossposts');
+const { HELD_CONDITION } = require('./postingPause');
+const { nextPollAt } = require('./postMetrics');
+const { classifyPublishError, getRetryDelay } = require('./publishErrors');
+const { systemClock } = require('./clock');
+
+// Publishes one scheduled post through a transport (RedditTransport or
+// FakeRedditTransport). Status moves scheduled -> posting -> posted/failed.
+// Retryable failures go back to scheduled with next_retry_at set, until
+// max_retries is used up. Posts of a paused account (or user) are held: left
+// scheduled and not claimed until posting is resumed (see postingPause).
+// Post, retry and due times come from a clock (see clock.js); updated_at is
+// left to the database.
+// Once Reddit accepts a post its id is saved on the scheduled post straight
+// away, then the rest of the bookkeeping runs in one transaction (retried a
+// few times). A post that still ends up stuck in 'posting' (the bookkeeping
+// kept failing, or the worker died) is picked up by recoverStalePosts.
+
+// How long a post may stay in 'posting' before recoverStalePosts takes over
+const POSTING_LEASE_MS = 15 * 60 * 1000;
+const RECORD_ATTEMPTS = 3;
+const RECORD_RETRY_DELAY_MS = 500;
+
+// Atomically take a due post so two workers can't publish it twice
+async function claimPost(postId, clock) {
+  const result = await db.query(`
+    UPDATE scheduled_posts sp
+    SET status = 'posting', last_attempt_at = $2, revision = revision + 1, updated_at = NOW()
+    WHERE id = $1 AND status = 'scheduled'
+      AND COALESCE(next_retry_at, scheduled_for) <= $2::timestamp + INTERVAL '1 minute'
+      AND NOT ${HELD_CONDITION}
+    RETURNING *
+  `, [postId, clock.now()]);
+
+  return result.rows[0] || null;
+}
+
+// Subreddit name and media URL for a post (saved or not, e.g. a simulated one)
+async function loadPostDetails(post) {
+  const result = await db.query(`
+    SELECT s.name AS subreddit_name, mu.host_url AS media_url
+    FROM subreddits s
+    LEFT JOIN media_uploads mu ON mu.id = $2 AND mu.is_deleted = FALSE
+    WHERE s.id = $1
+  `, [post.subreddit_id, post.media_upload_id || null]);
+
+  return result.rows[0];
+}
+
+// Work out what to send to Reddit for a scheduled post.
+// crosspostFullname is the parent's Reddit id, for crossposts.
+function buildSubmission(post, details, { crosspostFullname = null } = {}) {
+  const submission = {
+    userId: post.user_id,
+    accountId: post.reddit_account_id,
+    subredditName: details.subreddit_name,
+    title: post.title,
+    flairId: post.flair_id,
+    flairText: post.flair_text,
+    nsfw: post.is_nsfw,
+    spoiler: post.is_spoiler
+  };
+
+  if (post.post_type === 'crosspost') {
+    return { ...submission, kind: 'crosspost', crosspostFullname };
+  }
+
+  if (post.post_type === 'text' || (!details.media_url && post.body)) {
+    return { ...submission, kind: 'self', text: post.body || '' };
+  }
+
+  if (!details.media_url) {
+    throw new Error('No media uploaded for this post');
+  }
+
+  return { ...submission, kind: 'link', url: details.media_url };
+}
+
+async function recordPostedContent(client, post, result, postedAt) {
+  const inserted = await client.query(`
+    INSERT INTO posted_content (
+      scheduled_post_id, user_id, reddit_account_id, subreddit_id, content_item_id,
+      reddit_post_id, reddit_url, permalink, title, posted_at, metrics_next_poll_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING *
+  `, [
+    post.id,
+    post.user_id,
+    post.reddit_account_id,
+    post.subreddit_id,
+    post.content_item_id,
+    result.name,
+    result.url,
+    result.permalink,
+    post.title,
+    postedAt,
+    nextPollAt(postedAt, postedAt)
+  ]);
+
+  if (post.content_item_id) {
+    await client.query(`
+      UPDATE content_items
+      SET times_posted = times_posted + 1, last_posted_at = $2, updated_at = NOW()
+      WHERE id = $1
+    `, [post.content_item_id, postedAt]);
+  }
+
+  return inserted.rows[0];
+}
+
+// What a failed attempt leads to: { retry: true, delayMs, code, reason } or
+// { retry: false, code, reason }. Shared with the scheduler simulation.
+function planFailure(post, error) {
+  const failure = classifyPublishError(error);
+  const attempts = post.retry_count + 1;
+
+  if (failure.retryable && post.retry_count < post.max_retries) {
+    return {
+      retry: true,
+      delayMs: getRetryDelay(post.retry_count, { minMs: failure.retryAfterMs || 0 }),
+      code: failure.code,
+      reason: `${failure.reason} (attempt ${attempts}, retrying)`
+    };
+  }
+
+  return {
+    retry: false,
+    code: failure.code,
+    reason: failure.retryable ? `${failure.reason} - gave up after ${attempts} attempts` : failure.reason
+  };
+}
+
+// Schedule another attempt or fail the post for good.
+// Returns { status: 'retrying' | 'failed', ... }.
+async function handleFailure(post, error, { clock = systemClock } = {}) {
+  const plan = planFailure(post, error);
+
+  if (plan.retry) {
+    const result = await db.query(`
+      UPDATE scheduled_posts
+      SET status = 'scheduled',
+          retry_count = retry_count + 1,
+          next_retry_at = $2,
+          failure_code = $3,
+          error_message = $4,
+          revision = revision + 1, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [post.id, new Date(clock.now().getTime() + plan.delayMs), plan.code, plan.reason]);
+
+    await publishQueue.schedulePost(result.rows[0]);
+    return { status: 'retrying', code: plan.code, delayMs: plan.delayMs };
+  }
+
+  await db.query(`
+    UPDATE scheduled_posts
+    SET status = 'failed', failure_code = $2, error_message = $3, next_retry_at = NULL, revision = revision + 1, updated_at = NOW()
+    WHERE id = $1
+  `, [post.id, plan.code, plan.reason]);
+
+  await crossposts.cancelCrossposts([post.id], 'the original post failed');
+
+  return { status: 'failed', code: plan.code, reason: plan.reason };
+}
+
+// Publish a scheduled post. Returns { status, ... } where status is one of
+// posted, retrying, failed, skipped, held (posting paused), or for crossposts
+// waiting (parent not posted yet) or cancelled (parent failed, deleted or removed).
+async function publishScheduledPost(postId, { transport, clock = systemClock }) {
+  const post = await claimPost(postId, clock);
+
+  if (!post) {
+    // Held, cancelled, already handled, or moved to a later time. A moved post
+    // already has (or gets, on the worker's next sync) a job for its new time;
+    // a held one is re-queued when posting is resumed.
+    const current = await db.query(`
+      SELECT sp.status, ${HELD_CONDITION} AS held
+      FROM scheduled_posts sp
+      WHERE sp.id = $1
+    `, [postId]);
+    const row = current.rows[0];
+
+    if (row && row.status === 'scheduled' && row.held) {
+      return { status: 'held' };
+    }
+    return { status: 'skipped', reason: row ? row.status : 'not_found' };
+  }
+
+  let result;
+  try {
+    let crosspostFullname = null;
+
+    if (post.post_type === 'crosspost') {
+      const parent = await crossposts.checkParent(post, { transport });
+
+      if (parent.action === 'wait') {
+        await crossposts.waitForParent(post, { clock });
+        return { status: 'waiting' };
+      }
+
+      if (parent.action === 'cancel') {
+        await crossposts.cancelCrosspost(post, parent.reason);
+        return { status: 'cancelled', reason: parent.reason };
+      }
+
+      crosspostFullname = parent.fullname;
+    }
+
+    const details = await loadPostDetails(post);
+    result = await transport.submitPost(buildSubmission(post, details, { crosspostFullname }));
+  } catch (error) {
+    console.error(`Publishing scheduled post ${post.id} failed:`, error.message);
+    return handleFailure(post, error, { clock });
+  }
+
+  // Saved on its own first, so the post can be recovered even if the
+  // bookkeeping below never gets through
+  await saveSubmission(post, result).catch(err => {
+    console.error(`Saving Reddit id ${result.name} for scheduled post ${post.id} failed:`, err.message);
+  });
+
+  return completePublishedPost(post, result, clock.now(), { transport });
+}
+
+async function saveSubmission(post, result) {
+  await db.query(`
+    UPDATE scheduled_posts
+    SET reddit_post_id = $2, reddit_url = $3, permalink = $4, revision = revision + 1, updated_at = NOW()
+    WHERE id = $1
+  `, [post.id, result.name, result.url, result.permalink]);
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Record a post that Reddit accepted: status 'posted' and its posted_content
+// row in one transaction, retried a few times. Returns the posted_content row,
+// or null if the post is no longer in 'posting' (already recorded). Throws if
+// it never gets through, leaving the post for recoverStalePosts.
+async function markPosted(post, result, postedAt) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await db.transaction(async (client) => {
+        const updated = await client.query(`
+          UPDATE scheduled_posts
+          SET status = 'posted', reddit_post_id = $2, reddit_url = $3, permalink = $4,
+              error_message = NULL, failure_code = NULL, next_retry_at = NULL, revision = revision + 1, updated_at = NOW()
+          WHERE id = $1 AND status = 'posting'
+          RETURNING id
+        `, [post.id, result.name, result.url, result.permalink]);
+
+        if (updated.rows.length === 0) return null;
+        return recordPostedContent(client, post, result, postedAt);
+      });
+    } catch (error) {
+      if (attempt >= RECORD_ATTEMPTS) throw error;
+      console.error(`Recording ${result.name} for scheduled post ${post.id} failed (attempt ${attempt}):`, error.message);
+      await wait(RECORD_RETRY_DELAY_MS * attempt);
+    }
+  }
+}
+
+// Everything after Reddit accepted a post: record it, release its crossposts,
+// queue the auto-delete check and leave the auto-comment
+async function completePublishedPost(post, result, postedAt, { transport }) {
+  const posted = await markPosted(post, result, postedAt);
+  if (!posted) {
+    return { status: 'skipped', reason: 'already_recorded' };
+  }
+
+  await crossposts.releaseCrossposts(post.id);
+
+  if (post.auto_delete_hours && post.auto_delete_if_below_upvotes !== null) {
+    // The worker's sync picks this up if Redis is unavailable
+    autoDeleteQueue.scheduleCheck({
+      id: posted.id,
+      due_at: new Date(postedAt.getTime() + post.auto_delete_hours * 60 * 60 * 1000)
+    }).catch(err => {
+      console.error('Failed to queue auto-delete check:', err.message);
+    });
+  }
+
+  // The post is live at this point; a failed comment shouldn't fail it
+  if (post.auto_comment) {
+    try {
+      await transport.comment({
+        userId: post.user_id,
+        accountId: post.reddit_account_id,
+        thingId: result.name,
+        text: post.auto_comment
+      });
+    } catch (error) {
+      console.error(`Auto-comment failed for ${result.name}:`, error.message);
+    }
+  }
+
+  return { status: 'posted', redditPostId: result.name, postedContentId: posted.id };
+}
+
+// Deal with posts stuck in 'posting' for longer than the lease. Ones Reddit
+// accepted (reddit_post_id saved) are recorded as posted, as of their last
+// attempt; the rest are failed, since there's no telling whether they went
+// out. Returns { recovered, failed }.
+async function recoverStalePosts({ transport, clock = systemClock, leaseMs = POSTING_LEASE_MS }) {
+  const staleBefore = new Date(clock.now().getTime() - leaseMs);
+  const stale = await db.query(`
+    SELECT * FROM scheduled_posts
+    WHERE status = 'posting' AND last_attempt_at < $1
+  `, [staleBefore]);
+
+  let recovered = 0;
+  let failed = 0;
+
+  for (const post of stale.rows) {
+    try {
+      if (post.reddit_post_id) {
+        const result = { name: post.reddit_post_id, url: post.reddit_url, permalink: post.permalink };
+        const outcome = await completePublishedPost(post, result, post.last_attempt_at, { transport });
+        if (outcome.status === 'posted') recovered++;
+        continue;
+      }
+
+      const result = await db.query(`
+        UPDATE scheduled_posts
+        SET status = 'failed', failure_code = 'interrupted', error_message = $3,
+            next_retry_at = NULL, revision = revision + 1, updated_at = NOW()
+        WHERE id = $1 AND status = 'posting' AND last_attempt_at < $2
+        RETURNING id
+      `, [post.id, staleBefore, 'Publishing was interrupted - check Reddit before retrying']);
+
+      if (result.rows.length > 0) {
+        await crossposts.cancelCrossposts([post.id], 'the original post failed');
+        failed++;
+      }
+    } catch (error) {
+      console.error(`Recovering scheduled post ${post.id} failed:`, error.message);
+    }
+  }
+
+  return { recovered, failed };
+}
+
+// Put a failed post back in the queue (manual retry). Starts a fresh set of
+// attempts; posts whose time has passed go out right away.
+async function retryFailedPost(userId, postId) {
+  const result = await db.query(`
+    UPDATE scheduled_posts
+    SET status = 'scheduled', retry_count = 0, next_retry_at = NULL,
+        failure_code = NULL, error_message = NULL, revision = revision + 1, updated_at = NOW()
+    WHERE id = $1 AND user_id = $2 AND status = 'failed'
+    RETURNING *
+  `, [postId, userId]);
+
+  const post = result.rows[0];
+  if (post) {
+    // Same as creating a post: the worker's sync covers a Redis outage
+    publishQueue.schedulePost(post).catch(err => {
+      console.error('Failed to queue retried post:', err.message);
+    });
+  }
+  return post || null;
+}
+
+module.exports = {
+  POSTING_LEASE_MS,
+  publishScheduledPost,
+  recoverStalePosts,
+  retryFailedPost,
+  loadPostDetails,
+  buildSubmission,
+  planFailure,
+  handleFailure
+};
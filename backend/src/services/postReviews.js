@@ -0,0 +1,298 @@
+const db = require('../config/database');
+const publishQueue = require('./publishQueue');
+const { prepareScheduledPost, insertScheduledPost, checkCompliance, queuePost } = require('./scheduledPosts');
+const { httpError } = require('../utils/httpError');
+
+// Review workflow for scheduled posts. A post saved as a 'draft' is submitted
+// to a reviewer ('in_review'), who approves it - it becomes 'scheduled' and is
+// queued - or rejects it with a comment, which sends it back to 'draft'.
+// Drafts and posts in review are never queued. Every step is recorded in
+// post_review_events with who took it.
+//
+// The owner reviews their own posts unless they assign someone else, which is
+// part of the agency plan (users.subscription_tier); then only that reviewer
+// can approve or reject. Editing a post in review, or the content or time of
+// an approved one, sends it back to draft.
+
+const UNAPPROVED_STATUSES = ['draft', 'in_review'];
+const REVIEWER_TIERS = ['agency'];
+// Posts that can be taken back to draft: in review, or approved but not sent
+const REOPENABLE_STATUSES = ['in_review', 'scheduled', 'paused'];
+
+function cleanComment(comment) {
+  if (comment === undefined || comment === null) return null;
+  if (typeof comment !== 'string') throw httpError('comment must be a string', 400);
+  return comment.trim() || null;
+}
+
+async function recordEvent(client, { postId, actorId, action, fromStatus, toStatus, comment = null }) {
+  await client.query(`
+    INSERT INTO post_review_events (scheduled_post_id, actor_id, action, from_status, to_status, comment)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [postId, actorId, action, fromStatus, toStatus, comment]);
+}
+
+// Move a post from one of fromStatuses to toStatus and record it, in one
+// transaction. set is extra SQL assignments ($3 onwards are setParams).
+// Returns the updated post, or null if it wasn't in one of fromStatuses.
+async function transition(post, { actorId, action, fromStatuses, toStatus, comment, set = [], setParams = [] }) {
+  return db.transaction(async (client) => {
+    const result = await client.query(`
+      UPDATE scheduled_posts
+      SET status = $2, ${[...set, 'revision = revision + 1', 'updated_at = NOW()'].join(', ')}
+      WHERE id = $1 AND status = ANY($${setParams.length + 3})
+      RETURNING *
+    `, [post.id, toStatus, ...setParams, fromStatuses]);
+
+    const updated = result.rows[0];
+    if (!updated) return null;
+
+    await recordEvent(client, { postId: post.id, actorId, action, fromStatus: post.status, toStatus, comment });
+    return updated;
+  });
+}
+
+// A post the user owns, or (asReviewer) one assigned to them for review.
+// Throws 404 otherwise. asReviewer: once a reviewer is assigned only they can
+// act, so the owner gets a 403 on a post assigned to someone else.
+async function loadPost(userId, postId, { asReviewer = false } = {}) {
+  const result = await db.query(
+    'SELECT * FROM scheduled_posts WHERE id = $1 AND (user_id = $2 OR ($3 AND reviewer_id = $2))',
+    [postId, userId, asReviewer]
+  );
+
+  const post = result.rows[0];
+  if (!post) {
+    throw httpError('Scheduled post not found', 404);
+  }
+
+  if (asReviewer && post.reviewer_id && post.reviewer_id !== userId) {
+    throw httpError('This post is assigned to another reviewer', 403);
+  }
+  return post;
+}
+
+async function findReviewer(ownerId, email) {
+  const result = await db.query(
+    'SELECT id, email FROM users WHERE email = $1',
+    [String(email).trim().toLowerCase()]
+  );
+  const reviewer = result.rows[0];
+
+  if (!reviewer) {
+    throw httpError('Reviewer not found', 400);
+  }
+
+  if (reviewer.id !== ownerId) {
+    const owner = await db.query('SELECT subscription_tier FROM users WHERE id = $1', [ownerId]);
+    if (!owner.rows[0] || !REVIEWER_TIERS.includes(owner.rows[0].subscription_tier)) {
+      throw httpError('Assigning reviewers is part of the agency plan', 403);
+    }
+  }
+
+  return reviewer;
+}
+
+// Create a post as a draft: validated like any other post, but compliance
+// errors don't stop it (they're checked again on approval) and it isn't queued.
+async function createDraft(userId, input, { shiftIfNeeded = false } = {}) {
+  const prepared = await prepareScheduledPost(userId, input, { ignoreCompliance: true, shiftIfNeeded });
+
+  return db.transaction(async (client) => {
+    const post = await insertScheduledPost(client, userId, prepared, { status: 'draft' });
+    await recordEvent(client, { postId: post.id, actorId: userId, action: 'drafted', fromStatus: null, toStatus: 'draft' });
+    return post;
+  });
+}
+
+// Send a draft for review, or hand a post in review to someone else.
+// Without reviewerEmail the owner reviews it.
+async function submitForReview(userId, postId, { reviewerEmail, comment } = {}) {
+  const post = await loadPost(userId, postId);
+
+  if (!UNAPPROVED_STATUSES.includes(post.status)) {
+    throw httpError(`Only drafts can be submitted for review (this post is ${post.status})`, 409);
+  }
+
+  const reviewer = reviewerEmail ? await findReviewer(userId, reviewerEmail) : { id: userId };
+
+  const updated = await transition(post, {
+    actorId: userId,
+    action: post.status === 'in_review' ? 'reassigned' : 'submitted',
+    fromStatuses: UNAPPROVED_STATUSES,
+    toStatus: 'in_review',
+    comment: cleanComment(comment),
+    set: ['reviewer_id = $3'],
+    setParams: [reviewer.id]
+  });
+
+  if (!updated) {
+    throw httpError('The post changed while submitting it; reload and try again', 409);
+  }
+  return updated;
+}
+
+// Approve a post in review: it's checked against the subreddit's rules again
+// (422 unless ignoreCompliance, like creating a post) and queued.
+async function approve(userId, postId, { comment, ignoreCompliance = false } = {}) {
+  const post = await loadPost(userId, postId, { asReviewer: true });
+
+  if (post.status !== 'in_review') {
+    throw httpError(`Only posts in review can be approved (this post is ${post.status})`, 409);
+  }
+
+  const { compliance } = await checkCompliance(post.user_id, post, { excludePostId: post.id });
+  if (!compliance.ok && !ignoreCompliance) {
+    throw httpError('Post breaks subreddit rules', 422, { compliance });
+  }
+
+  const issues = [...compliance.errors, ...compliance.warnings];
+  const approved = await transition(post, {
+    actorId: userId,
+    action: 'approved',
+    fromStatuses: ['in_review'],
+    toStatus: 'scheduled',
+    comment: cleanComment(comment),
+    set: [
+      'approved_by = $3',
+      'approved_at = NOW()',
+      'compliance_warnings = $4',
+      'compliance_issues = $5',
+      'compliance_overridden = $6',
+      'compliance_checked = TRUE',
+      'compliance_checked_at = NOW()'
+    ],
+    setParams: [userId, issues.map(i => i.message), JSON.stringify(issues), !compliance.ok]
+  });
+
+  if (!approved) {
+    throw httpError('The post changed while approving it; reload and try again', 409);
+  }
+
+  queuePost(approved);
+  return approved;
+}
+
+// Send a post in review back to its author as a draft. A comment is required
+// so they know what to change.
+async function reject(userId, postId, { comment } = {}) {
+  const reason = cleanComment(comment);
+  if (!reason) {
+    throw httpError('A comment is required to reject a post', 400);
+  }
+
+  const post = await loadPost(userId, postId, { asReviewer: true });
+
+  if (post.status !== 'in_review') {
+    throw httpError(`Only posts in review can be rejected (this post is ${post.status})`, 409);
+  }
+
+  const rejected = await transition(post, {
+    actorId: userId,
+    action: 'rejected',
+    fromStatuses: ['in_review'],
+    toStatus: 'draft',
+    comment: reason
+  });
+
+  if (!rejected) {
+    throw httpError('The post changed while rejecting it; reload and try again', 409);
+  }
+  return rejected;
+}
+
+// The owner takes a post in review, or an approved one that hasn't gone out
+// yet, back to draft. An approved post is taken out of the queue and needs
+// approving again.
+async function reopen(userId, postId, { comment } = {}) {
+  const post = await loadPost(userId, postId);
+
+  if (!REOPENABLE_STATUSES.includes(post.status)) {
+    throw httpError(`Only posts in review or waiting to go out can be reopened (this post is ${post.status})`, 409);
+  }
+
+  const reopened = await transition(post, {
+    actorId: userId,
+    action: 'reopened',
+    fromStatuses: REOPENABLE_STATUSES,
+    toStatus: 'draft',
+    comment: cleanComment(comment),
+    set: ['approved_by = NULL', 'approved_at = NULL']
+  });
+
+  if (!reopened) {
+    throw httpError('The post changed while reopening it; reload and try again', 409);
+  }
+
+  publishQueue.removePost(reopened).catch(err => {
+    console.error('Failed to remove queued post:', err.message);
+  });
+
+  return reopened;
+}
+
+// Posts waiting for the user's review: assigned to them, or their own posts
+// in review without a reviewer. Oldest first.
+async function listReviewQueue(userId) {
+  const result = await db.query(`
+    SELECT sp.*, s.name AS subreddit_name, ra.reddit_username, u.email AS author_email,
+           ci.filename, submitted.comment AS submit_comment, submitted.created_at AS submitted_at
+    FROM scheduled_posts sp
+    LEFT JOIN subreddits s ON sp.subreddit_id = s.id
+    LEFT JOIN reddit_accounts ra ON sp.reddit_account_id = ra.id
+    LEFT JOIN content_items ci ON sp.content_item_id = ci.id
+    LEFT JOIN users u ON sp.user_id = u.id
+    LEFT JOIN LATERAL (
+      SELECT comment, created_at FROM post_review_events
+      WHERE scheduled_post_id = sp.id AND action IN ('submitted', 'reassigned')
+      ORDER BY created_at DESC
+      LIMIT 1
+    ) submitted ON TRUE
+    WHERE sp.status = 'in_review'
+      AND (sp.reviewer_id = $1 OR (sp.user_id = $1 AND sp.reviewer_id IS NULL))
+    ORDER BY submitted.created_at ASC NULLS LAST
+  `, [userId]);
+
+  return result.rows;
+}
+
+// Workflow history of the user's posts and the posts they review, newest
+// first: who did what, when, with their comments.
+// Filters: scheduled_post_id, action, actor_id, limit (default 100, max 500).
+async function listEvents(userId, { scheduled_post_id, action, actor_id, limit } = {}) {
+  const result = await db.query(`
+    SELECT e.*, actor.email AS actor_email, sp.title, sp.status AS post_status,
+           s.name AS subreddit_name, ra.reddit_username
+    FROM post_review_events e
+    JOIN scheduled_posts sp ON e.scheduled_post_id = sp.id
+    LEFT JOIN users actor ON e.actor_id = actor.id
+    LEFT JOIN subreddits s ON sp.subreddit_id = s.id
+    LEFT JOIN reddit_accounts ra ON sp.reddit_account_id = ra.id
+    WHERE (sp.user_id = $1 OR sp.reviewer_id = $1)
+      AND ($2::uuid IS NULL OR e.scheduled_post_id = $2)
+      AND ($3::text IS NULL OR e.action = $3)
+      AND ($4::uuid IS NULL OR e.actor_id = $4)
+    ORDER BY e.created_at DESC
+    LIMIT $5
+  `, [
+    userId,
+    scheduled_post_id || null,
+    action || null,
+    actor_id || null,
+    Math.min(Math.max(parseInt(limit) || 100, 1), 500)
+  ]);
+
+  return result.rows;
+}
+
+module.exports = {
+  UNAPPROVED_STATUSES,
+  recordEvent,
+  createDraft,
+  submitForReview,
+  approve,
+  reject,
+  reopen,
+  listReviewQueue,
+  listEvents
+};
@@ -0,0 +1,105 @@
+const db = require('../config/database');
+const { systemClock } = require('./clock');
+
+// Per-subreddit posting frequency limits ("1 post per N hours"), counted per
+// account across what it has already posted (posted_content) and what is
+// still waiting to go out (scheduled_posts). Deleted and removed posts still
+// count - subreddits count submissions, not surviving posts.
+// "Now" comes from a clock (see clock.js), so the scheduler simulation can
+// count from its virtual time.
+
+const HOUR_MS = 60 * 60 * 1000;
+// Paused posts (see campaigns) keep their slot - they go out once resumed
+const PENDING_STATUSES = ['scheduled', 'paused', 'posting'];
+
+// Times an account has posted, or will post, to a subreddit. Past posts older
+// than the frequency window can't conflict with anything from now on.
+// Set pending to false for posts that have actually gone out only.
+// excludePostIds leaves out several pending posts (e.g. ones being moved).
+async function getPostTimes(accountId, subredditId, windowHours, { excludePostId = null, excludePostIds = [], pending = true, clock = systemClock } = {}) {
+  const result = await db.query(`
+    SELECT posted_at AS at
+    FROM posted_content
+    WHERE reddit_account_id = $1 AND subreddit_id = $2
+      AND posted_at > $6::timestamp - ($3 || ' hours')::interval
+    UNION ALL
+    SELECT scheduled_for AS at
+    FROM scheduled_posts
+    WHERE reddit_account_id = $1 AND subreddit_id = $2
+      AND status = ANY($4)
+      AND NOT (id = ANY($5::uuid[]))
+  `, [
+    accountId,
+    subredditId,
+    windowHours,
+    pending ? PENDING_STATUSES : [],
+    [excludePostId, ...excludePostIds].filter(Boolean),
+    clock.now()
+  ]);
+
+  return result.rows.map(row => new Date(row.at));
+}
+
+// The post time that `at` is too close to, or null
+function findConflict(times, at, windowHours) {
+  const windowMs = windowHours * HOUR_MS;
+  const target = new Date(at).getTime();
+
+  const conflict = times.find(time => Math.abs(time.getTime() - target) < windowMs);
+  return conflict || null;
+}
+
+// Earliest time at or after `from` that is at least windowHours away from
+// every existing post time
+function findNextAllowedTime(times, from, windowHours) {
+  const windowMs = windowHours * HOUR_MS;
+  let candidate = new Date(from);
+  let conflict = findConflict(times, candidate, windowHours);
+
+  while (conflict) {
+    candidate = new Date(conflict.getTime() + windowMs);
+    conflict = findConflict(times, candidate, windowHours);
+  }
+
+  return candidate;
+}
+
+// Next allowed posting time for each of a user's tracked subreddits, keyed by
+// `<reddit_account_id>:<subreddit_id>`. Pairs without a limit are left out.
+async function getNextAllowedTimes(userId, tracked, { clock = systemClock } = {}) {
+  const limited = tracked.filter(row => row.reddit_account_id && row.posting_frequency_hours);
+  if (limited.length === 0) return {};
+
+  const now = clock.now();
+  const maxWindow = Math.max(...limited.map(row => row.posting_frequency_hours));
+  const result = await db.query(`
+    SELECT reddit_account_id, subreddit_id, posted_at AS at
+    FROM posted_content
+    WHERE user_id = $1 AND posted_at > $4::timestamp - ($2 || ' hours')::interval
+    UNION ALL
+    SELECT reddit_account_id, subreddit_id, scheduled_for AS at
+    FROM scheduled_posts
+    WHERE user_id = $1 AND status = ANY($3)
+  `, [userId, maxWindow, PENDING_STATUSES, now]);
+
+  const timesByPair = {};
+  for (const row of result.rows) {
+    const key = `${row.reddit_account_id}:${row.subreddit_id}`;
+    (timesByPair[key] = timesByPair[key] || []).push(new Date(row.at));
+  }
+
+  const nextAllowed = {};
+  for (const row of limited) {
+    const key = `${row.reddit_account_id}:${row.subreddit_id}`;
+    nextAllowed[key] = findNextAllowedTime(timesByPair[key] || [], now, row.posting_frequency_hours);
+  }
+
+  return nextAllowed;
+}
+
+module.exports = {
+  getPostTimes,
+  findConflict,
+  findNextAllowedTime,
+  getNextAllowedTimes
+};
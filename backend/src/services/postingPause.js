@@ -0,0 +1,208 @@
+const db = require('../config/database');
+const publishQueue = require('./publishQueue');
+const postingFrequency = require('./postingFrequency');
+const { httpError } = require('../utils/httpError');
+
+// Pausing posting, for one Reddit account (reddit_accounts.posting_paused_at)
+// or for everything a user posts (users.posting_paused_at, the kill switch).
+// Nothing is cancelled: held posts stay 'scheduled' with their jobs, and the
+// publisher just won't claim them while either pause is on. Resuming re-spreads
+// the posts whose time passed while they were held, so they don't all go out
+// the moment posting is back on.
+
+const HOUR_MS = 60 * 60 * 1000;
+// Gap between one account's re-spread posts
+const RESUME_SPACING_MINUTES = 15;
+
+// SQL condition that's true when a scheduled post (aliased `sp`) is held
+const HELD_CONDITION = `EXISTS (
+  SELECT 1 FROM reddit_accounts ra
+  JOIN users u ON u.id = ra.user_id
+  WHERE ra.id = sp.reddit_account_id
+    AND (ra.posting_paused_at IS NOT NULL OR u.posting_paused_at IS NOT NULL)
+)`;
+
+function cleanReason(reason) {
+  if (reason === undefined || reason === null || reason === '') return null;
+  if (typeof reason !== 'string') throw httpError('reason must be a string', 400);
+  return reason.trim().slice(0, 500) || null;
+}
+
+// Why posts for an account can't go out right now, or null.
+// Returns { scope: 'user' | 'account', paused_at, reason }.
+async function getHold(userId, accountId) {
+  const result = await db.query(`
+    SELECT u.posting_paused_at AS user_paused_at, u.pause_reason AS user_reason,
+           ra.posting_paused_at AS account_paused_at, ra.pause_reason AS account_reason
+    FROM users u
+    LEFT JOIN reddit_accounts ra ON ra.id = $2 AND ra.user_id = u.id
+    WHERE u.id = $1
+  `, [userId, accountId]);
+
+  const row = result.rows[0];
+  if (!row) return null;
+
+  if (row.user_paused_at) {
+    return { scope: 'user', paused_at: row.user_paused_at, reason: row.user_reason };
+  }
+  if (row.account_paused_at) {
+    return { scope: 'account', paused_at: row.account_paused_at, reason: row.account_reason };
+  }
+  return null;
+}
+
+// Human-readable version of a hold, for error messages and reports
+function describeHold(hold, username) {
+  const what = hold.scope === 'user' ? 'All posting is paused' : `Posting is paused for u/${username}`;
+  return hold.reason ? `${what}: ${hold.reason}` : what;
+}
+
+async function getPauseState(userId) {
+  const result = await db.query(
+    'SELECT posting_paused_at, pause_reason FROM users WHERE id = $1',
+    [userId]
+  );
+  const row = result.rows[0] || {};
+
+  return {
+    paused: Boolean(row.posting_paused_at),
+    paused_at: row.posting_paused_at || null,
+    reason: row.pause_reason || null
+  };
+}
+
+// Give held posts whose time has passed new times, from now on:
+// RESUME_SPACING_MINUTES apart per account, in their original order, and
+// within each subreddit's posting frequency. Posts that are still held (the
+// other pause is on) are left alone. Every affected post is re-queued.
+// accountId or campaignId limit it to one account's or campaign's posts.
+// Returns the number of posts moved.
+async function respreadHeldPosts(userId, { accountId = null, campaignId = null } = {}) {
+  const result = await db.query(`
+    SELECT sp.*, s.posting_frequency_hours
+    FROM scheduled_posts sp
+    LEFT JOIN subreddits s ON sp.subreddit_id = s.id
+    WHERE sp.user_id = $1
+      AND sp.status = 'scheduled'
+      AND COALESCE(sp.next_retry_at, sp.scheduled_for) <= NOW()
+      AND ($2::uuid IS NULL OR sp.reddit_account_id = $2)
+      AND ($3::uuid IS NULL OR sp.campaign_id = $3)
+      AND NOT ${HELD_CONDITION}
+    ORDER BY COALESCE(sp.next_retry_at, sp.scheduled_for) ASC
+  `, [userId, accountId, campaignId]);
+
+  const overdue = result.rows;
+  const overdueIds = overdue.map(post => post.id);
+  const spacingHours = RESUME_SPACING_MINUTES / 60;
+  const now = new Date();
+
+  const accountTimes = new Map();
+  const pairTimes = new Map();
+
+  for (const post of overdue) {
+    const times = accountTimes.get(post.reddit_account_id) || [];
+    accountTimes.set(post.reddit_account_id, times);
+
+    const hours = post.posting_frequency_hours;
+    const pairKey = `${post.reddit_account_id}:${post.subreddit_id}`;
+    if (hours && !pairTimes.has(pairKey)) {
+      pairTimes.set(pairKey, await postingFrequency.getPostTimes(
+        post.reddit_account_id, post.subreddit_id, hours, { excludePostIds: overdueIds }
+      ));
+    }
+
+    // Earliest time that clears both the subreddit's frequency and the
+    // account's other re-spread posts
+    let at = now;
+    for (;;) {
+      if (hours) at = postingFrequency.findNextAllowedTime(pairTimes.get(pairKey), at, hours);
+      const clash = postingFrequency.findConflict(times, at, spacingHours);
+      if (!clash) break;
+      at = new Date(clash.getTime() + spacingHours * HOUR_MS);
+    }
+
+    times.push(at);
+    if (hours) pairTimes.get(pairKey).push(at);
+
+    // A post waiting for a retry keeps its original time
+    const moved = await db.query(`
+      UPDATE scheduled_posts
+      SET scheduled_for = CASE WHEN next_retry_at IS NULL THEN $2 ELSE scheduled_for END,
+          next_retry_at = CASE WHEN next_retry_at IS NULL THEN NULL ELSE $2 END,
+          revision = revision + 1, updated_at = NOW()
+      WHERE id = $1 AND status = 'scheduled'
+      RETURNING *
+    `, [post.id, at]);
+
+    if (moved.rows[0]) {
+      await publishQueue.schedulePost(moved.rows[0]).catch(err => {
+        console.error('Failed to queue re-spread post:', err.message);
+      });
+    }
+  }
+
+  return overdue.length;
+}
+
+// Pause or resume one account. Returns the account's pause fields (plus
+// `rescheduled`, the number of held posts given new times, on resume), or
+// null if the account isn't the user's.
+async function pauseAccount(userId, accountId, { reason } = {}) {
+  const result = await db.query(`
+    UPDATE reddit_accounts
+    SET posting_paused_at = COALESCE(posting_paused_at, NOW()), pause_reason = $3, updated_at = NOW()
+    WHERE id = $1 AND user_id = $2
+    RETURNING id, reddit_username, posting_paused_at, pause_reason
+  `, [accountId, userId, cleanReason(reason)]);
+
+  return result.rows[0] || null;
+}
+
+async function resumeAccount(userId, accountId) {
+  const result = await db.query(`
+    UPDATE reddit_accounts
+    SET posting_paused_at = NULL, pause_reason = NULL, updated_at = NOW()
+    WHERE id = $1 AND user_id = $2
+    RETURNING id, reddit_username, posting_paused_at, pause_reason
+  `, [accountId, userId]);
+
+  const account = result.rows[0];
+  if (!account) return null;
+
+  return { ...account, rescheduled: await respreadHeldPosts(userId, { accountId }) };
+}
+
+// The kill switch: hold every post of every account of the user
+async function pauseAll(userId, { reason } = {}) {
+  await db.query(`
+    UPDATE users
+    SET posting_paused_at = COALESCE(posting_paused_at, NOW()), pause_reason = $2, updated_at = NOW()
+    WHERE id = $1
+  `, [userId, cleanReason(reason)]);
+
+  return getPauseState(userId);
+}
+
+// Accounts paused on their own stay paused
+async function resumeAll(userId) {
+  await db.query(`
+    UPDATE users
+    SET posting_paused_at = NULL, pause_reason = NULL, updated_at = NOW()
+    WHERE id = $1
+  `, [userId]);
+
+  return { ...await getPauseState(userId), rescheduled: await respreadHeldPosts(userId) };
+}
+
+module.exports = {
+  HELD_CONDITION,
+  RESUME_SPACING_MINUTES,
+  getHold,
+  describeHold,
+  getPauseState,
+  respreadHeldPosts,
+  pauseAccount,
+  resumeAccount,
+  pauseAll,
+  resumeAll
+};
@@ -0,0 +1,64 @@
+// Reddit's public JSON endpoints, logged out - what any visitor sees.
+// The server-side counterpart of the frontend's src/lib/publicRedditClient.js.
+// Comparing this view with the posting account's own (RedditTransport) shows
+// removals the author can't see, like the spam filter's.
+
+const BASE_URL = 'https://www.reddit.com';
+// Be polite: one request a second
+const REQUEST_DELAY_MS = 1000;
+
+class PublicRedditClient {
+  constructor() {
+    this.lastRequestTime = 0;
+  }
+
+  async waitForRateLimit() {
+    const wait = this.lastRequestTime + REQUEST_DELAY_MS - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    this.lastRequestTime = Date.now();
+  }
+
+  // Errors carry statusCode so publishErrors can classify them
+  async fetchRedditJson(path) {
+    await this.waitForRateLimit();
+
+    const response = await fetch(`${BASE_URL}${path}`, {
+      headers: { 'User-Agent': process.env.REDDIT_USER_AGENT || 'CreatorPlatform/1.0' }
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Reddit public API error: ${response.status}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  // A post (by fullname) as logged-out visitors see it.
+  // Returns { found, removedByCategory, removed, deleted }. found is false
+  // when Reddit doesn't list the post at all for visitors.
+  async getPost(thingId) {
+    const fullname = thingId.startsWith('t3_') ? thingId : `t3_${thingId}`;
+    const data = await this.fetchRedditJson(`/by_id/${fullname}.json`);
+    const children = (data.data && data.data.children) || [];
+
+    if (children.length === 0) {
+      return { found: false, removedByCategory: null, removed: true, deleted: false };
+    }
+
+    const post = children[0].data;
+    const deleted = post.author === '[deleted]' && post.removed_by_category !== 'moderator';
+
+    return {
+      found: true,
+      removedByCategory: post.removed_by_category || null,
+      removed: Boolean(post.removed_by_category) || post.selftext === '[removed]' || post.is_robot_indexable === false,
+      deleted
+    };
+  }
+}
+
+module.exports = new PublicRedditClient();
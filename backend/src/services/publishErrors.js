@@ -0,0 +1,105 @@
+// Sorts publishing failures into retryable (try again later) and permanent
+// (retrying won't help, the user has to change something).
+
+// Reddit API error codes (from `json.errors`) that will fail the same way every time
+const PERMANENT_REDDIT_ERRORS = {
+  SUBREDDIT_NOTALLOWED: 'This account is not allowed to post in the subreddit (banned or approved users only)',
+  SUBREDDIT_NOEXIST: 'The subreddit does not exist',
+  SUBMIT_VALIDATION_FLAIR_REQUIRED: 'The subreddit requires a post flair',
+  SUBMIT_VALIDATION_TITLE_REQUIREMENT: 'The title does not meet the subreddit\'s title requirements',
+  SUBMIT_VALIDATION_BODY_NOT_ALLOWED: 'The subreddit does not allow text in posts',
+  SUBMIT_VALIDATION_LINK_WHITELIST: 'The subreddit does not allow links to this domain',
+  NO_LINKS: 'The subreddit only allows text posts',
+  NO_SELFS: 'The subreddit does not allow text posts',
+  TOO_LONG: 'The title is too long',
+  NO_TEXT: 'The title is missing',
+  BAD_URL: 'The media URL is not valid',
+  ALREADY_SUB: 'This link has already been submitted to the subreddit',
+  INVALID_FLAIR_TEMPLATE_ID: 'The selected flair no longer exists',
+  USER_REQUIRED: 'The account is not logged in',
+  OVER18_SUBREDDIT: 'The account can\'t post to NSFW subreddits'
+};
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ESOCKETTIMEDOUT'];
+
+function getStatusCode(error) {
+  return error.statusCode || error.status || (error.response && error.response.statusCode) || null;
+}
+
+// snoowrap reports API errors as "API Error: CODE - message"
+function getRedditErrorCode(error) {
+  const match = /API Error: ([A-Z0-9_]+)/.exec(error.message || '');
+  if (match) return match[1];
+
+  const bare = /^([A-Z][A-Z0-9_]{3,})\b/.exec(error.message || '');
+  return bare ? bare[1] : null;
+}
+
+// "you are doing that too much. try again in 9 minutes." -> 540000
+function parseRateLimitDelay(message) {
+  const match = /try again in (\d+) (second|minute|hour)s?/i.exec(message || '');
+  if (!match) return null;
+
+  const unit = { second: 1000, minute: 60 * 1000, hour: 60 * 60 * 1000 }[match[2].toLowerCase()];
+  return parseInt(match[1]) * unit;
+}
+
+// Returns { retryable, code, reason, retryAfterMs }
+function classifyPublishError(error) {
+  const message = error.message || String(error);
+  const status = getStatusCode(error);
+  const redditCode = getRedditErrorCode(error);
+
+  if (error.code === 'needs_reauth') {
+    return { retryable: false, code: 'needs_reauth', reason: 'The Reddit account needs to be reconnected' };
+  }
+
+  if (redditCode === 'RATELIMIT' || status === 429) {
+    return {
+      retryable: true,
+      code: 'rate_limited',
+      reason: 'Reddit rate limit hit',
+      retryAfterMs: parseRateLimitDelay(message)
+    };
+  }
+
+  if (/banned from/i.test(message)) {
+    return { retryable: false, code: 'banned', reason: 'This account is banned from the subreddit' };
+  }
+
+  if (redditCode && PERMANENT_REDDIT_ERRORS[redditCode]) {
+    return { retryable: false, code: redditCode.toLowerCase(), reason: PERMANENT_REDDIT_ERRORS[redditCode] };
+  }
+
+  if (status >= 500 || RETRYABLE_NETWORK_CODES.includes(error.code)) {
+    return { retryable: true, code: status ? 'reddit_unavailable' : 'network_error', reason: `Reddit could not be reached (${status || error.code})` };
+  }
+
+  if (status === 403) {
+    return { retryable: false, code: 'forbidden', reason: 'Reddit refused the post (the account may be banned or suspended)' };
+  }
+
+  if (status === 404) {
+    return { retryable: false, code: 'not_found', reason: 'The subreddit was not found (it may be private or banned)' };
+  }
+
+  if (redditCode) {
+    return { retryable: false, code: redditCode.toLowerCase(), reason: message };
+  }
+
+  // Unknown errors are most likely our own bugs or bad data - don't hammer Reddit
+  return { retryable: false, code: 'unknown', reason: message };
+}
+
+// Exponential backoff: 2, 4, 8... minutes, capped at an hour, plus up to 20% jitter
+function getRetryDelay(retryCount, { baseMs = 2 * 60 * 1000, maxMs = 60 * 60 * 1000, minMs = 0 } = {}) {
+  const exponential = Math.min(maxMs, baseMs * Math.pow(2, retryCount));
+  const jitter = exponential * 0.2 * Math.random();
+  return Math.max(minMs, Math.round(exponential + jitter));
+}
+
+module.exports = {
+  classifyPublishError,
+  getRetryDelay,
+  parseRateLimitDelay
+};
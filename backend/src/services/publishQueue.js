@@ -0,0 +1,98 @@
+const Queue = require('bull');
+const db = require('../config/database');
+
+// Bull queue of delayed "publish this scheduled post" jobs.
+// Job ids are `<post id>:<retry_count>`, so a post has at most one pending job
+// per attempt and a retry can be queued while the failed attempt's job is
+// still running. The database stays the source of truth: the worker re-syncs
+// on startup and periodically.
+
+const QUEUE_NAME = 'scheduled-posts';
+
+let queue = null;
+
+function getQueue() {
+  if (!queue) {
+    queue = new Queue(QUEUE_NAME, process.env.REDIS_URL || 'redis://localhost:6379');
+  }
+  return queue;
+}
+
+function getJobId(post) {
+  return `${post.id}:${post.retry_count || 0}`;
+}
+
+// Remove a post's pending job. Jobs that are already running are left alone;
+// the publisher re-checks the post's status before doing anything.
+async function removePost(post) {
+  const job = await getQueue().getJob(getJobId(post));
+  if (!job) return false;
+
+  const state = await job.getState();
+  if (state === 'active') return false;
+
+  await job.remove();
+  return true;
+}
+
+// Add (or move) the job for a post so it runs at scheduled_for
+// (or next_retry_at when a failed attempt is waiting to be retried)
+async function schedulePost(post) {
+  await removePost(post);
+
+  const runAt = post.next_retry_at || post.scheduled_for;
+  const delay = Math.max(0, new Date(runAt).getTime() - Date.now());
+
+  return getQueue().add(
+    { scheduledPostId: post.id },
+    {
+      jobId: getJobId(post),
+      delay,
+      removeOnComplete: true,
+      removeOnFail: true
+    }
+  );
+}
+
+// Enqueue every scheduled post that doesn't have a job yet
+// (e.g. created while Redis was down). Returns the number of jobs added.
+// Posts of paused accounts or users are left out; resuming queues them.
+async function syncScheduledPosts() {
+  const result = await db.query(`
+    SELECT sp.id, sp.scheduled_for, sp.next_retry_at, sp.retry_count
+    FROM scheduled_posts sp
+    LEFT JOIN reddit_accounts ra ON ra.id = sp.reddit_account_id
+    LEFT JOIN users u ON u.id = ra.user_id
+    WHERE sp.status = 'scheduled'
+      AND ra.posting_paused_at IS NULL
+      AND u.posting_paused_at IS NULL
+  `);
+
+  let added = 0;
+  for (const post of result.rows) {
+    const job = await getQueue().getJob(getJobId(post));
+    if (!job) {
+      await schedulePost(post);
+      added++;
+    }
+  }
+
+  return added;
+}
+
+async function close() {
+  if (queue) {
+    await queue.close();
+    queue = null;
+  }
+}
+
+module.exports = {
+  QUEUE_NAME,
+  getQueue,
+  getJobId,
+  schedulePost,
+  removePost,
+  syncScheduledPosts,
+  close
+};
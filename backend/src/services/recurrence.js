@@ -0,0 +1,203 @@
+const { zonedTimeToUtc, getZonedParts } = require('./timezone');
+
+// RFC 5545 recurrence rules (the RRULE part only), expanded in local time so
+// "every Tuesday at 20:00" stays at 20:00 across DST changes.
+//
+// Supported: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, COUNT, UNTIL, BYDAY
+// (MO..SU; with an ordinal like 1MO or -1FR for MONTHLY), BYMONTHDAY,
+// BYHOUR, BYMINUTE. Weeks start on Monday.
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function ruleError(message) {
+  const error = new Error(`Invalid recurrence rule: ${message}`);
+  error.code = 'invalid_rrule';
+  return error;
+}
+
+function parseIntList(value, name, min, max) {
+  return value.split(',').map(part => {
+    const n = parseInt(part, 10);
+    if (isNaN(n) || String(n) !== part.replace(/^\+/, '') || n < min || n > max || (n === 0 && min < 0)) {
+      throw ruleError(`${name} value "${part}"`);
+    }
+    return n;
+  });
+}
+
+function parseUntil(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (!match) throw ruleError(`UNTIL value "${value}"`);
+
+  const [, y, mo, d, h = '23', mi = '59', s = '59'] = match;
+  return new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+}
+
+// 'FREQ=WEEKLY;BYDAY=TU,FR;BYHOUR=20' (with or without a leading 'RRULE:')
+// -> { freq, interval, count, until, byDay, byMonthDay, byHour, byMinute }
+function parseRule(text) {
+  if (!text || typeof text !== 'string') throw ruleError('rule is required');
+
+  const rule = { interval: 1, count: null, until: null, byDay: null, byMonthDay: null, byHour: null, byMinute: null };
+
+  for (const part of text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!value) throw ruleError(`"${part}"`);
+
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value.toUpperCase())) throw ruleError(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = parseIntList(value, 'INTERVAL', 1, 1000)[0];
+        break;
+      case 'COUNT':
+        rule.count = parseIntList(value, 'COUNT', 1, 10000)[0];
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map(entry => {
+          const match = entry.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match) throw ruleError(`BYDAY value "${entry}"`);
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal: match[1] ? parseInt(match[1], 10) : null };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntList(value, 'BYMONTHDAY', -31, 31);
+        break;
+      case 'BYHOUR':
+        rule.byHour = parseIntList(value, 'BYHOUR', 0, 23);
+        break;
+      case 'BYMINUTE':
+        rule.byMinute = parseIntList(value, 'BYMINUTE', 0, 59);
+        break;
+      case 'WKST':
+        break;
+      default:
+        throw ruleError(`${key} is not supported`);
+    }
+  }
+
+  if (!rule.freq) throw ruleError('FREQ is required');
+  if (rule.count && rule.until) throw ruleError('COUNT and UNTIL cannot both be set');
+  if (rule.freq !== 'MONTHLY' && rule.byDay && rule.byDay.some(d => d.ordinal !== null)) {
+    throw ruleError('BYDAY ordinals (e.g. 1MO) only work with FREQ=MONTHLY');
+  }
+
+  return rule;
+}
+
+// Calendar helpers on { year, month, day } with month 1-12, no time zone involved
+function dayNumber({ year, month, day }) {
+  return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+function fromDayNumber(n) {
+  const date = new Date(n * DAY_MS);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), weekday: date.getUTCDay() };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Does a calendar day belong to the rule, given the series start day?
+function matchesDay(rule, date, start) {
+  if (rule.freq === 'DAILY') {
+    if ((dayNumber(date) - dayNumber(start)) % rule.interval !== 0) return false;
+    return !rule.byDay || rule.byDay.some(d => d.weekday === date.weekday);
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    // Monday-based week numbers
+    const week = n => Math.floor((n - 4) / 7);
+    if ((week(dayNumber(date)) - week(dayNumber(start))) % rule.interval !== 0) return false;
+
+    const byDay = rule.byDay || [{ weekday: start.weekday }];
+    return byDay.some(d => d.weekday === date.weekday);
+  }
+
+  // MONTHLY
+  const months = (date.year - start.year) * 12 + (date.month - start.month);
+  if (months % rule.interval !== 0) return false;
+
+  const lastDay = daysInMonth(date.year, date.month);
+
+  if (rule.byDay) {
+    const dayMatches = rule.byDay.some(d => {
+      if (d.weekday !== date.weekday) return false;
+      if (d.ordinal === null) return true;
+
+      const fromStart = Math.floor((date.day - 1) / 7) + 1;
+      const fromEnd = -(Math.floor((lastDay - date.day) / 7) + 1);
+      return d.ordinal === fromStart || d.ordinal === fromEnd;
+    });
+    if (!dayMatches) return false;
+    if (!rule.byMonthDay) return true;
+  }
+
+  const monthDays = rule.byMonthDay || (rule.byDay ? null : [start.day]);
+  return !monthDays || monthDays.some(d => (d > 0 ? d : lastDay + d + 1) === date.day);
+}
+
+// Occurrences of a rule as UTC Dates, in order, between `from` (default: the
+// series start) and `until` (exclusive). start is the first occurrence; its
+// local time supplies the default hour and minute. COUNT is counted from start.
+function expand(ruleText, { start, timeZone, from = start, until, limit = 1000 }) {
+  const rule = typeof ruleText === 'string' ? parseRule(ruleText) : ruleText;
+  const local = getZonedParts(start, timeZone);
+  const startDay = { ...local, weekday: fromDayNumber(dayNumber(local)).weekday };
+
+  const hours = (rule.byHour || [local.hour]).slice().sort((a, b) => a - b);
+  const minutes = (rule.byMinute || [local.minute]).slice().sort((a, b) => a - b);
+  const end = rule.until && rule.until < until ? new Date(rule.until.getTime() + 1) : until;
+
+  const occurrences = [];
+  let seen = 0;
+  // One day of slack either side for zones ahead of/behind UTC
+  const lastDay = Math.floor(end.getTime() / DAY_MS) + 1;
+
+  for (let n = dayNumber(startDay); n <= lastDay; n++) {
+    const date = fromDayNumber(n);
+    if (!matchesDay(rule, date, startDay)) continue;
+
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const at = zonedTimeToUtc({ year: date.year, month: date.month, day: date.day, hour, minute }, timeZone);
+        if (at < start) continue;
+        if (at >= end) return occurrences;
+
+        seen++;
+        if (rule.count && seen > rule.count) return occurrences;
+        if (at < from) continue;
+
+        occurrences.push(at);
+        if (occurrences.length >= limit) return occurrences;
+      }
+    }
+  }
+
+  return occurrences;
+}
+
+// The rule for the rest of a series from `from` (one of its occurrences) on,
+// e.g. when a series is split in two: a COUNT is lowered to the occurrences
+// still to come. Other rules are returned as they are.
+function remainingRule(ruleText, { start, timeZone, from }) {
+  const rule = parseRule(ruleText);
+  if (!rule.count) return ruleText;
+
+  const before = expand(rule, { start, timeZone, until: from, limit: rule.count }).length;
+  return ruleText.replace(/COUNT=\d+/i, `COUNT=${Math.max(rule.count - before, 1)}`);
+}
+
+module.exports = {
+  parseRule,
+  expand,
+  remainingRule
+};
@@ -0,0 +1,426 @@
+const db = require('../config/database');
+const publishQueue = require('./publishQueue');
+const recurrence = require('./recurrence');
+const crossposts = require('./crossposts');
+const { createScheduledPost, parseScheduleInput, validateAutoDelete, assertReferences } = require('./scheduledPosts');
+const { isValidTimezone, getUserTimezone } = require('./timezone');
+const { httpError } = require('../utils/httpError');
+
+// Recurring schedules: an RRULE plus a post template, expanded into concrete
+// scheduled_posts `window_days` ahead. Generated posts go through
+// createScheduledPost like any other post, and remember their occurrence so
+// each one is generated once - a cancelled or individually edited occurrence
+// is never recreated.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_WINDOW_DAYS = 90;
+
+// Fields copied from a schedule onto each generated post
+const TEMPLATE_FIELDS = [
+  'reddit_account_id', 'subreddit_id', 'title', 'body', 'post_type', 'flair_id', 'flair_text',
+  'auto_comment', 'auto_delete_hours', 'auto_delete_if_below_upvotes'
+];
+
+// Fields that can be set on create or changed by an edit
+const EDITABLE_FIELDS = [
+  ...TEMPLATE_FIELDS, 'content_item_id', 'content_tag', 'rrule', 'starts_at', 'timezone', 'window_days'
+];
+
+// Check a complete schedule definition, including that its account and
+// content item are the user's. starts_at may be wall-clock time in its
+// timezone. Returns the definition with starts_at as a UTC Date.
+async function validateDefinition(userId, definition) {
+  const { reddit_account_id, subreddit_id, title, rrule, starts_at, timezone, window_days } = definition;
+
+  if (!reddit_account_id || !subreddit_id || !title || !rrule || !starts_at) {
+    throw httpError('Missing required fields', 400);
+  }
+
+  try {
+    recurrence.parseRule(rrule);
+  } catch (error) {
+    throw httpError(error.message, 400);
+  }
+
+  if (!isValidTimezone(timezone)) {
+    throw httpError(`Unknown timezone "${timezone}"`, 400);
+  }
+
+  const start = parseScheduleInput(starts_at, timezone);
+  if (start.error) {
+    throw httpError(start.error, 400);
+  }
+
+  const autoDeleteError = validateAutoDelete(definition);
+  if (autoDeleteError) {
+    throw httpError(autoDeleteError, 400);
+  }
+
+  if (window_days !== undefined && window_days !== null &&
+      (!Number.isInteger(window_days) || window_days < 1 || window_days > MAX_WINDOW_DAYS)) {
+    throw httpError(`window_days must be between 1 and ${MAX_WINDOW_DAYS}`, 400);
+  }
+
+  await assertReferences(userId, definition);
+
+  return { ...definition, starts_at: start.scheduledFor };
+}
+
+function pick(source, fields) {
+  const result = {};
+  for (const field of fields) {
+    if (source[field] !== undefined) result[field] = source[field];
+  }
+  return result;
+}
+
+async function insertSchedule(client, userId, definition) {
+  const values = pick(definition, EDITABLE_FIELDS);
+  const columns = Object.keys(values);
+  const placeholders = columns.map((_, i) => `$${i + 2}`);
+
+  const result = await client.query(`
+    INSERT INTO recurring_schedules (user_id, ${columns.join(', ')})
+    VALUES ($1, ${placeholders.join(', ')})
+    RETURNING *
+  `, [userId, ...columns.map(column => values[column])]);
+
+  return result.rows[0];
+}
+
+async function getSchedule(userId, scheduleId) {
+  const result = await db.query(
+    'SELECT * FROM recurring_schedules WHERE id = $1 AND user_id = $2',
+    [scheduleId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Content for one occurrence: the schedule's fixed item, or the least used
+// item with its tag that's ready to post, plus its newest live upload.
+// Returns { content_item_id, media_upload_id }.
+async function pickContent(schedule, occurrenceAt) {
+  if (!schedule.content_item_id && !schedule.content_tag) {
+    return { content_item_id: null, media_upload_id: null };
+  }
+
+  const isText = schedule.post_type === 'text';
+
+  const result = await db.query(`
+    SELECT ci.id AS content_item_id, mu.id AS media_upload_id
+    FROM content_items ci
+    LEFT JOIN LATERAL (
+      SELECT id FROM media_uploads
+      WHERE content_item_id = ci.id AND is_deleted = FALSE
+        AND (expires_at IS NULL OR expires_at > $4)
+      ORDER BY created_at DESC
+      LIMIT 1
+    ) mu ON TRUE
+    WHERE ci.user_id = $1
+      AND (
+        ci.id = $2
+        OR ($2::uuid IS NULL AND ($3 = ANY(ci.content_tags) OR $3 = ANY(ci.custom_tags) OR $3 = ANY(ci.niche_tags)))
+      )
+      AND COALESCE(ci.status, 'fresh') != 'retired'
+      AND (ci.cooling_until IS NULL OR ci.cooling_until <= $4)
+      AND (ci.max_uses IS NULL OR ci.times_posted < ci.max_uses)
+      AND ($5 OR mu.id IS NOT NULL)
+    ORDER BY
+      (SELECT COUNT(*) FROM scheduled_posts sp WHERE sp.content_item_id = ci.id AND sp.status = 'scheduled') ASC,
+      ci.last_posted_at ASC NULLS FIRST
+    LIMIT 1
+  `, [schedule.user_id, schedule.content_item_id, schedule.content_tag, occurrenceAt, isText]);
+
+  if (result.rows.length === 0) {
+    throw new Error(schedule.content_item_id
+      ? 'The content item is not available (retired, cooling down, used up or not uploaded)'
+      : `No content tagged "${schedule.content_tag}" is ready to post`);
+  }
+
+  return result.rows[0];
+}
+
+// Occurrences from `from` up to `until` (or the schedule's end) that don't
+// have a post yet
+async function missingOccurrences(schedule, { from, until }) {
+  if (schedule.ends_at && new Date(schedule.ends_at) < until) {
+    until = new Date(schedule.ends_at);
+  }
+
+  const occurrences = recurrence.expand(schedule.rrule, {
+    start: new Date(schedule.starts_at),
+    timeZone: schedule.timezone,
+    from,
+    until
+  });
+
+  const existing = await db.query(
+    'SELECT occurrence_at FROM scheduled_posts WHERE recurring_schedule_id = $1 AND occurrence_at >= $2',
+    [schedule.id, from]
+  );
+  const taken = new Set(existing.rows.map(row => new Date(row.occurrence_at).getTime()));
+
+  return occurrences.filter(at => !taken.has(at.getTime()));
+}
+
+// The post input for one occurrence: the schedule's template plus the content
+// picked for it. Throws if no content is ready.
+async function buildOccurrencePost(schedule, occurrenceAt) {
+  const content = await pickContent(schedule, occurrenceAt);
+
+  return {
+    ...pick(schedule, TEMPLATE_FIELDS),
+    ...content,
+    scheduled_for: occurrenceAt,
+    timezone: schedule.timezone
+  };
+}
+
+// Create the posts for every occurrence in the schedule's window that doesn't
+// have one yet. Occurrences that can't be created (no content, breaks the
+// subreddit's rules) are reported and tried again on the next run.
+// Returns { created, errors }.
+async function generatePosts(schedule, { now = new Date() } = {}) {
+  if (schedule.status !== 'active') {
+    return { created: [], errors: [] };
+  }
+
+  const occurrences = await missingOccurrences(schedule, {
+    from: now,
+    until: new Date(now.getTime() + (schedule.window_days || 14) * DAY_MS)
+  });
+
+  const created = [];
+  const errors = [];
+
+  for (const occurrenceAt of occurrences) {
+    try {
+      const post = await createScheduledPost(schedule.user_id, await buildOccurrencePost(schedule, occurrenceAt), {
+        recurrence: { scheduleId: schedule.id, occurrenceAt }
+      });
+      created.push(post);
+    } catch (error) {
+      // Generated concurrently by another run
+      if (error.code === '23505') continue;
+
+      errors.push({
+        occurrence_at: occurrenceAt,
+        error: error.message,
+        compliance: error.compliance || null
+      });
+    }
+  }
+
+  await db.query(`
+    UPDATE recurring_schedules
+    SET last_generated_at = NOW(), generation_errors = $2
+    WHERE id = $1
+  `, [schedule.id, JSON.stringify(errors)]);
+
+  return { created, errors };
+}
+
+// Run generation for every active schedule (the worker does this periodically)
+async function generateAll() {
+  const result = await db.query("SELECT * FROM recurring_schedules WHERE status = 'active'");
+
+  let created = 0;
+  for (const schedule of result.rows) {
+    try {
+      created += (await generatePosts(schedule)).created.length;
+    } catch (error) {
+      console.error(`Generating posts for recurring schedule ${schedule.id} failed:`, error.message);
+    }
+  }
+
+  return created;
+}
+
+// Delete a schedule's generated posts that haven't gone out yet, from an
+// occurrence onwards, so they can be regenerated. Individually edited posts
+// are kept unless includeExceptions is set. Crossposts of the removed posts
+// are cancelled.
+async function removePendingPosts(client, scheduleId, from, { includeExceptions = false } = {}) {
+  const pending = await client.query(`
+    SELECT id FROM scheduled_posts
+    WHERE recurring_schedule_id = $1
+      AND status = 'scheduled'
+      AND occurrence_at >= $2
+      AND ($3 OR is_exception = FALSE)
+  `, [scheduleId, from, includeExceptions]);
+  const ids = pending.rows.map(row => row.id);
+
+  await crossposts.cancelCrossposts(ids, 'the original post was replaced by an edit to its recurring schedule', client);
+
+  const result = await client.query(
+    'DELETE FROM scheduled_posts WHERE id = ANY($1) RETURNING *',
+    [ids]
+  );
+
+  return result.rows;
+}
+
+function dequeue(posts) {
+  for (const post of posts) {
+    publishQueue.removePost(post).catch(err => {
+      console.error('Failed to remove queued post:', err.message);
+    });
+  }
+}
+
+// Create a schedule and generate its first posts.
+// Returns { schedule, created, errors }.
+async function createSchedule(userId, input) {
+  const definition = await validateDefinition(userId, {
+    ...input,
+    timezone: input.timezone || await getUserTimezone(userId)
+  });
+
+  const schedule = await insertSchedule(db, userId, definition);
+  const generated = await generatePosts(schedule);
+
+  return { schedule, ...generated };
+}
+
+// Edit a series.
+// - scope 'all': change the schedule itself; upcoming generated posts are
+//   regenerated (posts edited on their own keep their edits)
+// - scope 'following': end the series at the given post's occurrence and
+//   start a new series from there with the changes (this replaces any
+//   individually edited posts from that point on too); a COUNT covers only the
+//   occurrences that were left, unless a new rrule is given
+// ("This one" is a normal edit of the post: PATCH /api/schedule/:id.)
+// Returns { schedule, created, errors }.
+async function updateSchedule(userId, scheduleId, changes, { scope = 'all', postId = null } = {}) {
+  const schedule = await getSchedule(userId, scheduleId);
+  if (!schedule) {
+    throw httpError('Recurring schedule not found', 404);
+  }
+
+  if (schedule.status === 'ended') {
+    throw httpError('This recurring schedule has ended', 409);
+  }
+
+  const updates = pick(changes, EDITABLE_FIELDS);
+  if (Object.keys(updates).length === 0) {
+    throw httpError('No fields to update', 400);
+  }
+
+  const now = new Date();
+
+  if (scope === 'all') {
+    const definition = await validateDefinition(userId, { ...schedule, ...updates });
+    const values = pick(definition, Object.keys(updates));
+
+    const { updated, removed } = await db.transaction(async (client) => {
+      const columns = Object.keys(values);
+      const result = await client.query(`
+        UPDATE recurring_schedules
+        SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [scheduleId, ...columns.map(column => values[column])]);
+
+      return {
+        updated: result.rows[0],
+        removed: await removePendingPosts(client, scheduleId, now)
+      };
+    });
+
+    dequeue(removed);
+    return { schedule: updated, ...(await generatePosts(updated, { now })) };
+  }
+
+  if (scope === 'following') {
+    const post = await db.query(
+      'SELECT occurrence_at FROM scheduled_posts WHERE id = $1 AND recurring_schedule_id = $2',
+      [postId, scheduleId]
+    );
+    if (post.rows.length === 0) {
+      throw httpError('post_id must be a post generated by this schedule', 400);
+    }
+
+    // The new series carries on the old one's COUNT rather than starting it over
+    const splitAt = new Date(post.rows[0].occurrence_at);
+    const rrule = recurrence.remainingRule(schedule.rrule, {
+      start: new Date(schedule.starts_at),
+      timeZone: schedule.timezone,
+      from: splitAt
+    });
+    const definition = await validateDefinition(userId, {
+      ...pick(schedule, EDITABLE_FIELDS),
+      rrule,
+      starts_at: splitAt,
+      ...updates
+    });
+
+    const { next, removed } = await db.transaction(async (client) => {
+      await client.query(
+        'UPDATE recurring_schedules SET ends_at = $2, updated_at = NOW() WHERE id = $1',
+        [scheduleId, splitAt]
+      );
+
+      return {
+        next: await insertSchedule(client, userId, definition),
+        removed: await removePendingPosts(client, scheduleId, splitAt, { includeExceptions: true })
+      };
+    });
+
+    dequeue(removed);
+    return { schedule: next, ...(await generatePosts(next, { now })) };
+  }
+
+  throw httpError("scope must be 'all' or 'following'", 400);
+}
+
+// Stop a series and cancel its posts that haven't gone out yet
+async function endSchedule(userId, scheduleId) {
+  const result = await db.query(`
+    UPDATE recurring_schedules
+    SET status = 'ended', ends_at = LEAST(ends_at, NOW()), updated_at = NOW()
+    WHERE id = $1 AND user_id = $2
+    RETURNING *
+  `, [scheduleId, userId]);
+
+  if (result.rows.length === 0) return null;
+
+  const cancelled = await db.query(`
+    UPDATE scheduled_posts
+    SET status = 'cancelled', revision = revision + 1, updated_at = NOW()
+    WHERE recurring_schedule_id = $1 AND status = 'scheduled'
+    RETURNING *
+  `, [scheduleId]);
+
+  dequeue(cancelled.rows);
+  await crossposts.cancelCrossposts(cancelled.rows.map(post => post.id), 'the original post was cancelled');
+
+  return { schedule: result.rows[0], cancelled: cancelled.rows.length };
+}
+
+// Pause or resume generation. Posts already generated are left alone.
+async function setStatus(userId, scheduleId, status) {
+  const result = await db.query(`
+    UPDATE recurring_schedules
+    SET status = $3, updated_at = NOW()
+    WHERE id = $1 AND user_id = $2 AND status != 'ended'
+    RETURNING *
+  `, [scheduleId, userId, status]);
+
+  const schedule = result.rows[0] || null;
+  if (schedule && status === 'active') {
+    await generatePosts(schedule);
+  }
+  return schedule;
+}
+
+module.exports = {
+  getSchedule,
+  missingOccurrences,
+  buildOccurrencePost,
+  createSchedule,
+  updateSchedule,
+  endSchedule,
+  setStatus,
+  generatePosts,
+  generateAll
+};
@@ -0,0 +1,93 @@
+const tokenService = require('./tokenService');
+const publicRedditClient = require('./publicRedditClient');
+
+// Talks to Reddit on behalf of a stored account.
+// The publisher only depends on this interface, so tests and simulations can
+// swap in FakeRedditTransport.
+class RedditTransport {
+  async getClient(userId, accountId) {
+    const reddit = await tokenService.getRedditClient(userId, accountId);
+    if (!reddit) {
+      throw new Error('Reddit account not found');
+    }
+    return reddit;
+  }
+
+  // Submit a link or self post. Returns { id, name, url, permalink }.
+  async submitPost({ userId, accountId, subredditName, kind, title, url, text, crosspostFullname, flairId, flairText, nsfw, spoiler }) {
+    const reddit = await this.getClient(userId, accountId);
+
+    const options = {
+      subredditName,
+      title,
+      flairId,
+      flairText,
+      nsfw,
+      spoiler,
+      sendReplies: true
+    };
+
+    let submission;
+    if (kind === 'crosspost') {
+      // Crossposts take no flair on submit; set it afterwards
+      submission = await reddit.submitCrosspost({ subredditName, title, originalPost: crosspostFullname, sendReplies: true });
+      if (flairId) {
+        await submission.selectFlair({ flair_template_id: flairId, text: flairText });
+      }
+    } else if (kind === 'self') {
+      submission = await reddit.submitSelfpost({ ...options, text });
+    } else {
+      submission = await reddit.submitLink({ ...options, url, resubmit: true });
+    }
+
+    const post = await submission.fetch();
+
+    return {
+      id: post.id,
+      name: post.name,
+      url: post.url,
+      permalink: `https://www.reddit.com${post.permalink}`
+    };
+  }
+
+  // Reply to a post (by fullname). Returns { id, name }.
+  async comment({ userId, accountId, thingId, text }) {
+    const reddit = await this.getClient(userId, accountId);
+    const reply = await reddit.getSubmission(thingId.replace(/^t3_/, '')).reply(text);
+
+    return { id: reply.id, name: reply.name };
+  }
+
+  // Current state of a post (by fullname).
+  // Returns { name, score, upvotes, upvoteRatio, numComments, removedByCategory, removed, deleted }.
+  async getPost({ userId, accountId, thingId }) {
+    const reddit = await this.getClient(userId, accountId);
+    const post = await reddit.getSubmission(thingId.replace(/^t3_/, '')).fetch();
+
+    return {
+      name: post.name,
+      score: post.score,
+      upvotes: post.ups,
+      upvoteRatio: post.upvote_ratio,
+      numComments: post.num_comments,
+      removedByCategory: post.removed_by_category || null,
+      removed: Boolean(post.removed_by_category),
+      deleted: !post.author || post.author.name === '[deleted]'
+    };
+  }
+
+  // The same post as logged-out visitors see it (publicRedditClient.getPost)
+  async getPublicPost(thingId) {
+    return publicRedditClient.getPost(thingId);
+  }
+
+  // Delete one of the account's own posts (by fullname)
+  async deletePost({ userId, accountId, thingId }) {
+    const reddit = await this.getClient(userId, accountId);
+    await reddit.getSubmission(thingId.replace(/^t3_/, '')).delete();
+
+    return { name: thingId };
+  }
+}
+
+module.exports = RedditTransport;
@@ -0,0 +1,129 @@
+const db = require('../config/database');
+const notifications = require('./notifications');
+
+// Works out whether a post is still up by comparing the posting account's
+// view of it (transport.getPost) with what logged-out visitors see
+// (transport.getPublicPost). The account's view shows mod removals and the
+// author's own deletions; the spam filter only shows in the visitors' view,
+// where the post is missing or marked removed while it looks fine to its author.
+// The metrics poller runs this on every poll, so a post that mods approve
+// again goes back to live.
+
+const STATUSES = ['live', 'removed_by_mods', 'removed_by_spam_filter', 'deleted_by_author'];
+const REMOVED_STATUSES = ['removed_by_mods', 'removed_by_spam_filter'];
+
+// Reddit's removed_by_category values. Anything else ('reddit',
+// 'anti_evil_ops', 'content_takedown'...) is Reddit's own filtering, which is
+// counted with the spam filter.
+const MOD_CATEGORIES = ['moderator', 'automod_filtered'];
+const AUTHOR_CATEGORIES = ['deleted', 'author'];
+
+// account: transport.getPost's result. visitor: transport.getPublicPost's, or
+// null if it couldn't be fetched (then the spam filter can't be detected).
+function classify(account, visitor) {
+  const category = account.removedByCategory || (visitor && visitor.removedByCategory) || null;
+
+  if (account.deleted || AUTHOR_CATEGORIES.includes(category)) return 'deleted_by_author';
+  if (MOD_CATEGORIES.includes(category)) return 'removed_by_mods';
+  if (category) return 'removed_by_spam_filter';
+  if (visitor && visitor.removed) return 'removed_by_spam_filter';
+  return 'live';
+}
+
+function describe(status, category) {
+  if (status === 'removed_by_mods') {
+    return category === 'automod_filtered' ? 'Filtered by AutoModerator' : 'Removed by the moderators';
+  }
+  if (status === 'removed_by_spam_filter') return "Hidden by Reddit's spam filter";
+  if (status === 'deleted_by_author') return 'Deleted by the author';
+  return null;
+}
+
+// Link to write to the subreddit's moderators about a post
+function modmailLink(subredditName, title, permalink) {
+  const params = new URLSearchParams({
+    to: `/r/${subredditName}`,
+    subject: `Removed post: ${title}`.slice(0, 100),
+    message: `Hi, my post ${permalink || ''} was removed. Could you tell me what I should change, or approve it if it was caught by mistake? Thanks!`
+  });
+  return `https://www.reddit.com/message/compose?${params}`;
+}
+
+async function notifyRemoval(client, post, status, reason) {
+  const result = await client.query(`
+    SELECT s.name AS subreddit_name, COALESCE(pc.title, sp.title) AS title, sp.flair_text
+    FROM posted_content pc
+    LEFT JOIN subreddits s ON pc.subreddit_id = s.id
+    LEFT JOIN scheduled_posts sp ON pc.scheduled_post_id = sp.id
+    WHERE pc.id = $1
+  `, [post.id]);
+  const { subreddit_name, title, flair_text } = result.rows[0] || {};
+  const postTitle = title || post.reddit_post_id;
+
+  const message = status === 'removed_by_mods'
+    ? `"${postTitle}" was removed by the moderators of r/${subreddit_name}. Check the subreddit's rules - a missing or wrong flair or a title that breaks the title rules are the usual reasons - and message the mods if you think it was a mistake.`
+    : `"${postTitle}" looks normal to you, but logged-out visitors can't see it. Reddit's spam filter often catches new accounts and links; message the mods of r/${subreddit_name} and ask them to approve it.`;
+
+  await notifications.notify(client, post.user_id, {
+    type: 'post_removed',
+    title: `${reason}: your post in r/${subreddit_name}`,
+    message,
+    link: modmailLink(subreddit_name, postTitle, post.permalink),
+    data: { removal_status: status, subreddit_name, title: postTitle, flair_text, permalink: post.permalink },
+    postedContentId: post.id
+  });
+}
+
+// Classify a posted_content row from the account's view of it and record the
+// result. A post newly removed by mods or the spam filter notifies its owner.
+// Returns { status, previous, changed, visible } (visible is null when the
+// visitors' view couldn't be fetched).
+async function checkVisibility(post, accountView, { transport }) {
+  let visitor = null;
+  try {
+    visitor = await transport.getPublicPost(post.reddit_post_id);
+  } catch (error) {
+    console.error(`Public view of ${post.reddit_post_id} failed:`, error.message);
+  }
+
+  const status = classify(accountView, visitor);
+  const previous = post.removal_status || 'live';
+
+  // Without the visitors' view the spam filter can't be seen, so a post it
+  // caught before is left as it was until a poll can see it again
+  if (!visitor && previous === 'removed_by_spam_filter' && status === 'live') {
+    return { status: previous, previous, changed: false, visible: null };
+  }
+  const removed = REMOVED_STATUSES.includes(status);
+  const visible = visitor ? !visitor.removed && !visitor.deleted : null;
+  const reason = describe(status, accountView.removedByCategory || (visitor && visitor.removedByCategory));
+
+  await db.transaction(async (client) => {
+    await client.query(`
+      UPDATE posted_content
+      SET removal_status = $2,
+          is_removed = $3,
+          removed_reason = CASE WHEN $3 THEN $4 ELSE NULL END,
+          removed_at = CASE WHEN NOT $3 THEN NULL WHEN removal_status = $2 THEN removed_at ELSE NOW() END,
+          is_deleted = is_deleted OR $5,
+          deleted_at = CASE WHEN $5 THEN COALESCE(deleted_at, NOW()) ELSE deleted_at END,
+          deleted_reason = CASE WHEN $5 THEN COALESCE(deleted_reason, $4) ELSE deleted_reason END,
+          is_visible = COALESCE($6, is_visible),
+          visibility_checked_at = CASE WHEN $6 IS NULL THEN visibility_checked_at ELSE NOW() END
+      WHERE id = $1
+    `, [post.id, status, removed, reason, status === 'deleted_by_author', visible]);
+
+    if (removed && status !== previous) {
+      await notifyRemoval(client, post, status, reason);
+    }
+  });
+
+  return { status, previous, changed: status !== previous, visible };
+}
+
+module.exports = {
+  STATUSES,
+  REMOVED_STATUSES,
+  classify,
+  checkVisibility
+};
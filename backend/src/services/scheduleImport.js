@@ -0,0 +1,325 @@
+const db = require('../config/database');
+const { prepareScheduledPost, insertScheduledPost, queuePost } = require('./scheduledPosts');
+const { isValidTimezone, formatInZone, getUserTimezone } = require('./timezone');
+const { httpError } = require('../utils/httpError');
+
+// Bulk scheduling from CSV or JSON rows. Names are resolved to ids and every
+// row goes through the same validation and compliance check as a single post.
+// A preview reports each row's problems without saving; an import re-checks
+// everything and creates all rows in one transaction, or nothing.
+
+const MAX_ROWS = 500;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Accepted column names (CSV headers or JSON keys, any case) for each field
+const COLUMNS = {
+  account: ['account', 'reddit_account', 'reddit_username', 'username'],
+  subreddit: ['subreddit', 'subreddit_name'],
+  content: ['content', 'content_item', 'content_item_id', 'filename'],
+  title: ['title'],
+  time: ['time', 'local_time', 'scheduled_for'],
+  timezone: ['timezone'],
+  flair: ['flair', 'flair_text', 'flair_id'],
+  comment: ['comment', 'auto_comment'],
+  body: ['body']
+};
+
+// RFC 4180 CSV: quoted fields may contain commas, quotes ("") and newlines.
+// Returns an array of rows, each an array of strings.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw httpError('CSV has an unclosed quote', 400);
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// { format: 'csv' | 'json', data } -> array of plain objects keyed by column name
+function parseRows({ format, data }) {
+  if (Array.isArray(data)) return data;
+
+  if (typeof data !== 'string' || data.trim() === '') {
+    throw httpError('data must be CSV text, JSON text or an array of rows', 400);
+  }
+
+  if (format === 'json' || (!format && data.trim().startsWith('['))) {
+    let rows;
+    try {
+      rows = JSON.parse(data);
+    } catch (error) {
+      throw httpError(`Invalid JSON: ${error.message}`, 400);
+    }
+    if (!Array.isArray(rows)) {
+      throw httpError('JSON import must be an array of rows', 400);
+    }
+    return rows;
+  }
+
+  const [header, ...lines] = parseCsv(data);
+  if (!header) return [];
+
+  return lines.map(values => {
+    const row = {};
+    header.forEach((name, i) => {
+      row[name] = values[i];
+    });
+    return row;
+  });
+}
+
+// Map a raw row's columns onto the fields in COLUMNS, trimming values
+function normalizeRow(raw) {
+  const byName = {};
+  for (const [key, value] of Object.entries(raw || {})) {
+    byName[key.trim().toLowerCase().replace(/\s+/g, '_')] = value;
+  }
+
+  const row = {};
+  for (const [field, names] of Object.entries(COLUMNS)) {
+    const name = names.find(n => byName[n] !== undefined && byName[n] !== null && String(byName[n]).trim() !== '');
+    row[field] = name ? String(byName[name]).trim() : null;
+  }
+  return row;
+}
+
+// Look up every account, subreddit and content item the rows name, in one
+// query each
+async function loadLookups(userId, rows) {
+  const accounts = await db.query(
+    'SELECT id, reddit_username FROM reddit_accounts WHERE user_id = $1',
+    [userId]
+  );
+
+  const subredditNames = [...new Set(rows.filter(r => r.subreddit).map(r => stripPrefix(r.subreddit, 'r').toLowerCase()))];
+  const subreddits = await db.query(
+    'SELECT id, name FROM subreddits WHERE LOWER(name) = ANY($1)',
+    [subredditNames]
+  );
+
+  const contentRefs = [...new Set(rows.filter(r => r.content).map(r => r.content))];
+  const content = await db.query(`
+    SELECT ci.id, ci.filename, ci.file_type, mu.id AS media_upload_id, mu.expires_at AS media_expires_at
+    FROM content_items ci
+    LEFT JOIN LATERAL (
+      SELECT id, expires_at FROM media_uploads
+      WHERE content_item_id = ci.id AND is_deleted = FALSE
+      ORDER BY created_at DESC
+      LIMIT 1
+    ) mu ON TRUE
+    WHERE ci.user_id = $1
+      AND (ci.id::text = ANY($2) OR ci.filename = ANY($2))
+  `, [userId, contentRefs]);
+
+  return {
+    accounts: new Map(accounts.rows.map(a => [a.reddit_username.toLowerCase(), a])),
+    subreddits: new Map(subreddits.rows.map(s => [s.name.toLowerCase(), s])),
+    content: content.rows
+  };
+}
+
+function stripPrefix(name, prefix) {
+  return name.replace(new RegExp(`^/?${prefix}/`, 'i'), '');
+}
+
+// Turn a normalized row into scheduled post input, or a list of errors
+function resolveRow(row, lookups, defaultTimezone) {
+  const errors = [];
+
+  if (!row.account) errors.push('account is required');
+  if (!row.subreddit) errors.push('subreddit is required');
+  if (!row.title) errors.push('title is required');
+  if (!row.time) errors.push('time is required');
+
+  const account = row.account && lookups.accounts.get(stripPrefix(row.account, 'u').toLowerCase());
+  if (row.account && !account) {
+    errors.push(`No connected Reddit account named u/${stripPrefix(row.account, 'u')}`);
+  }
+
+  const subreddit = row.subreddit && lookups.subreddits.get(stripPrefix(row.subreddit, 'r').toLowerCase());
+  if (row.subreddit && !subreddit) {
+    errors.push(`r/${stripPrefix(row.subreddit, 'r')} isn't in the subreddit database (scrape it first)`);
+  }
+
+  let content = null;
+  if (row.content) {
+    const matches = UUID_PATTERN.test(row.content)
+      ? lookups.content.filter(c => c.id === row.content.toLowerCase())
+      : lookups.content.filter(c => c.filename === row.content);
+
+    if (matches.length === 0) {
+      errors.push(`No content item "${row.content}"`);
+    } else if (matches.length > 1) {
+      errors.push(`${matches.length} content items are named "${row.content}"; use the content id instead`);
+    } else if (!matches[0].media_upload_id) {
+      errors.push(`Content "${row.content}" hasn't been uploaded yet`);
+    } else {
+      content = matches[0];
+    }
+  }
+
+  const timezone = row.timezone || defaultTimezone;
+  if (!isValidTimezone(timezone)) {
+    errors.push(`Unknown timezone "${timezone}"`);
+  }
+
+  if (errors.length > 0) return { errors };
+
+  const flairIsId = row.flair && UUID_PATTERN.test(row.flair);
+
+  return {
+    errors,
+    content,
+    input: {
+      reddit_account_id: account.id,
+      subreddit_id: subreddit.id,
+      content_item_id: content ? content.id : null,
+      media_upload_id: content ? content.media_upload_id : null,
+      title: row.title,
+      body: row.body,
+      post_type: content ? (content.file_type === 'video' ? 'video' : 'image') : 'text',
+      scheduled_for: row.time,
+      timezone,
+      flair_id: flairIsId ? row.flair : null,
+      flair_text: row.flair && !flairIsId ? row.flair : null,
+      auto_comment: row.comment
+    },
+    names: { reddit_username: account.reddit_username, subreddit_name: subreddit.name, filename: content ? content.filename : null }
+  };
+}
+
+// Validate every row. Rows are checked in order, and each valid row counts
+// towards the posting frequency of later rows for the same account and
+// subreddit. Returns [{ row, input, post, errors, warnings }] where row is
+// the 1-based row number and post is the prepared post (null if invalid).
+async function validateRows(userId, rawRows, { timezone, ignoreCompliance = false } = {}) {
+  if (rawRows.length === 0) {
+    throw httpError('No rows to import', 400);
+  }
+  if (rawRows.length > MAX_ROWS) {
+    throw httpError(`Too many rows (${rawRows.length}); import at most ${MAX_ROWS} at a time`, 400);
+  }
+
+  const rows = rawRows.map(normalizeRow);
+  const lookups = await loadLookups(userId, rows);
+  const defaultTimezone = timezone || await getUserTimezone(userId);
+  const batchTimes = new Map();
+  const results = [];
+
+  for (const [i, row] of rows.entries()) {
+    const result = { row: i + 1, input: row, post: null, errors: [], warnings: [] };
+    results.push(result);
+
+    const resolved = resolveRow(row, lookups, defaultTimezone);
+    if (resolved.errors.length > 0) {
+      result.errors = resolved.errors;
+      continue;
+    }
+
+    const key = `${resolved.input.reddit_account_id}:${resolved.input.subreddit_id}`;
+
+    try {
+      const post = await prepareScheduledPost(userId, resolved.input, {
+        ignoreCompliance,
+        extraPostTimes: batchTimes.get(key) || []
+      });
+
+      const upload = resolved.content;
+      if (upload && upload.media_expires_at && new Date(upload.media_expires_at) <= post.scheduled_for) {
+        result.errors.push(`The upload for "${row.content}" expires before this post goes out`);
+        continue;
+      }
+
+      result.post = { ...post, ...resolved.names, scheduled_for_local: formatInZone(post.scheduled_for, post.timezone) };
+      result.warnings = post.compliance.warnings.map(w => w.message);
+      if (ignoreCompliance) {
+        result.warnings.push(...post.compliance.errors.map(e => e.message));
+      }
+
+      batchTimes.set(key, [...(batchTimes.get(key) || []), post.scheduled_for]);
+    } catch (error) {
+      if (!error.status) throw error;
+      result.errors = error.compliance ? error.compliance.errors.map(e => e.message) : [error.message];
+    }
+  }
+
+  return results;
+}
+
+// Dry run: what each row would become and what's wrong with it.
+// Returns { rows, valid, invalid }.
+async function previewImport(userId, input, options = {}) {
+  const results = await validateRows(userId, parseRows(input), options);
+  const invalid = results.filter(r => r.errors.length > 0).length;
+
+  return { rows: results, valid: results.length - invalid, invalid };
+}
+
+// Create every row in one transaction. If any row is invalid nothing is
+// created and the error (status 422) carries error.rows, as from a preview.
+// Returns { created, rows }.
+async function importScheduledPosts(userId, input, options = {}) {
+  const results = await validateRows(userId, parseRows(input), options);
+  const invalid = results.filter(r => r.errors.length > 0);
+
+  if (invalid.length > 0) {
+    throw httpError(`${invalid.length} of ${results.length} rows have errors; nothing was imported`, 422, { rows: results });
+  }
+
+  const created = await db.transaction(async (client) => {
+    const posts = [];
+    for (const result of results) {
+      posts.push(await insertScheduledPost(client, userId, result.post));
+    }
+    return posts;
+  });
+
+  created.forEach(queuePost);
+
+  return { created, rows: results };
+}
+
+module.exports = {
+  previewImport,
+  importScheduledPosts
+};
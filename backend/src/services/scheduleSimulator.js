@@ -0,0 +1,312 @@
+const db = require('../config/database');
+const complianceChecker = require('./complianceChecker');
+const postingFrequency = require('./postingFrequency');
+const crossposts = require('./crossposts');
+const postingPause = require('./postingPause');
+const recurringSchedules = require('./recurringSchedules');
+const { loadPostDetails, buildSubmission, planFailure } = require('./postPublisher');
+const FakeRedditTransport = require('./fakeRedditTransport');
+const { VirtualClock } = require('./clock');
+
+// Scheduler dry run: plays the next `days` of a user's schedule through on a
+// virtual clock and reports what would be posted where and what would be
+// blocked. Nothing is written to the database, and posts go to a
+// FakeRedditTransport unless another transport is passed in.
+//
+// Posts go through the worker's own steps, in the order they'd come due:
+// - posts of a paused account (or with all posting paused) are held
+// - recurring schedules fill in the occurrences they haven't generated yet,
+//   with content picked the way generation picks it
+// - crossposts wait for their original (crossposts.checkParent)
+// - the compliance check runs as of the moment the post would go out, with
+//   the posting frequency counted against what has really been posted plus
+//   what the simulation has posted so far
+// - the submission is built (buildSubmission) and sent through the transport;
+//   failed attempts are retried or given up on like the worker does (planFailure)
+//
+// The worker doesn't re-check rules when it publishes, so 'blocked' means the
+// post would break a rule at the time it goes out - Reddit or the subreddit's
+// moderators would most likely reject or remove it. Blocked posts don't count
+// towards posting frequency later in the run, and their crossposts are cancelled.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RETRIES = 3;
+
+// Outcomes: posted, held (posting paused), blocked, failed, cancelled
+// (crosspost whose original didn't go out), waiting (crosspost whose original
+// isn't posted by the end), not_generated (recurring occurrence with no content ready)
+const OUTCOMES = ['posted', 'held', 'blocked', 'failed', 'cancelled', 'waiting', 'not_generated'];
+
+async function loadSavedPosts(userId, { accountId, until }) {
+  const result = await db.query(`
+    SELECT sp.*, s.name AS subreddit_name, ra.reddit_username
+    FROM scheduled_posts sp
+    LEFT JOIN subreddits s ON sp.subreddit_id = s.id
+    LEFT JOIN reddit_accounts ra ON sp.reddit_account_id = ra.id
+    WHERE sp.user_id = $1
+      AND sp.status = 'scheduled'
+      AND COALESCE(sp.next_retry_at, sp.scheduled_for) < $2
+      AND ($3::uuid IS NULL OR sp.reddit_account_id = $3)
+  `, [userId, until, accountId]);
+
+  return result.rows.map(post => ({
+    post,
+    source: 'scheduled',
+    dueAt: new Date(post.next_retry_at || post.scheduled_for)
+  }));
+}
+
+// Occurrences the recurring schedules would generate during the run
+async function loadRecurringPosts(userId, { accountId, from, until }) {
+  const result = await db.query(`
+    SELECT rs.*, s.name AS subreddit_name, ra.reddit_username
+    FROM recurring_schedules rs
+    LEFT JOIN subreddits s ON rs.subreddit_id = s.id
+    LEFT JOIN reddit_accounts ra ON rs.reddit_account_id = ra.id
+    WHERE rs.user_id = $1
+      AND rs.status = 'active'
+      AND ($2::uuid IS NULL OR rs.reddit_account_id = $2)
+  `, [userId, accountId]);
+
+  const entries = [];
+
+  for (const schedule of result.rows) {
+    const occurrences = await recurringSchedules.missingOccurrences(schedule, { from, until });
+
+    for (const occurrenceAt of occurrences) {
+      const base = {
+        id: null,
+        user_id: userId,
+        recurring_schedule_id: schedule.id,
+        occurrence_at: occurrenceAt,
+        subreddit_name: schedule.subreddit_name,
+        reddit_username: schedule.reddit_username,
+        retry_count: 0,
+        max_retries: MAX_RETRIES,
+        compliance_overridden: false
+      };
+
+      try {
+        const post = { ...base, ...await recurringSchedules.buildOccurrencePost(schedule, occurrenceAt) };
+        entries.push({ post, source: 'recurring', dueAt: occurrenceAt });
+      } catch (error) {
+        entries.push({
+          post: { ...base, reddit_account_id: schedule.reddit_account_id, subreddit_id: schedule.subreddit_id, title: schedule.title, scheduled_for: occurrenceAt },
+          source: 'recurring',
+          dueAt: occurrenceAt,
+          outcome: 'not_generated',
+          at: occurrenceAt,
+          reasons: [error.message]
+        });
+      }
+    }
+  }
+
+  return entries;
+}
+
+function summarize(entry) {
+  const { post } = entry;
+
+  return {
+    id: post.id,
+    source: entry.source,
+    recurring_schedule_id: post.recurring_schedule_id || null,
+    reddit_account_id: post.reddit_account_id,
+    reddit_username: post.reddit_username,
+    subreddit_id: post.subreddit_id,
+    subreddit_name: post.subreddit_name,
+    title: post.title,
+    post_type: post.post_type,
+    scheduled_for: new Date(post.scheduled_for),
+    outcome: entry.outcome,
+    at: entry.at || null,
+    attempts: entry.attempts || 0,
+    reasons: entry.reasons || [],
+    warnings: entry.warnings || [],
+    next_allowed_at: entry.nextAllowedAt || null,
+    reddit_post_id: entry.redditPostId || null
+  };
+}
+
+// Returns { from, until, days, account_id, summary, posts }. posts are in the
+// order things would happen.
+async function simulate(userId, { days = 7, accountId = null, transport = new FakeRedditTransport(), clock = new VirtualClock() } = {}) {
+  const from = clock.now();
+  const until = new Date(from.getTime() + days * DAY_MS);
+
+  const entries = [
+    ...await loadSavedPosts(userId, { accountId, until }),
+    ...await loadRecurringPosts(userId, { accountId, from, until })
+  ];
+  const byPostId = new Map(entries.filter(e => e.post.id).map(e => [e.post.id, e]));
+
+  // Post times per account and subreddit: what has really been posted, then
+  // what the simulation posts
+  const postTimes = new Map();
+
+  async function getPostTimes(post) {
+    const key = `${post.reddit_account_id}:${post.subreddit_id}`;
+    if (!postTimes.has(key)) {
+      const subreddit = await db.query('SELECT posting_frequency_hours FROM subreddits WHERE id = $1', [post.subreddit_id]);
+      const hours = subreddit.rows[0] && subreddit.rows[0].posting_frequency_hours;
+      postTimes.set(key, hours
+        ? await postingFrequency.getPostTimes(post.reddit_account_id, post.subreddit_id, hours, { pending: false, clock })
+        : []);
+    }
+    return postTimes.get(key);
+  }
+
+  // Originals in the run are answered from the run, others from the database
+  async function getParent(parentId) {
+    const parent = byPostId.get(parentId);
+    if (parent) {
+      if (!parent.outcome || parent.outcome === 'waiting' || parent.outcome === 'held') return { status: 'scheduled' };
+      if (parent.outcome === 'posted') return { status: 'posted', reddit_post_id: parent.redditPostId };
+      return { status: parent.outcome === 'cancelled' ? 'cancelled' : 'failed' };
+    }
+
+    const saved = await crossposts.loadParent(parentId);
+    // A fake transport has to know about originals posted before the run
+    if (saved && saved.reddit_post_id && transport.addExistingPost) {
+      transport.addExistingPost({ name: saved.reddit_post_id, subredditName: 'unknown', permalink: saved.permalink });
+    }
+    return saved;
+  }
+
+  // Pauses don't change during the run
+  const holds = new Map();
+
+  async function getHold(post) {
+    if (!holds.has(post.reddit_account_id)) {
+      holds.set(post.reddit_account_id, await postingPause.getHold(userId, post.reddit_account_id));
+    }
+    return holds.get(post.reddit_account_id);
+  }
+
+  function finish(entry, outcome, details = {}) {
+    Object.assign(entry, { outcome, at: clock.now() }, details);
+
+    // Crossposts waiting on this post check again now
+    for (const child of entries) {
+      if (child.waitingFor === entry.post.id && !child.outcome) {
+        child.waitingFor = null;
+        child.dueAt = new Date(Math.max(clock.now().getTime(), new Date(child.post.scheduled_for).getTime()));
+      }
+    }
+  }
+
+  async function run(entry) {
+    const { post } = entry;
+    const hold = await getHold(post);
+    if (hold) {
+      finish(entry, 'held', { reasons: [postingPause.describeHold(hold, post.reddit_username)] });
+      return;
+    }
+
+    entry.attempts = (entry.attempts || 0) + 1;
+    let crosspostFullname = null;
+
+    if (post.post_type === 'crosspost') {
+      const decision = await crossposts.checkParent(post, { transport, getParent });
+
+      if (decision.action === 'wait') {
+        if (byPostId.has(post.crosspost_from_id)) {
+          // Released when the original is done, like the worker's releaseCrossposts
+          entry.attempts--;
+          entry.waitingFor = post.crosspost_from_id;
+          entry.dueAt = null;
+        } else {
+          finish(entry, 'waiting', { reasons: ["The original post isn't part of this simulation and hasn't gone out yet"] });
+        }
+        return;
+      }
+
+      if (decision.action === 'cancel') {
+        finish(entry, 'cancelled', { reasons: [`Cancelled: ${decision.reason}`] });
+        return;
+      }
+
+      crosspostFullname = decision.fullname;
+    }
+
+    const times = await getPostTimes(post);
+    const compliance = await complianceChecker.checkPost(userId, { ...post, scheduled_for: clock.now() }, { postTimes: times, clock });
+    entry.warnings = compliance.warnings.map(i => i.message);
+
+    if (!compliance.ok && !post.compliance_overridden) {
+      finish(entry, 'blocked', {
+        reasons: compliance.errors.map(i => i.message),
+        nextAllowedAt: compliance.next_allowed_at
+      });
+      return;
+    }
+    if (!compliance.ok) {
+      entry.warnings.push(...compliance.errors.map(i => `Overridden: ${i.message}`));
+    }
+
+    let result;
+    try {
+      const details = await loadPostDetails(post);
+      result = await transport.submitPost(buildSubmission(post, details, { crosspostFullname }));
+    } catch (error) {
+      const plan = planFailure(post, error);
+
+      if (plan.retry) {
+        post.retry_count++;
+        entry.dueAt = new Date(clock.now().getTime() + plan.delayMs);
+        entry.reasons = [plan.reason];
+      } else {
+        finish(entry, 'failed', { reasons: [plan.reason] });
+      }
+      return;
+    }
+
+    times.push(clock.now());
+
+    if (post.auto_comment) {
+      try {
+        await transport.comment({ userId, accountId: post.reddit_account_id, thingId: result.name, text: post.auto_comment });
+      } catch (error) {
+        entry.warnings.push(`Auto-comment would fail: ${error.message}`);
+      }
+    }
+
+    finish(entry, 'posted', { reasons: [], redditPostId: result.name });
+  }
+
+  // Play due posts in time order until nothing is due before the end
+  for (;;) {
+    const due = entries
+      .filter(e => !e.outcome && e.dueAt && e.dueAt < until)
+      .sort((a, b) => a.dueAt - b.dueAt)[0];
+    if (!due) break;
+
+    clock.advanceTo(due.dueAt);
+    await run(due);
+  }
+
+  for (const entry of entries) {
+    if (entry.outcome) continue;
+    entry.outcome = 'waiting';
+    entry.reasons = entry.waitingFor
+      ? ["The original post doesn't go out before the end of the simulation"]
+      : [...(entry.reasons || []), 'Still waiting for a retry at the end of the simulation'];
+  }
+
+  const posts = entries
+    .map(summarize)
+    .sort((a, b) => (a.at || a.scheduled_for) - (b.at || b.scheduled_for));
+
+  const summary = { total: posts.length };
+  for (const outcome of OUTCOMES) {
+    summary[outcome] = posts.filter(p => p.outcome === outcome).length;
+  }
+
+  return { from, until, days, account_id: accountId, summary, posts };
+}
+
+module.exports = {
+  OUTCOMES,
+  simulate
+};
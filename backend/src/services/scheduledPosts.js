@@ -0,0 +1,285 @@
+const db = require('../config/database');
+const publishQueue = require('./publishQueue');
+const complianceChecker = require('./complianceChecker');
+const crossposts = require('./crossposts');
+const campaigns = require('./campaigns');
+const { isValidTimezone, parseScheduleTime, getUserTimezone } = require('./timezone');
+const { httpError, optionalUuid } = require('../utils/httpError');
+
+// Creating scheduled posts. Used by the schedule routes and by anything that
+// generates posts (recurring schedules), so every post gets the same time
+// parsing, validation and compliance check.
+
+// Run the compliance check. With shift set, a post that breaks the subreddit's
+// posting frequency is moved to its next allowed time (and checked again)
+// instead of being refused. Returns { compliance, scheduledFor }.
+async function checkCompliance(userId, post, { shift = false, excludePostId = null, extraPostTimes = [] } = {}) {
+  let compliance = await complianceChecker.checkPost(userId, post, { excludePostId, extraPostTimes });
+  let scheduledFor = post.scheduled_for;
+
+  if (!compliance.ok && shift && compliance.next_allowed_at) {
+    scheduledFor = compliance.next_allowed_at;
+    compliance = await complianceChecker.checkPost(userId, { ...post, scheduled_for: scheduledFor }, { excludePostId, extraPostTimes });
+  }
+
+  return { compliance, scheduledFor };
+}
+
+// scheduled_for is either an absolute ISO time or a wall-clock time in the
+// post's timezone. Returns { timeZone, scheduledFor } with scheduledFor as a
+// UTC Date, or { error }.
+function parseScheduleInput(scheduledFor, timeZone) {
+  if (!isValidTimezone(timeZone)) {
+    return { error: `Unknown timezone "${timeZone}"` };
+  }
+
+  try {
+    return { timeZone, scheduledFor: parseScheduleTime(scheduledFor, timeZone) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// auto_delete_hours and auto_delete_if_below_upvotes only work as a pair.
+// Returns an error message, or null.
+function validateAutoDelete({ auto_delete_hours, auto_delete_if_below_upvotes }) {
+  const hoursSet = auto_delete_hours !== undefined && auto_delete_hours !== null;
+  const thresholdSet = auto_delete_if_below_upvotes !== undefined && auto_delete_if_below_upvotes !== null;
+
+  if (hoursSet !== thresholdSet) {
+    return 'auto_delete_hours and auto_delete_if_below_upvotes must be set together';
+  }
+
+  if (hoursSet && (!Number.isInteger(auto_delete_hours) || auto_delete_hours < 1)) {
+    return 'auto_delete_hours must be a positive whole number';
+  }
+
+  if (thresholdSet && !Number.isInteger(auto_delete_if_below_upvotes)) {
+    return 'auto_delete_if_below_upvotes must be a whole number';
+  }
+
+  return null;
+}
+
+// The account, content item and upload a post or recurring schedule points
+// at have to be the user's, and the subreddit one we know. Throws 400 for ids
+// that aren't UUIDs or don't match.
+async function assertReferences(userId, { reddit_account_id, subreddit_id, content_item_id, media_upload_id }) {
+  const accountId = optionalUuid(reddit_account_id, 'reddit_account_id');
+  const subredditId = optionalUuid(subreddit_id, 'subreddit_id');
+  const contentItemId = optionalUuid(content_item_id, 'content_item_id');
+  const mediaUploadId = optionalUuid(media_upload_id, 'media_upload_id');
+
+  if (accountId) {
+    const account = await db.query(
+      'SELECT id FROM reddit_accounts WHERE id = $1 AND user_id = $2',
+      [accountId, userId]
+    );
+    if (account.rows.length === 0) {
+      throw httpError('Reddit account not found', 400);
+    }
+  }
+
+  if (subredditId) {
+    const subreddit = await db.query('SELECT id FROM subreddits WHERE id = $1', [subredditId]);
+    if (subreddit.rows.length === 0) {
+      throw httpError('Subreddit not found', 400);
+    }
+  }
+
+  if (contentItemId) {
+    const content = await db.query(
+      'SELECT id FROM content_items WHERE id = $1 AND user_id = $2',
+      [contentItemId, userId]
+    );
+    if (content.rows.length === 0) {
+      throw httpError('Content not found', 400);
+    }
+  }
+
+  if (mediaUploadId) {
+    const upload = await db.query(
+      'SELECT id FROM media_uploads WHERE id = $1 AND user_id = $2',
+      [mediaUploadId, userId]
+    );
+    if (upload.rows.length === 0) {
+      throw httpError('Media upload not found', 400);
+    }
+  }
+}
+
+// Validate a post and run its compliance check without saving anything.
+// scheduled_for can be wall-clock time in input.timezone (default: the user's
+// timezone). Returns the post as it would be saved, with scheduled_for as a
+// UTC Date and the compliance result.
+// Crossposts (post_type 'crosspost') need crosspost_from_id; title and
+// scheduled_for default to the original's.
+// Throws errors with status 400 (bad input, or an account, subreddit or
+// content item that isn't the user's) or 422 (breaks subreddit rules;
+// error.compliance has the details).
+async function prepareScheduledPost(userId, input, { ignoreCompliance = false, shiftIfNeeded = false, extraPostTimes = [] } = {}) {
+  if (input.post_type === 'crosspost') {
+    const parent = await crossposts.resolveParent(userId, input);
+    input = {
+      ...input,
+      title: input.title || parent.title,
+      scheduled_for: input.scheduled_for || parent.scheduled_for,
+      content_item_id: null,
+      media_upload_id: null
+    };
+  } else if (input.crosspost_from_id) {
+    throw httpError("crosspost_from_id only applies to post_type 'crosspost'", 400);
+  }
+
+  const { reddit_account_id, subreddit_id, title, scheduled_for, timezone } = input;
+
+  if (!reddit_account_id || !subreddit_id || !title || !scheduled_for) {
+    throw httpError('Missing required fields', 400);
+  }
+
+  const autoDeleteError = validateAutoDelete(input);
+  if (autoDeleteError) {
+    throw httpError(autoDeleteError, 400);
+  }
+
+  await assertReferences(userId, input);
+
+  if (input.campaign_id) {
+    await campaigns.assertCampaign(userId, input.campaign_id);
+  }
+
+  const schedule = parseScheduleInput(scheduled_for, timezone || await getUserTimezone(userId));
+  if (schedule.error) {
+    throw httpError(schedule.error, 400);
+  }
+
+  const { compliance, scheduledFor } = await checkCompliance(userId, {
+    ...input,
+    scheduled_for: schedule.scheduledFor
+  }, { shift: shiftIfNeeded, extraPostTimes });
+
+  if (!compliance.ok && !ignoreCompliance) {
+    throw httpError('Post breaks subreddit rules', 422, { compliance });
+  }
+
+  return { ...input, scheduled_for: scheduledFor, timezone: schedule.timeZone, compliance };
+}
+
+// Insert a prepared post. Pass a transaction client to insert as part of a
+// batch; queueing is left to the caller so nothing is queued before COMMIT.
+// recurrence: { scheduleId, occurrenceAt } for posts generated by a recurring schedule.
+// status is 'draft' for posts that go through review (see postReviews).
+async function insertScheduledPost(client, userId, post, { recurrence = null, status = 'scheduled' } = {}) {
+  const issues = [...post.compliance.errors, ...post.compliance.warnings];
+
+  const result = await client.query(`
+    INSERT INTO scheduled_posts (
+      user_id, reddit_account_id, subreddit_id, content_item_id, media_upload_id,
+      title, body, post_type, scheduled_for, timezone, flair_id, flair_text, auto_comment,
+      auto_delete_hours, auto_delete_if_below_upvotes,
+      compliance_checked, compliance_warnings, compliance_issues, compliance_checked_at,
+      compliance_overridden, recurring_schedule_id, occurrence_at, crosspost_from_id, campaign_id, status
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, TRUE, $16, $17, NOW(), $18, $19, $20, $21, $22, $23)
+    RETURNING *
+  `, [
+    userId, post.reddit_account_id, post.subreddit_id, post.content_item_id, post.media_upload_id,
+    post.title, post.body, post.post_type, post.scheduled_for, post.timezone, post.flair_id, post.flair_text, post.auto_comment,
+    post.auto_delete_hours, post.auto_delete_if_below_upvotes,
+    issues.map(i => i.message), JSON.stringify(issues), !post.compliance.ok,
+    recurrence ? recurrence.scheduleId : null,
+    recurrence ? recurrence.occurrenceAt : null,
+    post.crosspost_from_id || null,
+    post.campaign_id || null,
+    status
+  ]);
+
+  return result.rows[0];
+}
+
+// The worker re-syncs from the database, so a Redis outage only delays this
+function queuePost(post) {
+  publishQueue.schedulePost(post).catch(err => {
+    console.error('Failed to queue scheduled post:', err.message);
+  });
+}
+
+// Create and queue a scheduled post. Same options and errors as
+// prepareScheduledPost, plus recurrence (see insertScheduledPost).
+async function createScheduledPost(userId, input, { recurrence = null, ...options } = {}) {
+  const prepared = await prepareScheduledPost(userId, input, options);
+  const post = await insertScheduledPost(db, userId, prepared, { recurrence });
+
+  queuePost(post);
+  return post;
+}
+
+// Scheduled posts with their subreddit, account and content names, oldest
+// first. Filters: status, reddit_account_id, campaign_id, start_date, end_date
+// (all optional). Shared by GET /api/schedule, the calendar feed and campaigns
+// so they filter the same way.
+async function listScheduledPosts(userId, { status, reddit_account_id, campaign_id, start_date, end_date } = {}) {
+  let query = `
+    SELECT sp.*, s.name as subreddit_name, s.display_name as subreddit_display_name,
+           s.posting_frequency_hours, ra.reddit_username, ci.filename, pc.reddit_url
+    FROM scheduled_posts sp
+    LEFT JOIN subreddits s ON sp.subreddit_id = s.id
+    LEFT JOIN reddit_accounts ra ON sp.reddit_account_id = ra.id
+    LEFT JOIN content_items ci ON sp.content_item_id = ci.id
+    LEFT JOIN LATERAL (
+      SELECT reddit_url FROM posted_content
+      WHERE scheduled_post_id = sp.id
+      ORDER BY posted_at DESC
+      LIMIT 1
+    ) pc ON TRUE
+    WHERE sp.user_id = $1
+  `;
+  const params = [userId];
+  let paramIndex = 2;
+
+  if (status) {
+    query += ` AND sp.status = $${paramIndex}`;
+    params.push(status);
+    paramIndex++;
+  }
+
+  if (reddit_account_id) {
+    query += ` AND sp.reddit_account_id = $${paramIndex}`;
+    params.push(reddit_account_id);
+    paramIndex++;
+  }
+
+  if (campaign_id) {
+    query += ` AND sp.campaign_id = $${paramIndex}`;
+    params.push(campaign_id);
+    paramIndex++;
+  }
+
+  if (start_date) {
+    query += ` AND sp.scheduled_for >= $${paramIndex}`;
+    params.push(start_date);
+    paramIndex++;
+  }
+
+  if (end_date) {
+    query += ` AND sp.scheduled_for <= $${paramIndex}`;
+    params.push(end_date);
+    paramIndex++;
+  }
+
+  query += ' ORDER BY sp.scheduled_for ASC';
+
+  const result = await db.query(query, params);
+  return result.rows;
+}
+
+module.exports = {
+  checkCompliance,
+  assertReferences,
+  parseScheduleInput,
+  validateAutoDelete,
+  prepareScheduledPost,
+  insertScheduledPost,
+  queuePost,
+  createScheduledPost,
+  listScheduledPosts
+};
@@ -0,0 +1,164 @@
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.JWT_REFRESH_TTL_DAYS || '30');
+
+function getSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+}
+
+// Short-lived token sent with every API request
+function signAccessToken(user) {
+  return jwt.sign(
+    { sub: user.id, email: user.email, type: 'access' },
+    getSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function verifyAccessToken(token) {
+  const payload = jwt.verify(token, getSecret());
+  if (payload.type !== 'access') {
+    throw new Error('Invalid token type');
+  }
+  return payload;
+}
+
+// A rotated refresh token that comes back within this many seconds (parallel
+// requests that all hit an expired access token) gets the session it was
+// replaced by, instead of counting as token reuse
+const ROTATION_GRACE_SECONDS = 30;
+
+function signRefreshToken(userId, sessionId) {
+  return jwt.sign(
+    { sub: userId, sid: sessionId, type: 'refresh' },
+    getSecret(),
+    { expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d` }
+  );
+}
+
+// Long-lived token backed by a user_sessions row so it can be revoked.
+// Pass a transaction client to create it as part of a larger change.
+async function createSession(user, userAgent = null, client = db) {
+  const result = await client.query(`
+    INSERT INTO user_sessions (user_id, expires_at, user_agent)
+    VALUES ($1, NOW() + ($2 || ' days')::interval, $3)
+    RETURNING id, expires_at
+  `, [user.id, REFRESH_TOKEN_TTL_DAYS, userAgent]);
+
+  const session = result.rows[0];
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken: signRefreshToken(user.id, session.id),
+    expiresAt: session.expires_at
+  };
+}
+
+// Revoke the session and start its replacement, unless another request
+// rotated it first. Returns the new tokens, or null if it was already revoked.
+async function rotateSession(session, user, userAgent) {
+  return db.transaction(async (client) => {
+    const revoked = await client.query(
+      'UPDATE user_sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING id',
+      [session.id]
+    );
+    if (revoked.rows.length === 0) return null;
+
+    const tokens = await createSession(user, userAgent, client);
+    const { sid } = jwt.decode(tokens.refreshToken);
+
+    await client.query('UPDATE user_sessions SET replaced_by = $2 WHERE id = $1', [session.id, sid]);
+    return tokens;
+  });
+}
+
+// Tokens for the live session a session was replaced by in the last
+// ROTATION_GRACE_SECONDS, or null
+async function graceTokens(sessionId, user) {
+  const result = await db.query(`
+    SELECT next.id, next.expires_at
+    FROM user_sessions prev
+    JOIN user_sessions next ON next.id = prev.replaced_by
+    WHERE prev.id = $1
+      AND prev.revoked_at > NOW() - ($2 || ' seconds')::interval
+      AND next.revoked_at IS NULL AND next.expires_at > NOW()
+  `, [sessionId, ROTATION_GRACE_SECONDS]);
+
+  const replacement = result.rows[0];
+  if (!replacement) return null;
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken: signRefreshToken(user.id, replacement.id),
+    expiresAt: replacement.expires_at
+  };
+}
+
+// Exchange a refresh token for a new token pair (rotation).
+// Reusing an already rotated token revokes every session of that user, unless
+// it was rotated moments ago (see ROTATION_GRACE_SECONDS).
+async function refreshSession(refreshToken, userAgent = null) {
+  const payload = jwt.verify(refreshToken, getSecret());
+  if (payload.type !== 'refresh') {
+    throw new Error('Invalid token type');
+  }
+
+  const result = await db.query(`
+    SELECT us.*, u.email
+    FROM user_sessions us
+    JOIN users u ON us.user_id = u.id
+    WHERE us.id = $1 AND us.user_id = $2
+  `, [payload.sid, payload.sub]);
+
+  const session = result.rows[0];
+  if (!session || new Date(session.expires_at) < new Date()) {
+    throw new Error('Session expired');
+  }
+
+  const user = { id: session.user_id, email: session.email };
+  const tokens = (!session.revoked_at && await rotateSession(session, user, userAgent))
+    || await graceTokens(session.id, user);
+
+  if (!tokens) {
+    await revokeAllSessions(session.user_id);
+    throw new Error('Session revoked');
+  }
+
+  return { user, ...tokens };
+}
+
+async function revokeSession(refreshToken) {
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, getSecret());
+  } catch (err) {
+    return;
+  }
+
+  await db.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL',
+    [payload.sid]
+  );
+}
+
+async function revokeAllSessions(userId) {
+  await db.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+}
+
+module.exports = {
+  ROTATION_GRACE_SECONDS,
+  signAccessToken,
+  verifyAccessToken,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions
+};
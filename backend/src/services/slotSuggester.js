@@ -0,0 +1,172 @@
+const db = require('../config/database');
+const postingFrequency = require('./postingFrequency');
+const { DAYS, formatInZone } = require('./timezone');
+const { httpError } = require('../utils/httpError');
+
+// Ranked open posting slots for an account in a subreddit. Slots are whole
+// UTC hours (best_posting_times is keyed by UTC day and hour), scored by:
+// - how good the hour is for the subreddit (its top 3 hours that weekday,
+//   with a little credit for the hours next to them)
+// - the subreddit's posting frequency limit (conflicting slots are dropped)
+// - how many other posts the account already has around that time, in any
+//   subreddit, so suggestions don't pile one account's posts into one hour
+// Slots are picked one at a time and each pick counts as a post for the next,
+// so the suggestions also respect the frequency limit and spacing among themselves.
+
+const HOUR_MS = 60 * 60 * 1000;
+const MIN_LEAD_MS = 15 * 60 * 1000;
+const RANK_SCORES = [3, 2, 1];
+const NEIGHBOUR_SCORE = 0.5;
+const NO_DATA_SCORE = 1;
+const SAME_HOUR_PENALTY = 2;
+const NEARBY_PENALTY = 0.5;
+const NEARBY_HOURS = 3;
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// How good a UTC hour is for the subreddit: { score, reason }
+function scoreHour(bestTimes, slot, subredditName) {
+  if (!bestTimes || Object.keys(bestTimes).length === 0) {
+    return { score: NO_DATA_SCORE, reason: null };
+  }
+
+  const day = DAYS[slot.getUTCDay()];
+  const hours = bestTimes[day] || [];
+  const rank = hours.indexOf(slot.getUTCHours());
+
+  if (rank !== -1) {
+    return {
+      score: RANK_SCORES[rank] || 1,
+      reason: `#${rank + 1} hour for r/${subredditName} on ${capitalize(day)}s`
+    };
+  }
+
+  const near = hours.some(hour => Math.abs(hour - slot.getUTCHours()) === 1);
+  if (near) {
+    return { score: NEIGHBOUR_SCORE, reason: `Next to a top hour for r/${subredditName}` };
+  }
+
+  return { score: 0, reason: null };
+}
+
+// Penalty for the account's other posts around a slot: { penalty, reason }
+function scoreSpacing(accountTimes, slot) {
+  let sameHour = 0;
+  let nearby = 0;
+
+  for (const time of accountTimes) {
+    const distance = Math.abs(time.getTime() - slot.getTime());
+    if (distance < HOUR_MS) sameHour++;
+    else if (distance < NEARBY_HOURS * HOUR_MS) nearby++;
+  }
+
+  const penalty = sameHour * SAME_HOUR_PENALTY + nearby * NEARBY_PENALTY;
+  const reasons = [];
+  if (sameHour) reasons.push(`${sameHour} other post${sameHour > 1 ? 's' : ''} from this account within the hour`);
+  if (nearby) reasons.push(`${nearby} other post${nearby > 1 ? 's' : ''} from this account within ${NEARBY_HOURS} hours`);
+
+  return { penalty, reasons };
+}
+
+// Everything the account has posted or will post, in any subreddit, in the range
+async function getAccountPostTimes(accountId, from, until) {
+  const result = await db.query(`
+    SELECT posted_at AS at
+    FROM posted_content
+    WHERE reddit_account_id = $1 AND posted_at BETWEEN $2 AND $3
+    UNION ALL
+    SELECT scheduled_for AS at
+    FROM scheduled_posts
+    WHERE reddit_account_id = $1 AND status IN ('scheduled', 'paused', 'posting')
+      AND scheduled_for BETWEEN $2 AND $3
+  `, [accountId, from, until]);
+
+  return result.rows.map(row => new Date(row.at));
+}
+
+// Returns { subreddit, timezone, based_on, slots: [{ scheduled_for, scheduled_for_local, score, reasons }] }.
+// Throws errors with status 404 when the account or subreddit doesn't exist.
+async function suggestSlots(userId, { subredditId, accountId, count = 5, days = 7, timeZone, now = new Date() }) {
+  const account = await db.query(
+    'SELECT id, reddit_username FROM reddit_accounts WHERE id = $1 AND user_id = $2',
+    [accountId, userId]
+  );
+  if (account.rows.length === 0) {
+    throw httpError('Reddit account not found', 404);
+  }
+
+  const subredditResult = await db.query(
+    'SELECT id, name, best_posting_times, posting_frequency_hours FROM subreddits WHERE id = $1',
+    [subredditId]
+  );
+  const subreddit = subredditResult.rows[0];
+  if (!subreddit) {
+    throw httpError('Subreddit not found', 404);
+  }
+
+  const from = new Date(Math.ceil((now.getTime() + MIN_LEAD_MS) / HOUR_MS) * HOUR_MS);
+  const until = new Date(from.getTime() + days * 24 * HOUR_MS);
+  const frequencyHours = subreddit.posting_frequency_hours;
+
+  const subredditTimes = frequencyHours
+    ? await postingFrequency.getPostTimes(accountId, subredditId, frequencyHours)
+    : [];
+  const accountTimes = await getAccountPostTimes(
+    accountId,
+    new Date(from.getTime() - NEARBY_HOURS * HOUR_MS),
+    new Date(until.getTime() + NEARBY_HOURS * HOUR_MS)
+  );
+
+  const candidates = [];
+  for (let at = from.getTime(); at < until.getTime(); at += HOUR_MS) {
+    const slot = new Date(at);
+    candidates.push({ slot, ...scoreHour(subreddit.best_posting_times, slot, subreddit.name) });
+  }
+
+  const slots = [];
+
+  while (slots.length < count) {
+    let best = null;
+
+    for (const candidate of candidates) {
+      if (candidate.taken) continue;
+      if (frequencyHours && postingFrequency.findConflict(subredditTimes, candidate.slot, frequencyHours)) continue;
+
+      const spacing = scoreSpacing(accountTimes, candidate.slot);
+      const score = candidate.score - spacing.penalty;
+
+      // Earlier slot wins a tie
+      if (!best || score > best.score) {
+        best = { candidate, score, spacing };
+      }
+    }
+
+    if (!best) break;
+
+    best.candidate.taken = true;
+    subredditTimes.push(best.candidate.slot);
+    accountTimes.push(best.candidate.slot);
+
+    slots.push({
+      scheduled_for: best.candidate.slot,
+      scheduled_for_local: formatInZone(best.candidate.slot, timeZone),
+      score: Math.round(best.score * 100) / 100,
+      reasons: [best.candidate.reason, ...best.spacing.reasons].filter(Boolean)
+    });
+  }
+
+  return {
+    subreddit: subreddit.name,
+    timezone: timeZone,
+    based_on: subreddit.best_posting_times && Object.keys(subreddit.best_posting_times).length > 0
+      ? 'best_posting_times'
+      : 'no_data',
+    slots
+  };
+}
+
+module.exports = {
+  suggestSlots
+};
@@ -1,5 +1,6 @@
 const snoowrap = require('snoowrap');
 const db = require('../config/database');
+const tokenService = require('./tokenService');
 
 class SubredditScraper {
   constructor() {
@@ -15,6 +16,9 @@ class SubredditScraper {
     console.log(`Scraping r/${subredditName}...`);
 
     try {
+      // Refresh the service account token before it expires mid-batch
+      await tokenService.ensureFresh(this.reddit);
+
       const sub = await this.reddit.getSubreddit(subredditName);
       await sub.fetch();
 
@@ -37,7 +41,7 @@ class SubredditScraper {
       const engagement = await this.calculateEngagement(sub);
       Object.assign(data, engagement);
 
-      // Analyze best posting times
+      // Analyze best posting times (UTC days and hours)
       data.best_posting_times = await this.analyzeBestPostingTimes(sub);
 
       // Infer niche tags
@@ -68,7 +72,9 @@ class SubredditScraper {
       posting_frequency_hours: null,
       required_flairs: [],
       banned_words: [],
-      content_types_allowed: ['image', 'video', 'gif', 'text']
+      content_types_allowed: ['image', 'video', 'gif', 'text'],
+      // Reddit's own setting; the rules can still ask for no crossposts
+      allows_crossposts: subreddit.is_crosspostable_subreddit !== false
     };
 
     let rulesText = '';
@@ -137,6 +143,10 @@ class SubredditScraper {
       requirements.allows_links_in_profile_only = true;
     }
 
+    if (/no\s*cross-?posts?/i.test(rulesText)) {
+      requirements.allows_crossposts = false;
+    }
+
     // Check posting frequency
     const freqMatch = rulesText.match(/(\d+)\s*(?:posts?|submissions?)\s*per\s*(\d+)?\s*(hour|day)/i);
     if (freqMatch) {
@@ -223,8 +233,8 @@ class SubredditScraper {
 
       for (const post of posts) {
         const date = new Date(post.created_utc * 1000);
-        const day = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][date.getDay()];
-        const hour = date.getHours();
+        const day = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][date.getUTCDay()];
+        const hour = date.getUTCHours();
         const key = `${day}_${hour}`;
 
         if (!performanceByTime[key]) {
@@ -303,11 +313,11 @@ class SubredditScraper {
         allows_links_in_post, allows_links_in_comments, allows_links_in_profile_only,
         posting_frequency_limit, posting_frequency_hours,
         required_flairs, banned_words, content_types_allowed,
-        best_posting_times, niche_tags,
+        best_posting_times, niche_tags, allows_crossposts,
         last_scraped
       ) VALUES (
         $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19,
-        $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, NOW()
+        $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, NOW()
       )
       ON CONFLICT (name) DO UPDATE SET
         display_name = $2, subscribers = $3, active_users = $4, is_nsfw = $6, description = $7,
@@ -317,6 +327,7 @@ class SubredditScraper {
         allows_links_in_post = $20, allows_links_in_comments = $21,
         posting_frequency_limit = $23, posting_frequency_hours = $24,
         required_flairs = $25, best_posting_times = $28, niche_tags = $29,
+        allows_crossposts = $30,
         last_scraped = NOW(), updated_at = NOW()
     `, [
       data.name, data.display_name, data.subscribers, data.active_users, data.created_utc,
@@ -328,7 +339,7 @@ class SubredditScraper {
       data.allows_links_in_post, data.allows_links_in_comments, data.allows_links_in_profile_only,
       data.posting_frequency_limit, data.posting_frequency_hours,
       data.required_flairs, data.banned_words, data.content_types_allowed,
-      JSON.stringify(data.best_posting_times), data.niche_tags
+      JSON.stringify(data.best_posting_times), data.niche_tags, data.allows_crossposts
     ]);
   }
 
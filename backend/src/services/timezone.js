@@ -0,0 +1,207 @@
+const db = require('../config/database');
+
+// Time zone conversion with no dependencies beyond Intl.
+// Everything is stored in UTC; these convert between UTC instants and
+// wall-clock times in IANA zones (e.g. 'America/New_York'), including DST.
+
+// Same default as scheduled_posts.timezone
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const HOUR_MS = 60 * 60 * 1000;
+
+// 2026-03-08T02:30 or 2026-03-08 02:30:15 - no offset, no Z
+const WALL_CLOCK_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+// The same date and time at the start of an absolute time
+const DATE_TIME_PREFIX = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?/;
+// Anything ending in Z or an offset is already an absolute time
+const ABSOLUTE_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+const formatters = {};
+
+function getFormatter(timeZone) {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'long'
+    });
+  }
+  return formatters[timeZone];
+}
+
+function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Wall-clock parts of a UTC instant in a zone:
+// { year, month, day, hour, minute, second, weekday }
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: parts.weekday.toLowerCase()
+  };
+}
+
+// Zone offset from UTC at an instant, in ms (e.g. -4h for New York in summer)
+function getOffsetMs(date, timeZone) {
+  const time = Math.floor(new Date(date).getTime() / 1000) * 1000;
+  const p = getZonedParts(time, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - time;
+}
+
+// UTC instant for a wall-clock time in a zone.
+// - Times skipped by a spring-forward jump (02:30 on the night clocks go from
+//   02:00 to 03:00) are moved forward by the jump, so 02:30 becomes 03:30.
+// - Times repeated by a fall-back (01:30 happens twice) resolve to the first
+//   occurrence, or the second with { ambiguous: 'later' }.
+function zonedTimeToUtc({ year, month, day, hour, minute = 0, second = 0 }, timeZone, { ambiguous = 'earlier' } = {}) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // A DST change near this time means the offset before and after it differ
+  const offsetBefore = getOffsetMs(asUtc - 12 * HOUR_MS, timeZone);
+  const offsetAfter = getOffsetMs(asUtc + 12 * HOUR_MS, timeZone);
+
+  const candidates = [asUtc - offsetBefore, asUtc - offsetAfter]
+    .filter((time, i, all) => all.indexOf(time) === i)
+    .filter(time => getOffsetMs(time, timeZone) === asUtc - time)
+    .sort((a, b) => a - b);
+
+  if (candidates.length === 0) {
+    // In the spring-forward gap: read the time with the pre-jump offset
+    return new Date(asUtc - offsetBefore);
+  }
+
+  return new Date(ambiguous === 'later' ? candidates[candidates.length - 1] : candidates[0]);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Whether a DATE_TIME_PREFIX match is a date and time that exists on the
+// calendar (month 1-12, day within the month, hour 0-23, minute and second 0-59)
+function isRealDateTime(match) {
+  const [, year, month, day, hour, minute, second = 0] = match.map(Number);
+  return month >= 1 && month <= 12 &&
+    day >= 1 && day <= daysInMonth(year, month) &&
+    hour <= 23 && minute <= 59 && (second || 0) <= 59;
+}
+
+// Parse a schedule time from the client. Accepts an absolute ISO time
+// (with Z or an offset), or a wall-clock time ('2026-03-08T02:30') which is
+// read in timeZone. Throws an error with code 'invalid_time' otherwise,
+// including for dates and times that don't exist (Feb 31, 25:70).
+function parseScheduleTime(value, timeZone, options = {}) {
+  if (value instanceof Date) return value;
+
+  const text = String(value || '').trim();
+  const wallClock = text.match(WALL_CLOCK_PATTERN);
+  const fields = text.match(DATE_TIME_PREFIX);
+  // 2026-02-31 or 25:70 would otherwise roll over into another day
+  const inRange = !fields || isRealDateTime(fields);
+
+  let date = null;
+  if (inRange && wallClock) {
+    const [, year, month, day, hour, minute, second] = wallClock.map(Number);
+    date = zonedTimeToUtc({ year, month, day, hour, minute, second: second || 0 }, timeZone, options);
+  } else if (inRange && ABSOLUTE_PATTERN.test(text)) {
+    date = new Date(text);
+  }
+
+  if (!date || isNaN(date.getTime())) {
+    const error = new Error(`Invalid time "${text}" - use an ISO time with an offset, or YYYY-MM-DDTHH:mm with a timezone`);
+    error.code = 'invalid_time';
+    throw error;
+  }
+
+  return date;
+}
+
+// ISO string of an instant as wall-clock time in a zone, with its offset
+// (e.g. '2026-03-08T03:30:00-04:00')
+function formatInZone(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const offsetMinutes = Math.round(getOffsetMs(date, timeZone) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const abs = Math.abs(offsetMinutes);
+  const pad = n => String(n).padStart(2, '0');
+
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// Convert best posting times ({ monday: [14, 9, 20], ... } keyed by UTC day
+// and hour, best first) to a zone, using the offsets in effect for the week
+// starting at `now`.
+function localizeBestPostingTimes(bestTimes, timeZone, now = new Date()) {
+  const local = {};
+  if (!bestTimes) return local;
+
+  const startOfDay = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+  for (const [day, hours] of Object.entries(bestTimes)) {
+    const daysAhead = (DAYS.indexOf(day) - now.getUTCDay() + 7) % 7;
+
+    hours.forEach((hour, rank) => {
+      const instant = startOfDay + daysAhead * 24 * HOUR_MS + hour * HOUR_MS;
+      const p = getZonedParts(instant, timeZone);
+
+      if (!local[p.weekday]) local[p.weekday] = [];
+      local[p.weekday].push({ hour: p.hour, rank });
+    });
+  }
+
+  // A local day can pick up hours from two UTC days; keep the best 3
+  for (const day of Object.keys(local)) {
+    local[day] = local[day]
+      .sort((a, b) => a.rank - b.rank)
+      .slice(0, 3)
+      .map(h => h.hour);
+  }
+
+  return local;
+}
+
+// The user's display/input zone (users.settings.timezone), or the default
+async function getUserTimezone(userId) {
+  const result = await db.query("SELECT settings->>'timezone' AS timezone FROM users WHERE id = $1", [userId]);
+  const timeZone = result.rows[0] && result.rows[0].timezone;
+
+  return isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DAYS,
+  isValidTimezone,
+  getZonedParts,
+  getOffsetMs,
+  zonedTimeToUtc,
+  parseScheduleTime,
+  formatInZone,
+  localizeBestPostingTimes,
+  getUserTimezone
+};
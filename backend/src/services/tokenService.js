@@ -0,0 +1,83 @@
+const accountStore = require('./accountStore');
+
+// Refresh access tokens this long before they expire
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+function reauthError(reason) {
+  const error = new Error(`Reddit account needs to be reconnected: ${reason}`);
+  error.code = 'needs_reauth';
+  error.status = 409;
+  return error;
+}
+
+// Refresh failures that a retry won't fix (revoked or invalid refresh token)
+function isAuthFailure(error) {
+  const status = error.statusCode || (error.response && error.response.statusCode);
+  return status === 400 || status === 401 || /invalid[ _]grant|invalid_token|unauthorized/i.test(error.message);
+}
+
+function needsRefresh(reddit, marginMs = REFRESH_MARGIN_MS) {
+  return !reddit.accessToken || !reddit.tokenExpiration || reddit.tokenExpiration - Date.now() < marginMs;
+}
+
+// Force snoowrap to fetch a new access token with its refresh token
+async function forceRefresh(reddit) {
+  reddit.tokenExpiration = 0;
+  await reddit.updateAccessToken();
+  return new Date(reddit.tokenExpiration);
+}
+
+// Snoowrap client for a stored account, refreshing the access token first
+// when it's close to expiring. Marks the account needs_reauth if the refresh
+// token has been rejected and throws an error with code 'needs_reauth'.
+// Returns null if the account doesn't exist.
+async function getRedditClient(userId, accountId) {
+  const result = await accountStore.getRedditClient(userId, accountId);
+  if (!result) {
+    return null;
+  }
+
+  const { account, reddit } = result;
+
+  if (account.needs_reauth) {
+    throw reauthError(account.reauth_reason || 'authorization expired');
+  }
+
+  if (!needsRefresh(reddit)) {
+    return reddit;
+  }
+
+  if (!reddit.refreshToken) {
+    await accountStore.markNeedsReauth(account.id, 'no refresh token');
+    throw reauthError('no refresh token');
+  }
+
+  try {
+    const expiresAt = await forceRefresh(reddit);
+    await accountStore.saveAccessToken(account.id, reddit.accessToken, expiresAt);
+  } catch (error) {
+    if (isAuthFailure(error)) {
+      console.warn(`Token refresh rejected for u/${account.reddit_username}:`, error.message);
+      await accountStore.markNeedsReauth(account.id, error.message);
+      throw reauthError(error.message);
+    }
+    throw error;
+  }
+
+  return reddit;
+}
+
+// Proactively refresh an unstored client (e.g. the scraper's service account)
+async function ensureFresh(reddit) {
+  if (reddit.refreshToken && needsRefresh(reddit)) {
+    await forceRefresh(reddit);
+  }
+  return reddit;
+}
+
+module.exports = {
+  REFRESH_MARGIN_MS,
+  getRedditClient,
+  ensureFresh,
+  needsRefresh
+};
@@ -0,0 +1,38 @@
+// Errors services throw for the routes to send as they are: .status is the
+// HTTP status, and details (e.g. { compliance }) are set on the error and
+// sent in the response body next to the message.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function httpError(message, status, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return Object.assign(error, details);
+}
+
+// Send a service error with its status, or log it and send a 500.
+// action names what failed: 'Get campaigns' -> "Failed to get campaigns".
+function sendError(res, error, action) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  console.error(`${action} error:`, error);
+  res.status(500).json({ error: `Failed to ${action.toLowerCase()}` });
+}
+
+// An optional id from a query string or body: null when absent, 400 unless
+// it's a single UUID (a repeated query param arrives as an array)
+function optionalUuid(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || !UUID_PATTERN.test(value)) {
+    throw httpError(`${field} must be a UUID`, 400);
+  }
+  return value;
+}
+
+module.exports = {
+  httpError,
+  sendError,
+  optionalUuid
+};
@@ -0,0 +1,127 @@
+require('dotenv').config();
+const publishQueue = require('./services/publishQueue');
+const autoDeleteQueue = require('./services/autoDeleteQueue');
+const { publishScheduledPost, recoverStalePosts } = require('./services/postPublisher');
+const { runAutoDeleteCheck, recordCheckFailure } = require('./services/autoDeleter');
+const { generateAll } = require('./services/recurringSchedules');
+const { pollDuePosts } = require('./services/postMetrics');
+const { rollupAll } = require('./services/analyticsRollup');
+const RedditTransport = require('./services/redditTransport');
+const FakeRedditTransport = require('./services/fakeRedditTransport');
+const { systemClock } = require('./services/clock');
+
+// Scheduled post publisher, auto-delete checker, recurring schedule generator,
+// post metrics poller and daily analytics rollup.
+// Run alongside the API server: `npm run worker`.
+// Set REDDIT_TRANSPORT=fake to exercise the queue without posting to Reddit.
+
+const CONCURRENCY = parseInt(process.env.PUBLISHER_CONCURRENCY || '2');
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+const RECURRING_INTERVAL_MS = 60 * 60 * 1000;
+const METRICS_INTERVAL_MS = 60 * 1000;
+const ROLLUP_INTERVAL_MS = 60 * 60 * 1000;
+
+function createTransport() {
+  if (process.env.REDDIT_TRANSPORT === 'fake') {
+    console.log('⚠ Using fake Reddit transport - nothing will be posted');
+    return new FakeRedditTransport();
+  }
+  return new RedditTransport();
+}
+
+async function start() {
+  const transport = createTransport();
+  const queue = publishQueue.getQueue();
+
+  queue.process(CONCURRENCY, async (job) => {
+    const result = await publishScheduledPost(job.data.scheduledPostId, { transport, clock: systemClock });
+    console.log(`Scheduled post ${job.data.scheduledPostId}: ${result.status}`);
+    return result;
+  });
+
+  queue.on('failed', (job, error) => {
+    console.error(`✗ Scheduled post ${job.data.scheduledPostId} failed:`, error.message);
+  });
+
+  const autoDeletes = autoDeleteQueue.getQueue();
+
+  autoDeletes.process(async (job) => {
+    const result = await runAutoDeleteCheck(job.data.postedContentId, { transport });
+    console.log(`Auto-delete check ${job.data.postedContentId}: ${result.status}`);
+    return result;
+  });
+
+  autoDeletes.on('failed', (job, error) => {
+    console.error(`✗ Auto-delete check ${job.data.postedContentId} failed:`, error.message);
+    if (autoDeleteQueue.isFinalAttempt(job)) {
+      recordCheckFailure(job.data.postedContentId, error).catch(err => {
+        console.error(`Recording auto-delete failure for ${job.data.postedContentId} failed:`, err.message);
+      });
+    }
+  });
+
+  const generated = await generateAll();
+  const stale = await recoverStalePosts({ transport, clock: systemClock });
+  const added = await publishQueue.syncScheduledPosts();
+  const checks = await autoDeleteQueue.syncPendingChecks();
+
+  // Catch jobs that were lost (Redis outage, edits while a job was running)
+  // and posts left in 'posting' by a failed or killed attempt
+  setInterval(() => {
+    publishQueue.syncScheduledPosts().catch(error => {
+      console.error('Scheduled post sync failed:', error.message);
+    });
+    recoverStalePosts({ transport, clock: systemClock }).catch(error => {
+      console.error('Stale post recovery failed:', error.message);
+    });
+    autoDeleteQueue.syncPendingChecks().catch(error => {
+      console.error('Auto-delete sync failed:', error.message);
+    });
+  }, SYNC_INTERVAL_MS);
+
+  // Keep each recurring schedule's window of upcoming posts filled
+  setInterval(() => {
+    generateAll().catch(error => {
+      console.error('Recurring schedule generation failed:', error.message);
+    });
+  }, RECURRING_INTERVAL_MS);
+
+  // Refresh live posts' scores; a sweep that runs long isn't overlapped
+  let polling = false;
+  setInterval(() => {
+    if (polling) return;
+    polling = true;
+    pollDuePosts({ transport })
+      .catch(error => {
+        console.error('Post metrics poll failed:', error.message);
+      })
+      .finally(() => {
+        polling = false;
+      });
+  }, METRICS_INTERVAL_MS);
+
+  // Keep yesterday's and today's analytics_daily rows current; yesterday's
+  // becomes final on the first run after midnight
+  setInterval(() => {
+    rollupAll().catch(error => {
+      console.error('Analytics rollup failed:', error.message);
+    });
+  }, ROLLUP_INTERVAL_MS);
+
+  console.log(`Publisher worker running (concurrency ${CONCURRENCY}), ${added} scheduled posts and ${checks} auto-delete checks re-queued, ${generated} recurring posts generated, ${stale.recovered} stuck posts recorded as posted and ${stale.failed} failed`);
+}
+
+async function shutdown(signal) {
+  console.log(`${signal} received, closing queues`);
+  await publishQueue.close();
+  await autoDeleteQueue.close();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start().catch((error) => {
+  console.error('Worker failed to start:', error);
+  process.exit(1);
+});
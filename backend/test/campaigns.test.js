@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The database, the queue and the re-spread are replaced by recorders
+const queries = [];
+let pausedPosts = [];
+
+require.cache[require.resolve('../src/config/database')] = {
+  exports: {
+    query: async (sql, params = []) => {
+      queries.push({ sql, params });
+      return { rows: /SET status = 'scheduled'/.test(sql) ? pausedPosts : [] };
+    }
+  }
+};
+
+const queued = [];
+require.cache[require.resolve('../src/services/publishQueue')] = {
+  exports: { schedulePost: async post => { queued.push(post.id); } }
+};
+
+const respreads = [];
+require.cache[require.resolve('../src/services/postingPause')] = {
+  exports: {
+    respreadHeldPosts: async (userId, options) => {
+      respreads.push([userId, options]);
+      return 1;
+    }
+  }
+};
+
+const campaigns = require('../src/services/campaigns');
+
+const HOUR = 60 * 60 * 1000;
+const CAMPAIGN_ID = '8a4c9a52-1d5f-4b53-9d1e-3f0b6a2c7e10';
+const POST_ID = '1f2e3d4c-5b6a-4978-8695-a4b3c2d1e0f9';
+
+test.beforeEach(() => {
+  queries.length = 0;
+  queued.length = 0;
+  respreads.length = 0;
+});
+
+test('resuming re-spreads the overdue posts and queues the rest at their times', async () => {
+  pausedPosts = [
+    { id: 'overdue', scheduled_for: new Date(Date.now() - HOUR), next_retry_at: null },
+    { id: 'upcoming', scheduled_for: new Date(Date.now() + HOUR), next_retry_at: null }
+  ];
+
+  const result = await campaigns.resumeCampaign('user-1', CAMPAIGN_ID);
+
+  assert.deepEqual(result, { resumed: 2, rescheduled: 1 });
+  assert.deepEqual(respreads, [['user-1', { campaignId: CAMPAIGN_ID }]]);
+  assert.deepEqual(queued, ['upcoming']);
+});
+
+test('adding to a campaign only takes UUIDs', async () => {
+  for (const ids of [['not-a-uuid'], [POST_ID, 42], [null]]) {
+    await assert.rejects(
+      campaigns.addToCampaign('user-1', CAMPAIGN_ID, 'scheduled_posts', ids),
+      error => error.status === 400
+    );
+  }
+  assert.equal(queries.length, 0);
+
+  await campaigns.addToCampaign('user-1', CAMPAIGN_ID, 'scheduled_posts', [POST_ID]);
+  assert.deepEqual(queries[0].params, [CAMPAIGN_ID, [POST_ID], 'user-1']);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const queries = [];
+
+require.cache[require.resolve('../src/config/database')] = {
+  exports: {
+    query: async (sql, params = []) => {
+      queries.push({ sql, params });
+      return { rows: [] };
+    }
+  }
+};
+require.cache[require.resolve('../src/services/publishQueue')] = {
+  exports: { schedulePost: async () => {}, removePost: async () => true }
+};
+
+const crossposts = require('../src/services/crossposts');
+const { VirtualClock } = require('../src/services/clock');
+
+test('waitForParent sets next_retry_at from the clock it is given', async () => {
+  const clock = new VirtualClock(new Date('2026-05-01T12:00:00Z'));
+
+  await crossposts.waitForParent({ id: 'crosspost-1' }, { clock });
+
+  const [postId, nextRetryAt] = queries[0].params;
+  assert.equal(postId, 'crosspost-1');
+  assert.equal(nextRetryAt.getTime(), new Date('2026-05-01T12:00:00Z').getTime() + crossposts.WAIT_MS);
+  assert.doesNotMatch(queries[0].sql, /NOW\(\) \+/);
+});
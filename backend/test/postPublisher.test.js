@@ -0,0 +1,365 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The publisher runs against FakeRedditTransport, with the database, the
+// queues and crossposts replaced by recorders (set up before it's required).
+const queries = [];
+let respond = () => [];
+
+async function query(sql, params = []) {
+  queries.push({ sql, params });
+  return { rows: respond(sql, params) || [] };
+}
+
+require.cache[require.resolve('../src/config/database')] = {
+  exports: {
+    query,
+    transaction: work => work({ query })
+  }
+};
+
+const queued = { scheduled: [], removed: [], autoDeleteChecks: [] };
+
+require.cache[require.resolve('../src/services/publishQueue')] = {
+  exports: {
+    schedulePost: async post => { queued.scheduled.push(post); },
+    removePost: async post => { queued.removed.push(post); return true; }
+  }
+};
+
+require.cache[require.resolve('../src/services/autoDeleteQueue')] = {
+  exports: {
+    scheduleCheck: async check => { queued.autoDeleteChecks.push(check); }
+  }
+};
+
+const crosspostCalls = [];
+
+require.cache[require.resolve('../src/services/crossposts')] = {
+  exports: {
+    checkParent: async () => ({ action: 'wait' }),
+    waitForParent: async (post, options) => { crosspostCalls.push(['wait', post.id, options.clock]); },
+    releaseCrossposts: async postId => { crosspostCalls.push(['release', postId]); },
+    cancelCrossposts: async (postIds, reason) => { crosspostCalls.push(['cancel', postIds, reason]); return []; }
+  }
+};
+
+const { publishScheduledPost, recoverStalePosts } = require('../src/services/postPublisher');
+const FakeRedditTransport = require('../src/services/fakeRedditTransport');
+const { VirtualClock } = require('../src/services/clock');
+
+const NOW = new Date('2026-05-01T12:00:00Z');
+
+function scheduledPost(overrides = {}) {
+  return {
+    id: 'post-1',
+    user_id: 'user-1',
+    reddit_account_id: 'account-1',
+    subreddit_id: 'subreddit-1',
+    content_item_id: 'item-1',
+    media_upload_id: null,
+    post_type: 'text',
+    title: 'Morning light',
+    body: 'Shot this on the way to work',
+    status: 'posting',
+    retry_count: 0,
+    max_retries: 3,
+    auto_comment: null,
+    auto_delete_hours: null,
+    auto_delete_if_below_upvotes: null,
+    ...overrides
+  };
+}
+
+// Answer the publisher's queries for a post that is due (claimed) or not
+// (claim returns nothing and the status lookup returns currentStatus)
+function usePost(post, { currentStatus = null } = {}) {
+  respond = (sql, params) => {
+    if (/SET status = 'posting'/.test(sql)) {
+      return currentStatus ? [] : [post];
+    }
+    if (/SELECT sp.status/.test(sql)) {
+      return currentStatus ? [{ status: currentStatus, held: false }] : [];
+    }
+    if (/FROM subreddits s/.test(sql)) {
+      return [{ subreddit_name: 'pics', media_url: null }];
+    }
+    if (/INSERT INTO posted_content/.test(sql)) {
+      return [{ id: 'posted-1', reddit_post_id: params[5] }];
+    }
+    if (/SET status = 'posted'/.test(sql)) {
+      return [{ id: post.id }];
+    }
+    if (/retry_count = retry_count \+ 1/.test(sql)) {
+      return [{ ...post, status: 'scheduled', retry_count: post.retry_count + 1, next_retry_at: params[1] }];
+    }
+    return [];
+  };
+}
+
+function findQuery(pattern) {
+  return queries.find(query => pattern.test(query.sql));
+}
+
+function httpFailure(message, statusCode) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+test.beforeEach(() => {
+  queries.length = 0;
+  crosspostCalls.length = 0;
+  queued.scheduled.length = 0;
+  queued.removed.length = 0;
+  queued.autoDeleteChecks.length = 0;
+});
+
+test('publishes a due post, records it in posted_content and leaves the auto-comment', async () => {
+  const transport = new FakeRedditTransport();
+  const clock = new VirtualClock(NOW);
+  usePost(scheduledPost({
+    auto_comment: 'Taken with a 35mm lens',
+    auto_delete_hours: 6,
+    auto_delete_if_below_upvotes: 10
+  }));
+
+  const result = await publishScheduledPost('post-1', { transport, clock });
+
+  assert.equal(result.status, 'posted');
+  assert.equal(result.redditPostId, 't3_fake1');
+  assert.equal(result.postedContentId, 'posted-1');
+
+  assert.equal(transport.submissions.length, 1);
+  assert.equal(transport.submissions[0].kind, 'self');
+  assert.equal(transport.submissions[0].subredditName, 'pics');
+  assert.equal(transport.submissions[0].title, 'Morning light');
+
+  const insert = findQuery(/INSERT INTO posted_content/);
+  const [scheduledPostId, userId, accountId, subredditId, contentItemId, redditPostId, , permalink, title, postedAt] = insert.params;
+  assert.equal(scheduledPostId, 'post-1');
+  assert.equal(userId, 'user-1');
+  assert.equal(accountId, 'account-1');
+  assert.equal(subredditId, 'subreddit-1');
+  assert.equal(contentItemId, 'item-1');
+  assert.equal(redditPostId, 't3_fake1');
+  assert.equal(permalink, 'https://www.reddit.com/r/pics/comments/fake1/');
+  assert.equal(title, 'Morning light');
+  assert.deepEqual(postedAt, NOW);
+
+  assert.ok(findQuery(/UPDATE content_items/));
+  assert.ok(findQuery(/SET status = 'posted'/));
+  assert.deepEqual(crosspostCalls, [['release', 'post-1']]);
+
+  assert.deepEqual(transport.comments.map(({ userId, accountId, thingId, text }) => ({ userId, accountId, thingId, text })), [
+    { userId: 'user-1', accountId: 'account-1', thingId: 't3_fake1', text: 'Taken with a 35mm lens' }
+  ]);
+
+  assert.deepEqual(queued.autoDeleteChecks, [
+    { id: 'posted-1', due_at: new Date('2026-05-01T18:00:00Z') }
+  ]);
+});
+
+test('a failed auto-comment does not fail the post', async () => {
+  const transport = new FakeRedditTransport();
+  usePost(scheduledPost({ auto_comment: 'First!' }));
+
+  // submitPost succeeds, the comment call that follows throws
+  const submitPost = transport.submitPost.bind(transport);
+  transport.submitPost = async post => {
+    const result = await submitPost(post);
+    transport.failNext(httpFailure('Internal Server Error', 500));
+    return result;
+  };
+
+  const result = await publishScheduledPost('post-1', { transport, clock: new VirtualClock(NOW) });
+
+  assert.equal(result.status, 'posted');
+  assert.equal(transport.comments.length, 0);
+  assert.ok(findQuery(/SET status = 'posted'/));
+});
+
+test('a rate limit is retried later and the next attempt queued', async () => {
+  const transport = new FakeRedditTransport().failNext(httpFailure('Too Many Requests', 429));
+  const clock = new VirtualClock(NOW);
+  usePost(scheduledPost({ retry_count: 1 }));
+
+  const result = await publishScheduledPost('post-1', { transport, clock });
+
+  assert.equal(result.status, 'retrying');
+  assert.equal(result.code, 'rate_limited');
+  assert.equal(transport.submissions.length, 0);
+  assert.equal(findQuery(/INSERT INTO posted_content/), undefined);
+
+  const retry = findQuery(/retry_count = retry_count \+ 1/);
+  const [postId, nextRetryAt, failureCode] = retry.params;
+  assert.equal(postId, 'post-1');
+  assert.equal(nextRetryAt.getTime(), NOW.getTime() + result.delayMs);
+  assert.equal(failureCode, 'rate_limited');
+  // Second retry: 4 minutes plus up to 20% jitter
+  assert.ok(result.delayMs >= 4 * 60 * 1000 && result.delayMs <= 4.8 * 60 * 1000);
+
+  assert.equal(queued.scheduled.length, 1);
+  assert.equal(queued.scheduled[0].retry_count, 2);
+  assert.deepEqual(queued.scheduled[0].next_retry_at, nextRetryAt);
+});
+
+test('Reddit being down is retried too', async () => {
+  const transport = new FakeRedditTransport().failNext(httpFailure('Service Unavailable', 503));
+  usePost(scheduledPost());
+
+  const result = await publishScheduledPost('post-1', { transport, clock: new VirtualClock(NOW) });
+
+  assert.equal(result.status, 'retrying');
+  assert.equal(result.code, 'reddit_unavailable');
+  assert.equal(queued.scheduled.length, 1);
+});
+
+test('a retryable failure fails the post once its retries are used up', async () => {
+  const transport = new FakeRedditTransport().failNext(httpFailure('Too Many Requests', 429));
+  usePost(scheduledPost({ retry_count: 3, max_retries: 3 }));
+
+  const result = await publishScheduledPost('post-1', { transport, clock: new VirtualClock(NOW) });
+
+  assert.equal(result.status, 'failed');
+  assert.equal(result.code, 'rate_limited');
+  assert.match(result.reason, /gave up after 4 attempts/);
+  assert.equal(findQuery(/retry_count = retry_count \+ 1/), undefined);
+  assert.equal(queued.scheduled.length, 0);
+
+  const failed = findQuery(/SET status = 'failed'/);
+  assert.deepEqual(failed.params.slice(0, 2), ['post-1', 'rate_limited']);
+  assert.deepEqual(crosspostCalls, [['cancel', ['post-1'], 'the original post failed']]);
+});
+
+test('permanent failures fail the post without a retry', async () => {
+  const needsReauth = Object.assign(new Error('invalid_grant'), { code: 'needs_reauth' });
+  const cases = [
+    [needsReauth, 'needs_reauth'],
+    [httpFailure('Forbidden', 403), 'forbidden'],
+    [new Error("You've been banned from participating in r/pics"), 'banned'],
+    [httpFailure('Not Found', 404), 'not_found']
+  ];
+
+  for (const [error, code] of cases) {
+    queries.length = 0;
+    crosspostCalls.length = 0;
+    const transport = new FakeRedditTransport().failNext(error);
+    usePost(scheduledPost());
+
+    const result = await publishScheduledPost('post-1', { transport, clock: new VirtualClock(NOW) });
+
+    assert.equal(result.status, 'failed', code);
+    assert.equal(result.code, code);
+    assert.equal(findQuery(/retry_count = retry_count \+ 1/), undefined, code);
+    assert.deepEqual(findQuery(/SET status = 'failed'/).params.slice(0, 2), ['post-1', code]);
+    assert.deepEqual(crosspostCalls, [['cancel', ['post-1'], 'the original post failed']]);
+  }
+
+  assert.equal(queued.scheduled.length, 0);
+});
+
+test('a post cancelled or moved after it was queued is skipped, not published', async () => {
+  for (const status of ['cancelled', 'scheduled']) {
+    queries.length = 0;
+    const transport = new FakeRedditTransport();
+    usePost(scheduledPost(), { currentStatus: status });
+
+    const result = await publishScheduledPost('post-1', { transport, clock: new VirtualClock(NOW) });
+
+    assert.deepEqual(result, { status: 'skipped', reason: status });
+    assert.equal(transport.submissions.length, 0);
+    assert.equal(findQuery(/INSERT INTO posted_content/), undefined);
+  }
+});
+
+test('saves the Reddit id first and retries the bookkeeping when it fails', async () => {
+  const transport = new FakeRedditTransport();
+  const post = scheduledPost();
+  usePost(post);
+
+  const answer = respond;
+  let inserts = 0;
+  respond = (sql, params) => {
+    if (/INSERT INTO posted_content/.test(sql) && ++inserts === 1) {
+      throw new Error('Connection terminated unexpectedly');
+    }
+    return answer(sql, params);
+  };
+
+  const result = await publishScheduledPost('post-1', { transport, clock: new VirtualClock(NOW) });
+
+  assert.equal(result.status, 'posted');
+  assert.equal(inserts, 2);
+  assert.equal(transport.submissions.length, 1);
+
+  const saved = findQuery(/SET reddit_post_id = \$2/);
+  assert.deepEqual(saved.params.slice(0, 2), ['post-1', 't3_fake1']);
+  assert.ok(queries.indexOf(saved) < queries.findIndex(query => /INSERT INTO posted_content/.test(query.sql)));
+  assert.deepEqual(crosspostCalls, [['release', 'post-1']]);
+});
+
+test('a stuck post Reddit accepted is recorded as posted as of its last attempt', async () => {
+  const transport = new FakeRedditTransport();
+  const lastAttemptAt = new Date('2026-05-01T11:00:00Z');
+  const post = scheduledPost({
+    auto_comment: 'First!',
+    last_attempt_at: lastAttemptAt,
+    reddit_post_id: 't3_abc',
+    reddit_url: 'https://www.reddit.com/r/pics/comments/abc/',
+    permalink: 'https://www.reddit.com/r/pics/comments/abc/'
+  });
+  usePost(post);
+  const answer = respond;
+  respond = (sql, params) => (/WHERE status = 'posting' AND last_attempt_at < \$1/.test(sql) ? [post] : answer(sql, params));
+
+  const result = await recoverStalePosts({ transport, clock: new VirtualClock(NOW) });
+
+  assert.deepEqual(result, { recovered: 1, failed: 0 });
+  assert.deepEqual(findQuery(/WHERE status = 'posting' AND last_attempt_at < \$1/).params, [new Date('2026-05-01T11:45:00Z')]);
+  assert.equal(transport.submissions.length, 0);
+
+  const insert = findQuery(/INSERT INTO posted_content/);
+  assert.equal(insert.params[5], 't3_abc');
+  assert.deepEqual(insert.params[9], lastAttemptAt);
+  assert.deepEqual(crosspostCalls, [['release', 'post-1']]);
+  assert.deepEqual(transport.comments.map(comment => comment.thingId), ['t3_abc']);
+});
+
+test('a stuck post with no Reddit id is failed as interrupted', async () => {
+  const transport = new FakeRedditTransport();
+  const post = scheduledPost({ last_attempt_at: new Date('2026-05-01T11:00:00Z'), reddit_post_id: null });
+  respond = sql => {
+    if (/WHERE status = 'posting' AND last_attempt_at < \$1/.test(sql)) return [post];
+    if (/failure_code = 'interrupted'/.test(sql)) return [{ id: post.id }];
+    return [];
+  };
+
+  const result = await recoverStalePosts({ transport, clock: new VirtualClock(NOW) });
+
+  assert.deepEqual(result, { recovered: 0, failed: 1 });
+  assert.equal(findQuery(/INSERT INTO posted_content/), undefined);
+  assert.deepEqual(crosspostCalls, [['cancel', ['post-1'], 'the original post failed']]);
+});
+
+test('a stuck post that was recorded in the meantime is left alone', async () => {
+  const transport = new FakeRedditTransport();
+  const post = scheduledPost({ last_attempt_at: new Date('2026-05-01T11:00:00Z'), reddit_post_id: 't3_abc' });
+  respond = sql => (/WHERE status = 'posting' AND last_attempt_at < \$1/.test(sql) ? [post] : []);
+
+  const result = await recoverStalePosts({ transport, clock: new VirtualClock(NOW) });
+
+  assert.deepEqual(result, { recovered: 0, failed: 0 });
+  assert.equal(findQuery(/INSERT INTO posted_content/), undefined);
+  assert.deepEqual(crosspostCalls, []);
+});
+
+test('a crosspost waiting for its original waits on the publisher clock', async () => {
+  const transport = new FakeRedditTransport();
+  const clock = new VirtualClock(NOW);
+  usePost(scheduledPost({ post_type: 'crosspost', crosspost_from_id: 'post-0' }));
+
+  const result = await publishScheduledPost('post-1', { transport, clock });
+
+  assert.deepEqual(result, { status: 'waiting' });
+  assert.deepEqual(crosspostCalls, [['wait', 'post-1', clock]]);
+  assert.equal(transport.submissions.length, 0);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// In-memory stand-in for a Bull queue, enough for publishQueue's job handling
+class FakeQueue {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  async add(data, options) {
+    const job = {
+      id: options.jobId,
+      data,
+      opts: options,
+      state: 'delayed',
+      getState: async () => job.state,
+      remove: async () => { this.jobs.delete(job.id); }
+    };
+    this.jobs.set(job.id, job);
+    return job;
+  }
+
+  async close() {}
+}
+
+require.cache[require.resolve('bull')] = { exports: FakeQueue };
+require.cache[require.resolve('../src/config/database')] = {
+  exports: { query: async () => ({ rows: [] }) }
+};
+
+const publishQueue = require('../src/services/publishQueue');
+
+const HOUR = 60 * 60 * 1000;
+
+function post(overrides = {}) {
+  return {
+    id: 'post-1',
+    retry_count: 0,
+    next_retry_at: null,
+    scheduled_for: new Date(Date.now() + 2 * HOUR),
+    ...overrides
+  };
+}
+
+test.beforeEach(() => {
+  publishQueue.getQueue().jobs.clear();
+});
+
+test('cancelling a post removes its pending job', async () => {
+  await publishQueue.schedulePost(post());
+  assert.ok(publishQueue.getQueue().jobs.has('post-1:0'));
+
+  assert.equal(await publishQueue.removePost(post()), true);
+  assert.equal(publishQueue.getQueue().jobs.size, 0);
+});
+
+test('removing a post that has no job is a no-op', async () => {
+  assert.equal(await publishQueue.removePost(post()), false);
+});
+
+test('a job that is already running is left alone', async () => {
+  const job = await publishQueue.schedulePost(post());
+  job.state = 'active';
+
+  assert.equal(await publishQueue.removePost(post()), false);
+  assert.ok(publishQueue.getQueue().jobs.has('post-1:0'));
+});
+
+test('moving a post replaces its job with one for the new time', async () => {
+  const first = await publishQueue.schedulePost(post());
+  const moved = await publishQueue.schedulePost(post({ scheduled_for: new Date(Date.now() + 5 * HOUR) }));
+
+  const jobs = [...publishQueue.getQueue().jobs.values()];
+  assert.deepEqual(jobs, [moved]);
+  assert.notEqual(moved, first);
+  assert.ok(moved.opts.delay > 4.9 * HOUR && moved.opts.delay <= 5 * HOUR);
+  assert.deepEqual(moved.data, { scheduledPostId: 'post-1' });
+});
+
+test('a retry is queued under its own job id at next_retry_at', async () => {
+  await publishQueue.schedulePost(post());
+  const retry = await publishQueue.schedulePost(post({
+    retry_count: 1,
+    next_retry_at: new Date(Date.now() + 10 * 60 * 1000)
+  }));
+
+  assert.equal(retry.id, 'post-1:1');
+  assert.ok(retry.opts.delay <= 10 * 60 * 1000);
+  // The first attempt's job has its own id, so it isn't touched
+  assert.ok(publishQueue.getQueue().jobs.has('post-1:0'));
+});
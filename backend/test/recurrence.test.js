@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const recurrence = require('../src/services/recurrence');
+const { formatInZone } = require('../src/services/timezone');
+
+const NEW_YORK = 'America/New_York';
+
+function localTimes(dates) {
+  return dates.map(date => formatInZone(date, NEW_YORK));
+}
+
+test('expand keeps a daily post at the same local time across spring-forward', () => {
+  const occurrences = recurrence.expand('FREQ=DAILY', {
+    start: new Date('2026-03-06T14:00:00Z'), // 09:00 EST
+    timeZone: NEW_YORK,
+    until: new Date('2026-03-11T00:00:00Z')
+  });
+
+  assert.deepEqual(occurrences.map(d => d.toISOString()), [
+    '2026-03-06T14:00:00.000Z',
+    '2026-03-07T14:00:00.000Z',
+    '2026-03-08T13:00:00.000Z',
+    '2026-03-09T13:00:00.000Z',
+    '2026-03-10T13:00:00.000Z'
+  ]);
+  assert.ok(localTimes(occurrences).every(time => time.slice(11, 16) === '09:00'));
+});
+
+test('expand keeps a daily post at the same local time across fall-back', () => {
+  const occurrences = recurrence.expand('FREQ=DAILY;COUNT=4', {
+    start: new Date('2026-10-30T13:00:00Z'), // 09:00 EDT
+    timeZone: NEW_YORK,
+    until: new Date('2026-12-01T00:00:00Z')
+  });
+
+  assert.deepEqual(occurrences.map(d => d.toISOString()), [
+    '2026-10-30T13:00:00.000Z',
+    '2026-10-31T13:00:00.000Z',
+    '2026-11-01T14:00:00.000Z',
+    '2026-11-02T14:00:00.000Z'
+  ]);
+});
+
+test('expand moves an occurrence in the spring-forward gap on by the jump', () => {
+  const occurrences = recurrence.expand('FREQ=DAILY;BYHOUR=2;BYMINUTE=30', {
+    start: new Date('2026-03-07T07:30:00Z'), // 02:30 EST
+    timeZone: NEW_YORK,
+    until: new Date('2026-03-10T00:00:00Z')
+  });
+
+  assert.deepEqual(localTimes(occurrences), [
+    '2026-03-07T02:30:00-05:00',
+    '2026-03-08T03:30:00-04:00',
+    '2026-03-09T02:30:00-04:00'
+  ]);
+});
+
+test('expand posts once, at the first 01:30, on the night clocks fall back', () => {
+  const occurrences = recurrence.expand('FREQ=DAILY;BYHOUR=1;BYMINUTE=30', {
+    start: new Date('2026-10-31T05:30:00Z'), // 01:30 EDT
+    timeZone: NEW_YORK,
+    until: new Date('2026-11-03T00:00:00Z')
+  });
+
+  assert.deepEqual(localTimes(occurrences), [
+    '2026-10-31T01:30:00-04:00',
+    '2026-11-01T01:30:00-04:00',
+    '2026-11-02T01:30:00-05:00'
+  ]);
+});
+
+test('expand keeps weekly BYDAY occurrences on their local day and hour through both changes', () => {
+  const occurrences = recurrence.expand('FREQ=WEEKLY;BYDAY=SU;BYHOUR=20;BYMINUTE=0', {
+    start: new Date('2026-03-01T12:00:00Z'),
+    timeZone: NEW_YORK,
+    from: new Date('2026-03-01T00:00:00Z'),
+    until: new Date('2026-11-10T00:00:00Z')
+  });
+
+  const local = localTimes(occurrences);
+  assert.equal(local[0], '2026-03-01T20:00:00-05:00');
+  assert.equal(local[1], '2026-03-08T20:00:00-04:00');
+  assert.equal(local[local.length - 2], '2026-11-01T20:00:00-05:00');
+  assert.equal(local[local.length - 1], '2026-11-08T20:00:00-05:00');
+  assert.ok(local.every(time => time.slice(11, 16) === '20:00'));
+  assert.ok(occurrences.every(date => date.getUTCDay() === 1)); // 20:00 Sunday in New York is Monday in UTC
+});
+
+test('expand rejects a malformed rule with invalid_rrule', () => {
+  assert.throws(
+    () => recurrence.expand('FREQ=YEARLY', { start: new Date(), timeZone: NEW_YORK, until: new Date() }),
+    { code: 'invalid_rrule' }
+  );
+});
+
+test('remainingRule lowers COUNT to the occurrences left after a split', () => {
+  const start = new Date('2026-03-02T14:00:00Z'); // 09:00 EST
+  const occurrences = recurrence.expand('FREQ=DAILY;COUNT=10', { start, timeZone: NEW_YORK, until: new Date('2026-04-01T00:00:00Z') });
+  const sixth = occurrences[5];
+
+  const rule = recurrence.remainingRule('FREQ=DAILY;COUNT=10', { start, timeZone: NEW_YORK, from: sixth });
+  assert.equal(rule, 'FREQ=DAILY;COUNT=5');
+
+  // Both halves together make the original ten posts
+  const rest = recurrence.expand(rule, { start: sixth, timeZone: NEW_YORK, until: new Date('2026-04-01T00:00:00Z') });
+  assert.deepEqual([...occurrences.slice(0, 5), ...rest].map(d => d.toISOString()), occurrences.map(d => d.toISOString()));
+});
+
+test('remainingRule leaves rules without COUNT alone', () => {
+  const rule = 'FREQ=WEEKLY;BYDAY=TU;UNTIL=20261231';
+  assert.equal(recurrence.remainingRule(rule, {
+    start: new Date('2026-03-03T14:00:00Z'),
+    timeZone: NEW_YORK,
+    from: new Date('2026-03-17T13:00:00Z')
+  }), rule);
+});
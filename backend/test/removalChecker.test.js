@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The database and notifications are replaced by recorders
+const queries = [];
+const notified = [];
+
+async function query(sql, params = []) {
+  queries.push({ sql, params });
+  return { rows: [] };
+}
+
+require.cache[require.resolve('../src/config/database')] = {
+  exports: { query, transaction: work => work({ query }) }
+};
+require.cache[require.resolve('../src/services/notifications')] = {
+  exports: { notify: async (client, userId, notification) => { notified.push(notification); } }
+};
+
+const { classify, checkVisibility } = require('../src/services/removalChecker');
+
+function postedContent(overrides = {}) {
+  return {
+    id: 'posted-1',
+    user_id: 'user-1',
+    reddit_post_id: 't3_abc',
+    permalink: 'https://www.reddit.com/r/pics/comments/abc/',
+    removal_status: 'live',
+    ...overrides
+  };
+}
+
+function transportWithVisitorView(view) {
+  return {
+    getPublicPost: async () => {
+      if (view instanceof Error) throw view;
+      return view;
+    }
+  };
+}
+
+test.beforeEach(() => {
+  queries.length = 0;
+  notified.length = 0;
+});
+
+test('classify tells mod removals, the spam filter and author deletions apart', () => {
+  assert.equal(classify({}, {}), 'live');
+  assert.equal(classify({ removedByCategory: 'moderator' }, null), 'removed_by_mods');
+  assert.equal(classify({ removedByCategory: 'automod_filtered' }, {}), 'removed_by_mods');
+  assert.equal(classify({}, { removed: true }), 'removed_by_spam_filter');
+  assert.equal(classify({}, { removedByCategory: 'reddit' }), 'removed_by_spam_filter');
+  assert.equal(classify({ deleted: true }, {}), 'deleted_by_author');
+  assert.equal(classify({}, null), 'live');
+});
+
+test('a newly spam-filtered post is recorded and its owner notified', async () => {
+  const result = await checkVisibility(postedContent(), {}, {
+    transport: transportWithVisitorView({ removed: true })
+  });
+
+  assert.deepEqual(result, { status: 'removed_by_spam_filter', previous: 'live', changed: true, visible: false });
+  assert.deepEqual(queries.find(q => /UPDATE posted_content/.test(q.sql)).params.slice(1, 3), ['removed_by_spam_filter', true]);
+  assert.equal(notified.length, 1);
+});
+
+test('a spam-filtered post stays that way while the visitors view is unavailable', async () => {
+  const post = postedContent({ removal_status: 'removed_by_spam_filter' });
+
+  const result = await checkVisibility(post, {}, {
+    transport: transportWithVisitorView(new Error('503 Service Unavailable'))
+  });
+
+  assert.deepEqual(result, { status: 'removed_by_spam_filter', previous: 'removed_by_spam_filter', changed: false, visible: null });
+  assert.equal(queries.length, 0);
+  assert.equal(notified.length, 0);
+
+  // The next poll that can see it again doesn't notify a second time
+  const next = await checkVisibility(post, {}, { transport: transportWithVisitorView({ removed: true }) });
+  assert.equal(next.changed, false);
+  assert.equal(notified.length, 0);
+});
+
+test('a mod removal is still detected without the visitors view', async () => {
+  const result = await checkVisibility(postedContent({ removal_status: 'removed_by_spam_filter' }), { removedByCategory: 'moderator' }, {
+    transport: transportWithVisitorView(new Error('timeout'))
+  });
+
+  assert.equal(result.status, 'removed_by_mods');
+  assert.equal(notified.length, 1);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// GET /api/schedule and /suggest against a database that records queries
+const queries = [];
+
+require.cache[require.resolve('../src/config/database')] = {
+  exports: {
+    query: async (sql, params = []) => {
+      queries.push({ sql, params });
+      return { rows: [] };
+    }
+  }
+};
+
+const express = require('express');
+const scheduleRoutes = require('../src/routes/schedule');
+const { signAccessToken } = require('../src/services/sessionService');
+
+const ACCOUNT_ID = '5b0e8f3a-2c1d-4e6f-9a7b-8c9d0e1f2a3b';
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/schedule', scheduleRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/schedule`;
+});
+
+test.after(() => {
+  server.close();
+});
+
+test.beforeEach(() => {
+  queries.length = 0;
+});
+
+async function get(path) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    headers: { Authorization: `Bearer ${signAccessToken({ id: 'user-1', email: 'creator@example.com' })}` }
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('GET / rejects malformed filters with a 400', async () => {
+  for (const [path, message] of [
+    ['/?reddit_account_id=12', 'reddit_account_id must be a UUID'],
+    [`/?campaign_id=${ACCOUNT_ID}&campaign_id=${ACCOUNT_ID}`, 'campaign_id must be a UUID'],
+    ['/?start_date=next-tuesday', 'start_date must be a date'],
+    ['/?status=gone', /^status must be one of/]
+  ]) {
+    const { status, body } = await get(path);
+    assert.equal(status, 400, path);
+    assert.match(body.error, message instanceof RegExp ? message : new RegExp(`^${message}$`));
+  }
+  assert.equal(queries.length, 0);
+});
+
+test('GET / passes valid filters on and drops unknown ones', async () => {
+  const { status } = await get(`/?reddit_account_id=${ACCOUNT_ID}&status=scheduled&start_date=2026-05-01&sort=evil`);
+
+  assert.equal(status, 200);
+  assert.deepEqual(queries[0].params, ['user-1', 'scheduled', ACCOUNT_ID, new Date('2026-05-01')]);
+});
+
+test('GET /suggest rejects ids that are not UUIDs', async () => {
+  const { status, body } = await get(`/suggest?subreddit_id=pics&account_id=${ACCOUNT_ID}`);
+
+  assert.equal(status, 400);
+  assert.equal(body.error, 'subreddit_id must be a UUID');
+  assert.equal(queries.length, 0);
+});
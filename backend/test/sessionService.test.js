@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// In-memory user_sessions, answering the queries sessionService makes
+const sessions = new Map();
+const USER = { id: 'user-1', email: 'creator@example.com' };
+
+async function query(sql, params = []) {
+  if (/INSERT INTO user_sessions/.test(sql)) {
+    const session = {
+      id: crypto.randomUUID(),
+      user_id: params[0],
+      expires_at: new Date(Date.now() + params[1] * 24 * 60 * 60 * 1000),
+      revoked_at: null,
+      replaced_by: null
+    };
+    sessions.set(session.id, session);
+    return { rows: [session] };
+  }
+
+  if (/SELECT us\.\*, u\.email/.test(sql)) {
+    const session = sessions.get(params[0]);
+    return { rows: session && session.user_id === params[1] ? [{ ...session, email: USER.email }] : [] };
+  }
+
+  if (/SET revoked_at = NOW\(\) WHERE id = \$1 AND revoked_at IS NULL RETURNING id/.test(sql)) {
+    const session = sessions.get(params[0]);
+    if (!session || session.revoked_at) return { rows: [] };
+    session.revoked_at = new Date();
+    return { rows: [{ id: session.id }] };
+  }
+
+  if (/SET replaced_by = \$2/.test(sql)) {
+    sessions.get(params[0]).replaced_by = params[1];
+    return { rows: [] };
+  }
+
+  if (/JOIN user_sessions next/.test(sql)) {
+    const prev = sessions.get(params[0]);
+    const next = prev && sessions.get(prev.replaced_by);
+    const inGrace = prev && prev.revoked_at > new Date(Date.now() - params[1] * 1000);
+    const live = next && !next.revoked_at && next.expires_at > new Date();
+    return { rows: inGrace && live ? [{ id: next.id, expires_at: next.expires_at }] : [] };
+  }
+
+  if (/WHERE user_id = \$1 AND revoked_at IS NULL/.test(sql)) {
+    for (const session of sessions.values()) {
+      if (session.user_id === params[0] && !session.revoked_at) session.revoked_at = new Date();
+    }
+    return { rows: [] };
+  }
+
+  throw new Error(`Unexpected query: ${sql}`);
+}
+
+require.cache[require.resolve('../src/config/database')] = {
+  exports: { query, transaction: work => work({ query }) }
+};
+
+const jwt = require('jsonwebtoken');
+const sessionService = require('../src/services/sessionService');
+
+function sessionId(refreshToken) {
+  return jwt.decode(refreshToken).sid;
+}
+
+function liveSessions() {
+  return [...sessions.values()].filter(session => !session.revoked_at);
+}
+
+test.beforeEach(() => {
+  sessions.clear();
+});
+
+test('refreshing rotates the session', async () => {
+  const { refreshToken } = await sessionService.createSession(USER);
+
+  const refreshed = await sessionService.refreshSession(refreshToken);
+
+  assert.equal(refreshed.user.id, USER.id);
+  assert.notEqual(sessionId(refreshed.refreshToken), sessionId(refreshToken));
+  assert.equal(sessions.get(sessionId(refreshToken)).replaced_by, sessionId(refreshed.refreshToken));
+  assert.deepEqual(liveSessions().map(session => session.id), [sessionId(refreshed.refreshToken)]);
+});
+
+test('parallel refreshes with the same token share the new session', async () => {
+  const { refreshToken } = await sessionService.createSession(USER);
+
+  const results = await Promise.all([
+    sessionService.refreshSession(refreshToken),
+    sessionService.refreshSession(refreshToken),
+    sessionService.refreshSession(refreshToken)
+  ]);
+
+  const [first] = results;
+  assert.ok(results.every(result => sessionId(result.refreshToken) === sessionId(first.refreshToken)));
+  assert.deepEqual(liveSessions().map(session => session.id), [sessionId(first.refreshToken)]);
+});
+
+test('reusing a token rotated longer ago than the grace window revokes every session', async () => {
+  const { refreshToken } = await sessionService.createSession(USER);
+  const refreshed = await sessionService.refreshSession(refreshToken);
+  sessions.get(sessionId(refreshToken)).revoked_at = new Date(Date.now() - (sessionService.ROTATION_GRACE_SECONDS + 1) * 1000);
+
+  await assert.rejects(sessionService.refreshSession(refreshToken), /Session revoked/);
+
+  assert.deepEqual(liveSessions(), []);
+  await assert.rejects(sessionService.refreshSession(refreshed.refreshToken), /Session revoked/);
+});
+
+test('a logged-out token is not given a grace period', async () => {
+  const { refreshToken } = await sessionService.createSession(USER);
+  const other = await sessionService.createSession(USER);
+  sessions.get(sessionId(refreshToken)).revoked_at = new Date();
+
+  await assert.rejects(sessionService.refreshSession(refreshToken), /Session revoked/);
+
+  assert.ok(sessions.get(sessionId(other.refreshToken)).revoked_at);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { zonedTimeToUtc, parseScheduleTime, formatInZone } = require('../src/services/timezone');
+
+// America/New_York in 2026: clocks jump 02:00 -> 03:00 on March 8 and fall
+// back 02:00 -> 01:00 on November 1
+const NEW_YORK = 'America/New_York';
+
+test('zonedTimeToUtc uses standard and daylight time either side of the changes', () => {
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 1, day: 15, hour: 9 }, NEW_YORK).toISOString(), '2026-01-15T14:00:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 7, day: 1, hour: 9 }, NEW_YORK).toISOString(), '2026-07-01T13:00:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 1, minute: 59 }, NEW_YORK).toISOString(), '2026-03-08T06:59:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 3 }, NEW_YORK).toISOString(), '2026-03-08T07:00:00.000Z');
+});
+
+test('zonedTimeToUtc moves a time skipped by spring-forward on by the jump', () => {
+  const at = zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, NEW_YORK);
+
+  assert.equal(at.toISOString(), '2026-03-08T07:30:00.000Z');
+  assert.equal(formatInZone(at, NEW_YORK), '2026-03-08T03:30:00-04:00');
+});
+
+test('zonedTimeToUtc reads a time repeated by fall-back as the first one unless asked for the later', () => {
+  const wallClock = { year: 2026, month: 11, day: 1, hour: 1, minute: 30 };
+
+  const earlier = zonedTimeToUtc(wallClock, NEW_YORK);
+  const later = zonedTimeToUtc(wallClock, NEW_YORK, { ambiguous: 'later' });
+
+  assert.equal(earlier.toISOString(), '2026-11-01T05:30:00.000Z');
+  assert.equal(formatInZone(earlier, NEW_YORK), '2026-11-01T01:30:00-04:00');
+  assert.equal(later.toISOString(), '2026-11-01T06:30:00.000Z');
+  assert.equal(formatInZone(later, NEW_YORK), '2026-11-01T01:30:00-05:00');
+});
+
+test('zonedTimeToUtc handles a zone whose DST is the other way round', () => {
+  // Sydney falls back on 2026-04-05 and springs forward on 2026-10-04
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 4, day: 5, hour: 2, minute: 30 }, 'Australia/Sydney').toISOString(), '2026-04-04T15:30:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 10, day: 4, hour: 2, minute: 30 }, 'Australia/Sydney').toISOString(), '2026-10-03T16:30:00.000Z');
+});
+
+test('parseScheduleTime reads wall-clock times in the zone, across both DST changes', () => {
+  assert.equal(parseScheduleTime('2026-03-08T02:30', NEW_YORK).toISOString(), '2026-03-08T07:30:00.000Z');
+  assert.equal(parseScheduleTime('2026-03-08 02:30:15', NEW_YORK).toISOString(), '2026-03-08T07:30:15.000Z');
+  assert.equal(parseScheduleTime('2026-11-01T01:30', NEW_YORK).toISOString(), '2026-11-01T05:30:00.000Z');
+  assert.equal(parseScheduleTime('2026-11-01T01:30', NEW_YORK, { ambiguous: 'later' }).toISOString(), '2026-11-01T06:30:00.000Z');
+  assert.equal(parseScheduleTime('2026-11-01T01:30', 'UTC').toISOString(), '2026-11-01T01:30:00.000Z');
+});
+
+test('parseScheduleTime leaves absolute times alone', () => {
+  assert.equal(parseScheduleTime('2026-03-08T02:30:00Z', NEW_YORK).toISOString(), '2026-03-08T02:30:00.000Z');
+  assert.equal(parseScheduleTime('2026-11-01T01:30:00-05:00', NEW_YORK).toISOString(), '2026-11-01T06:30:00.000Z');
+
+  const date = new Date('2026-06-01T12:00:00Z');
+  assert.equal(parseScheduleTime(date, NEW_YORK), date);
+});
+
+test('parseScheduleTime rejects dates and times that do not exist instead of rolling them over', () => {
+  for (const value of [
+    '2026-02-31T10:00',
+    '2026-02-29T10:00',
+    '2026-04-31 09:00',
+    '2026-00-10T10:00',
+    '2026-02-28T25:70',
+    '2026-02-28T24:00',
+    '2026-02-28T10:60',
+    '2026-02-28T10:00:60',
+    '2026-02-31T10:00:00Z',
+    '2026-02-28T24:00:00-05:00'
+  ]) {
+    assert.throws(() => parseScheduleTime(value, NEW_YORK), { code: 'invalid_time' }, value);
+  }
+
+  assert.equal(parseScheduleTime('2028-02-29T10:00', NEW_YORK).toISOString(), '2028-02-29T15:00:00.000Z');
+  assert.equal(parseScheduleTime('2026-12-31T23:59:59', 'UTC').toISOString(), '2026-12-31T23:59:59.000Z');
+});
+
+test('parseScheduleTime rejects anything else with invalid_time', () => {
+  for (const value of ['', 'tomorrow', '2026-03-08', '2026-13-45T25:00Z', null]) {
+    assert.throws(() => parseScheduleTime(value, NEW_YORK), { code: 'invalid_time' });
+  }
+});
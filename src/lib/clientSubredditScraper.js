@@ -33,7 +33,7 @@ class ClientSubredditScraper {
       const engagement = await this.calculateEngagement(name);
       Object.assign(data, engagement);
 
-      // Analyze best posting times
+      // Analyze best posting times (UTC days and hours)
       data.best_posting_times = await this.analyzeBestPostingTimes(name);
 
       // Infer niche tags
@@ -152,8 +152,8 @@ class ClientSubredditScraper {
 
       for (const post of posts) {
         const date = new Date(post.created_utc * 1000);
-        const day = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][date.getDay()];
-        const hour = date.getHours();
+        const day = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][date.getUTCDay()];
+        const hour = date.getUTCHours();
         const key = `${day}_${hour}`;
 
         if (!performanceByTime[key]) {
@@ -10,7 +10,9 @@ const BACKEND_URL = process.env.VUE_APP_BACKEND_URL || 'http://localhost:3001';
 class DataService {
   constructor() {
     this.backendAvailable = null;
-    this.userId = null;
+    this.accessToken = localStorage.getItem('access_token');
+    this.refreshToken = localStorage.getItem('refresh_token');
+    this.refreshing = null;
   }
 
   // Initialize the service
@@ -48,36 +50,136 @@ class DataService {
     return false;
   }
 
-  // Get user ID for backend requests
-  getUserId() {
-    if (!this.userId) {
-      this.userId = localStorage.getItem('user_id');
-      if (!this.userId) {
-        this.userId = 'user-' + Math.random().toString(36).substr(2, 9);
-        localStorage.setItem('user_id', this.userId);
-      }
+  // ==================== Session ====================
+
+  isSignedIn() {
+    return Boolean(this.accessToken);
+  }
+
+  saveSession({ accessToken, refreshToken }) {
+    this.accessToken = accessToken;
+    this.refreshToken = refreshToken;
+    localStorage.setItem('access_token', accessToken);
+    localStorage.setItem('refresh_token', refreshToken);
+  }
+
+  clearSession() {
+    this.accessToken = null;
+    this.refreshToken = null;
+    localStorage.removeItem('access_token');
+    localStorage.removeItem('refresh_token');
+  }
+
+  async register(email, password) {
+    const result = await this.apiRequest('/api/auth/register', {
+      method: 'POST',
+      body: JSON.stringify({ email, password })
+    });
+    this.saveSession(result);
+    return result.user;
+  }
+
+  async login(email, password) {
+    const result = await this.apiRequest('/api/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ email, password })
+    });
+    this.saveSession(result);
+    return result.user;
+  }
+
+  async logout() {
+    if (this.backendAvailable && this.refreshToken) {
+      await this.apiRequest('/api/auth/logout', {
+        method: 'POST',
+        body: JSON.stringify({ refreshToken: this.refreshToken })
+      }).catch(() => {});
     }
-    return this.userId;
+    this.clearSession();
+  }
+
+  async getCurrentUser() {
+    return this.apiRequest('/api/auth/me');
+  }
+
+  // IANA zone used to read wall-clock schedule times and show best posting times
+  async setTimezone(timezone) {
+    return this.apiRequest('/api/auth/me', {
+      method: 'PATCH',
+      body: JSON.stringify({ timezone })
+    });
+  }
+
+  getBrowserTimezone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+
+  // Get a new access token using the stored refresh token. Requests that get a
+  // 401 at the same time share one refresh, so the token is only rotated once.
+  refreshSession() {
+    if (!this.refreshToken) return Promise.resolve(false);
+
+    if (!this.refreshing) {
+      this.refreshing = this.requestRefresh().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async requestRefresh() {
+    const response = await fetch(`${BACKEND_URL}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: this.refreshToken })
+    });
+
+    if (!response.ok) {
+      this.clearSession();
+      return false;
+    }
+
+    this.saveSession(await response.json());
+    return true;
   }
 
   // Backend API helper
-  async apiRequest(endpoint, options = {}) {
+  async apiRequest(endpoint, options = {}, retried = false) {
     if (!this.backendAvailable) {
       throw new Error('Backend not available');
     }
 
+    const headers = {
+      'Content-Type': 'application/json',
+      ...options.headers
+    };
+    const sentToken = this.accessToken;
+    if (sentToken) {
+      headers.Authorization = `Bearer ${sentToken}`;
+    }
+
     const response = await fetch(`${BACKEND_URL}${endpoint}`, {
       ...options,
-      headers: {
-        'Content-Type': 'application/json',
-        'X-User-Id': this.getUserId(),
-        ...options.headers
-      }
+      headers
     });
 
+    // Access token expired - refresh once and retry (no refresh needed if
+    // another request already got a new token meanwhile)
+    if (response.status === 401 && !retried && this.refreshToken) {
+      if (this.accessToken !== sentToken || await this.refreshSession()) {
+        return this.apiRequest(endpoint, options, true);
+      }
+    }
+
     if (!response.ok) {
       const error = await response.json().catch(() => ({}));
-      throw new Error(error.error?.message || `API error: ${response.status}`);
+      const message = typeof error.error === 'string' ? error.error : error.error?.message;
+      // Keep the status and body for callers that need more than the message
+      // (e.g. compliance errors on scheduled posts)
+      const apiError = new Error(message || `API error: ${response.status}`);
+      apiError.status = response.status;
+      apiError.body = error;
+      throw apiError;
     }
 
     return response.json();
@@ -88,7 +190,8 @@ class DataService {
   async connectRedditAccount() {
     if (this.backendAvailable) {
       // Use backend OAuth flow
-      const { authUrl } = await this.apiRequest('/api/auth/reddit/connect?userId=' + this.getUserId());
+      // With credentials, so the browser keeps the cookie the callback checks
+      const { authUrl } = await this.apiRequest('/api/auth/reddit/connect', { credentials: 'include' });
       window.location.href = authUrl;
     } else {
       // Use client-side OAuth
@@ -108,11 +211,22 @@ class DataService {
     }
   }
 
+  // Re-run the OAuth flow for an account whose token can no longer be refreshed.
+  // Authorizing the same Reddit user updates the existing account.
+  async reconnectRedditAccount() {
+    return this.connectRedditAccount();
+  }
+
   async getRedditAccounts() {
     if (this.backendAvailable) {
       return this.apiRequest('/api/accounts');
     } else {
-      return localDB.getRedditAccounts();
+      const accounts = await localDB.getRedditAccounts();
+      return accounts.map(account => ({
+        ...account,
+        needs_reauth: redditClient.needsReauth(account.token_expiry),
+        reauth_reason: redditClient.needsReauth(account.token_expiry) ? 'Reddit session expired' : null
+      }));
     }
   }
 
@@ -133,6 +247,31 @@ class DataService {
     }
   }
 
+  // Pausing holds the account's scheduled posts (the publisher runs on the
+  // backend, so these need it). Resume returns { ..., rescheduled }.
+  async pauseAccount(accountId, reason = null) {
+    return this.apiRequest(`/api/accounts/${accountId}/pause`, {
+      method: 'POST',
+      body: JSON.stringify({ reason })
+    });
+  }
+
+  async resumeAccount(accountId) {
+    return this.apiRequest(`/api/accounts/${accountId}/resume`, { method: 'POST' });
+  }
+
+  // Kill switch for every account. Returns { paused, paused_at, reason }
+  async pauseAllPosting(reason = null) {
+    return this.apiRequest('/api/accounts/pause-all', {
+      method: 'POST',
+      body: JSON.stringify({ reason })
+    });
+  }
+
+  async resumeAllPosting() {
+    return this.apiRequest('/api/accounts/resume-all', { method: 'POST' });
+  }
+
   // ==================== Subreddits ====================
 
   async getSubreddits(filters = {}) {
@@ -319,6 +458,9 @@ class DataService {
     return result;
   }
 
+  // Backend: { posts, total, limit, offset }. Filters: account_id, subreddit_id,
+  // subreddit_name, content_item_id, start_date, end_date,
+  // status (live, removed, deleted), source, limit, offset
   async getPostedContent(filters = {}) {
     if (this.backendAvailable) {
       const params = new URLSearchParams(filters);
@@ -328,6 +470,344 @@ class DataService {
     }
   }
 
+  // Every posted item as an array, in both modes (the backend's list is paged,
+  // so this fetches it page by page). For exports.
+  async getAllPostedContent(filters = {}) {
+    if (!this.backendAvailable) {
+      return localDB.getPostedContent(filters);
+    }
+
+    const posts = [];
+    for (;;) {
+      const page = await this.getPostedContent({ ...filters, limit: 200, offset: posts.length });
+      posts.push(...page.posts);
+      if (page.posts.length === 0 || posts.length >= page.total) return posts;
+    }
+  }
+
+  // A post with its metrics history (backend only)
+  async getPostedContentDetail(postedContentId) {
+    return this.apiRequest(`/api/posts/${postedContentId}`);
+  }
+
+  // Record a post made outside the tool (backend only):
+  // { url, reddit_account_id, title, content_item_id, posted_at }
+  async recordExternalPost(post) {
+    return this.apiRequest('/api/posts', {
+      method: 'POST',
+      body: JSON.stringify(post)
+    });
+  }
+
+  // ==================== Scheduling ====================
+  // Scheduled posting runs on the backend worker, so these need the backend
+
+  async getScheduledPosts(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.apiRequest(`/api/schedule?${params}`);
+  }
+
+  // Open posting slots for an account in a subreddit, best first.
+  // Returns { slots: [{ scheduled_for, scheduled_for_local, score, reasons }], based_on }
+  async suggestPostingSlots(subredditId, accountId, count = 5) {
+    const params = new URLSearchParams({
+      subreddit_id: subredditId,
+      account_id: accountId,
+      count,
+      timezone: this.getBrowserTimezone()
+    });
+    return this.apiRequest(`/api/schedule/suggest?${params}`);
+  }
+
+  // Dry run of the next `days` of posting; nothing is saved or posted.
+  // Returns { from, until, summary, posts: [{ outcome, at, reasons, ... }] }
+  async simulateSchedule(days = 7, accountId = null) {
+    const params = new URLSearchParams({ days });
+    if (accountId) params.set('account_id', accountId);
+    return this.apiRequest(`/api/schedule/simulate?${params}`);
+  }
+
+  // Returns { ok, errors, warnings } without saving anything
+  async validateScheduledPost(postData) {
+    return this.apiRequest('/api/schedule/validate', {
+      method: 'POST',
+      body: JSON.stringify(postData)
+    });
+  }
+
+  // scheduled_for may be a wall-clock time ('2026-03-08T09:30', as from a
+  // datetime-local input); it's read in the browser's timezone unless
+  // postData.timezone says otherwise
+  async createScheduledPost(postData) {
+    return this.apiRequest('/api/schedule', {
+      method: 'POST',
+      body: JSON.stringify({ timezone: this.getBrowserTimezone(), ...postData })
+    });
+  }
+
+  // Crosspost an already scheduled post to another subreddit once it's live.
+  // options can override title, scheduled_for, reddit_account_id, flair...
+  async scheduleCrosspost(originalPost, subredditId, options = {}) {
+    return this.createScheduledPost({
+      reddit_account_id: originalPost.reddit_account_id,
+      subreddit_id: subredditId,
+      post_type: 'crosspost',
+      crosspost_from_id: originalPost.id,
+      ...options
+    });
+  }
+
+  async updateScheduledPost(id, updates) {
+    return this.apiRequest(`/api/schedule/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates)
+    });
+  }
+
+  async cancelScheduledPost(id) {
+    return this.apiRequest(`/api/schedule/${id}`, { method: 'DELETE' });
+  }
+
+  async retryScheduledPost(id) {
+    return this.apiRequest(`/api/schedule/${id}/retry`, { method: 'POST' });
+  }
+
+  // Calendar subscription URL (iCalendar feed) for Google/Apple/Outlook calendars.
+  // Returns { token, url }; creating a new one stops the old URL working
+  async createCalendarFeed() {
+    return this.apiRequest('/api/schedule/feed/token', { method: 'POST' });
+  }
+
+  async revokeCalendarFeed() {
+    return this.apiRequest('/api/schedule/feed/token', { method: 'DELETE' });
+  }
+
+  // Bulk import. data is CSV text with a header row, or JSON text / an array of
+  // rows with account, subreddit, content, title, time, flair and comment.
+  // Times are read in the browser's timezone unless a row has its own.
+  // Returns { rows: [{ row, input, post, errors, warnings }], valid, invalid }
+  async previewScheduleImport(data, format = null) {
+    return this.apiRequest('/api/schedule/import/preview', {
+      method: 'POST',
+      body: JSON.stringify({ format, data, timezone: this.getBrowserTimezone() })
+    });
+  }
+
+  // Creates every row or none; on row errors the thrown error's body has the rows
+  async importScheduledPosts(data, format = null) {
+    return this.apiRequest('/api/schedule/import', {
+      method: 'POST',
+      body: JSON.stringify({ format, data, timezone: this.getBrowserTimezone() })
+    });
+  }
+
+  // Posts waiting for their auto-delete check and whether they'd be deleted now
+  async previewAutoDeletes() {
+    return this.apiRequest('/api/schedule/auto-delete/preview');
+  }
+
+  // ==================== Recurring Schedules ====================
+  // A recurring schedule is an RRULE ('FREQ=WEEKLY;BYDAY=TU,FR;BYHOUR=20') plus a
+  // post template; the backend generates its scheduled posts a few days ahead
+
+  async getRecurringSchedules() {
+    return this.apiRequest('/api/recurring');
+  }
+
+  // Includes upcoming_posts
+  async getRecurringSchedule(id) {
+    return this.apiRequest(`/api/recurring/${id}`);
+  }
+
+  // Next occurrences of a rule as [{ at, local }], without saving anything
+  async previewRecurrence(rrule, startsAt, count = 10) {
+    return this.apiRequest('/api/recurring/preview', {
+      method: 'POST',
+      body: JSON.stringify({ rrule, starts_at: startsAt, count, timezone: this.getBrowserTimezone() })
+    });
+  }
+
+  // starts_at is read in the browser's timezone unless schedule.timezone says otherwise
+  async createRecurringSchedule(schedule) {
+    return this.apiRequest('/api/recurring', {
+      method: 'POST',
+      body: JSON.stringify({ timezone: this.getBrowserTimezone(), ...schedule })
+    });
+  }
+
+  // scope 'all' changes the whole series; 'following' splits it at postId.
+  // Edit a single occurrence with updateScheduledPost instead.
+  async updateRecurringSchedule(id, changes, scope = 'all', postId = null) {
+    return this.apiRequest(`/api/recurring/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ ...changes, scope, post_id: postId })
+    });
+  }
+
+  async pauseRecurringSchedule(id) {
+    return this.apiRequest(`/api/recurring/${id}/pause`, { method: 'POST' });
+  }
+
+  async resumeRecurringSchedule(id) {
+    return this.apiRequest(`/api/recurring/${id}/resume`, { method: 'POST' });
+  }
+
+  // Ends the series and cancels its upcoming posts
+  async endRecurringSchedule(id) {
+    return this.apiRequest(`/api/recurring/${id}`, { method: 'DELETE' });
+  }
+
+  // ==================== Campaigns ====================
+  // A campaign groups scheduled posts and content items (e.g. one photo set
+  // pushed across many subreddits). New posts join one with campaign_id.
+
+  async getCampaigns() {
+    return this.apiRequest('/api/campaigns');
+  }
+
+  // Includes posts and content
+  async getCampaign(id) {
+    return this.apiRequest(`/api/campaigns/${id}`);
+  }
+
+  async createCampaign(campaign) {
+    return this.apiRequest('/api/campaigns', {
+      method: 'POST',
+      body: JSON.stringify(campaign)
+    });
+  }
+
+  // name, description, status ('draft' | 'active' | 'done')
+  async updateCampaign(id, updates) {
+    return this.apiRequest(`/api/campaigns/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates)
+    });
+  }
+
+  async deleteCampaign(id) {
+    return this.apiRequest(`/api/campaigns/${id}`, { method: 'DELETE' });
+  }
+
+  async addPostsToCampaign(id, postIds) {
+    return this.apiRequest(`/api/campaigns/${id}/posts`, {
+      method: 'POST',
+      body: JSON.stringify({ post_ids: postIds })
+    });
+  }
+
+  async addContentToCampaign(id, contentItemIds) {
+    return this.apiRequest(`/api/campaigns/${id}/content`, {
+      method: 'POST',
+      body: JSON.stringify({ content_item_ids: contentItemIds })
+    });
+  }
+
+  async pauseCampaign(id) {
+    return this.apiRequest(`/api/campaigns/${id}/pause`, { method: 'POST' });
+  }
+
+  async resumeCampaign(id) {
+    return this.apiRequest(`/api/campaigns/${id}/resume`, { method: 'POST' });
+  }
+
+  // Cancels every post that hasn't gone out yet
+  async cancelCampaign(id) {
+    return this.apiRequest(`/api/campaigns/${id}/cancel`, { method: 'POST' });
+  }
+
+  // { totals, by_subreddit, by_account, by_content, top_posts, posts_by_status }
+  async getCampaignReport(id) {
+    return this.apiRequest(`/api/campaigns/${id}/report`);
+  }
+
+  // ==================== Reviews ====================
+  // Drafts are created with createScheduledPost({ ...post, draft: true })
+
+  async getReviewQueue() {
+    return this.apiRequest('/api/reviews');
+  }
+
+  // Filters: scheduled_post_id, action, actor_id, limit
+  async getReviewEvents(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.apiRequest(`/api/reviews/events?${params}`);
+  }
+
+  async submitForReview(postId, { reviewerEmail = null, comment = null } = {}) {
+    return this.apiRequest(`/api/reviews/${postId}/submit`, {
+      method: 'POST',
+      body: JSON.stringify({ reviewer_email: reviewerEmail, comment })
+    });
+  }
+
+  async approvePost(postId, { comment = null, ignoreCompliance = false } = {}) {
+    return this.apiRequest(`/api/reviews/${postId}/approve`, {
+      method: 'POST',
+      body: JSON.stringify({ comment, ignore_compliance: ignoreCompliance })
+    });
+  }
+
+  async rejectPost(postId, comment) {
+    return this.apiRequest(`/api/reviews/${postId}/reject`, {
+      method: 'POST',
+      body: JSON.stringify({ comment })
+    });
+  }
+
+  async reopenPost(postId, comment = null) {
+    return this.apiRequest(`/api/reviews/${postId}/reopen`, {
+      method: 'POST',
+      body: JSON.stringify({ comment })
+    });
+  }
+
+  // ==================== Analytics ====================
+
+  // Daily totals in the user's time zone: { from, to, timezone, days }.
+  // from/to are YYYY-MM-DD (default: the last 30 days)
+  async getDailyAnalytics({ from = null, to = null } = {}) {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    return this.apiRequest(`/api/analytics/daily?${params}`);
+  }
+
+  // Filters: sort (median_score, avg_score, comments_per_post, removal_rate,
+  // posts), account_id, from, to, min_posts, limit
+  async getSubredditAnalytics(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.apiRequest(`/api/analytics/subreddits?${params}`);
+  }
+
+  // Same filters as getSubredditAnalytics
+  async getContentAnalytics(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.apiRequest(`/api/analytics/content?${params}`);
+  }
+
+  // By hour of day and weekday. Filters: account_id, subreddit_id, content_item_id, from, to
+  async getTimingAnalytics(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.apiRequest(`/api/analytics/timing?${params}`);
+  }
+
+  // ==================== Notifications ====================
+
+  // Returns { notifications, unread_count }. Filters: unread, limit
+  async getNotifications(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.apiRequest(`/api/notifications?${params}`);
+  }
+
+  async markNotificationRead(notificationId) {
+    return this.apiRequest(`/api/notifications/${notificationId}/read`, { method: 'POST' });
+  }
+
+  async markAllNotificationsRead() {
+    return this.apiRequest('/api/notifications/read-all', { method: 'POST' });
+  }
+
   // ==================== Settings ====================
 
   async saveSetting(key, value) {
@@ -7,6 +7,9 @@ const REDDIT_CLIENT_ID = process.env.VUE_APP_REDDIT_CLIENT_ID || 'YOUR_CLIENT_ID
 const REDDIT_REDIRECT_URI = process.env.VUE_APP_REDDIT_REDIRECT_URI || window.location.origin + '/auth/callback';
 const REDDIT_USER_AGENT = 'web:creator-platform:v1.0.0';
 
+// Warn about an expiring token this long before it actually expires
+const TOKEN_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
 class RedditClient {
   constructor() {
     this.accessToken = null;
@@ -75,6 +78,11 @@ class RedditClient {
       return true;
     }
 
+    // Remember that there was a session so we can ask for a reconnect
+    if (expiry) {
+      this.tokenExpiry = parseInt(expiry);
+    }
+
     return false;
   }
 
@@ -83,9 +91,19 @@ class RedditClient {
     return this.accessToken && Date.now() < this.tokenExpiry;
   }
 
+  // Implicit-flow tokens can't be refreshed - the user has to authorize again
+  needsReauth(tokenExpiry = this.tokenExpiry) {
+    return Boolean(tokenExpiry) && Date.now() >= tokenExpiry - TOKEN_EXPIRY_MARGIN_MS;
+  }
+
   // Make API request to Reddit
   async api(endpoint, options = {}) {
     if (!this.isAuthenticated()) {
+      if (this.tokenExpiry) {
+        const error = new Error('Reddit session expired - please reconnect your account');
+        error.code = 'needs_reauth';
+        throw error;
+      }
       throw new Error('Not authenticated');
     }
 
@@ -167,7 +185,8 @@ class RedditClient {
       title,
       url,
       text,
-      kind = 'link', // 'link', 'self', 'image', 'video'
+      kind = 'link', // 'link', 'self', 'image', 'video', 'crosspost'
+      crosspost_fullname = null, // the original post (t3_...), for crossposts
       nsfw = true,
       spoiler = false,
       flair_id = null
@@ -182,6 +201,7 @@ class RedditClient {
 
     if (url) formData.append('url', url);
     if (text) formData.append('text', text);
+    if (crosspost_fullname) formData.append('crosspost_fullname', crosspost_fullname);
     if (flair_id) formData.append('flair_id', flair_id);
 
     const data = await this.api('/api/submit', {